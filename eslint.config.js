@@ -25,8 +25,18 @@ export default [
         document: 'readonly',
         navigator: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
         alert: 'readonly',
         CustomEvent: 'readonly',
+        Event: 'readonly',
+        DOMParser: 'readonly',
+        DOMException: 'readonly',
+        Blob: 'readonly',
+        TextEncoder: 'readonly',
+        MediaRecorder: 'readonly',
+        Worker: 'readonly',
+        URL: 'readonly',
+        URLSearchParams: 'readonly',
         requestAnimationFrame: 'readonly',
         cancelAnimationFrame: 'readonly',
         setTimeout: 'readonly',
@@ -50,5 +60,14 @@ export default [
         }
       ]
     }
+  },
+  {
+    files: ['src/js/terrainWorker.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly',
+        importScripts: 'readonly'
+      }
+    }
   }
 ];
@@ -0,0 +1,208 @@
+// annotations.js
+
+/**
+ * Overlays burned into exported frames and images: the playback time stamp,
+ * the hypocenter legend, a scale bar and a compass, drawn with the 2D canvas
+ * API so they do not depend on the DOM overlays.
+ *
+ * Sizes are given for a 1920 x 1080 frame and scaled to the output.
+ */
+
+import { COLORMAPS } from './colorScales';
+import { ageRows, agingSummary, formatTick } from './legend';
+
+const FONT_FAMILY = 'Futura, Futura PT, Trebuchet MS, sans-serif';
+const PANEL_COLOR = 'rgba(36, 36, 36, 0.7)';
+
+function panel(context, x, y, width, height, radius) {
+  context.fillStyle = PANEL_COLOR;
+  context.beginPath();
+  if (context.roundRect) {
+    context.roundRect(x, y, width, height, radius);
+  } else {
+    context.rect(x, y, width, height);
+  }
+  context.fill();
+}
+
+function drawTimestamp(context, time, unit) {
+  const text = new Date(time).toLocaleString();
+  const padding = 12 * unit;
+  context.font = `${32 * unit}px ${FONT_FAMILY}`;
+  context.textBaseline = 'top';
+  const width = context.measureText(text).width + padding * 2;
+  const height = 32 * unit + padding * 2;
+  panel(context, 20 * unit, 20 * unit, width, height, 8 * unit);
+  context.fillStyle = 'white';
+  context.fillText(text, 20 * unit + padding, 20 * unit + padding);
+}
+
+function fillSwatch(context, colors, x, y, width, height) {
+  if (colors.length > 1) {
+    const gradient = context.createLinearGradient(x, 0, x + width, 0);
+    colors.forEach((color, i) => gradient.addColorStop(i / (colors.length - 1), color));
+    context.fillStyle = gradient;
+  } else {
+    context.fillStyle = colors[0];
+  }
+  context.fillRect(x, y, width, height);
+}
+
+/**
+ * Rows of the legend as { height, draw(x, y, width) }, mirroring legend.js.
+ */
+function legendRows(context, legend, unit) {
+  const line = 22 * unit;
+  const text = (label, { bold = false, size = 18, opacity = 1 } = {}) => ({
+    height: line * (size / 18),
+    draw: (x, y) => {
+      context.font = `${bold ? 'bold ' : ''}${size * unit}px ${FONT_FAMILY}`;
+      context.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+      context.fillText(label, x, y);
+    },
+  });
+  const swatchRow = (colors, label) => ({
+    height: line,
+    draw: (x, y) => {
+      fillSwatch(context, colors, x, y + 3 * unit, 24 * unit, 14 * unit);
+      context.font = `${18 * unit}px ${FONT_FAMILY}`;
+      context.fillStyle = 'white';
+      context.fillText(label, x + 32 * unit, y);
+    },
+  });
+
+  const rows = [text(`Color: ${legend.title}`, { bold: true })];
+  if (legend.kind === 'gradient') {
+    rows.push({
+      height: 44 * unit,
+      draw: (x, y, width) => {
+        const stops = (COLORMAPS[legend.colormap] || Object.values(COLORMAPS)[0]).stops;
+        fillSwatch(context, stops, x, y + 4 * unit, width, 14 * unit);
+        context.font = `${15 * unit}px ${FONT_FAMILY}`;
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        legend.ticks.forEach(value => {
+          const position = x + ((value - legend.min) / (legend.max - legend.min)) * width;
+          context.fillText(formatTick(value), position, y + 22 * unit);
+        });
+        context.textAlign = 'left';
+      },
+    });
+  } else if (legend.kind === 'categories') {
+    legend.categories.forEach(({ label, color, count }) => rows.push(swatchRow([color], `${label} (${count})`)));
+  } else {
+    ageRows(legend.aging).forEach(({ colors, label }) => rows.push(swatchRow(colors, label)));
+  }
+  rows.push(text(`Size: ${legend.sizeLabel}`));
+  agingSummary(legend.aging).forEach(label => rows.push(text(label, { size: 15, opacity: 0.85 })));
+  return rows;
+}
+
+function drawLegend(context, legend, height, unit) {
+  const rows = legendRows(context, legend, unit);
+  const padding = 14 * unit;
+  const gap = 4 * unit;
+  const width = 360 * unit;
+  const panelHeight = rows.reduce((sum, row) => sum + row.height + gap, 0) - gap + padding * 2;
+  const x = 20 * unit;
+  let y = height - 20 * unit - panelHeight;
+
+  panel(context, x, y, width, panelHeight, 8 * unit);
+  context.textBaseline = 'top';
+  y += padding;
+  rows.forEach(row => {
+    row.draw(x + padding, y, width - padding * 2);
+    y += row.height + gap;
+  });
+}
+
+// Longest 1, 2 or 5 times a power of ten not over `meters`
+function niceLength(meters) {
+  const power = Math.pow(10, Math.floor(Math.log10(meters)));
+  return [5, 2, 1].map(f => f * power).find(length => length <= meters);
+}
+
+function drawScaleBar(context, metersPerPixel, width, height, unit) {
+  const meters = niceLength(metersPerPixel * width * 0.2);
+  const length = meters / metersPerPixel;
+  const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+  const padding = 14 * unit;
+  const panelWidth = length + padding * 2;
+  const panelHeight = 56 * unit;
+  const x = width - 20 * unit - panelWidth;
+  const y = height - 20 * unit - panelHeight;
+
+  panel(context, x, y, panelWidth, panelHeight, 8 * unit);
+  context.font = `${18 * unit}px ${FONT_FAMILY}`;
+  context.fillStyle = 'white';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  context.fillText(label, x + panelWidth / 2, y + padding - 4 * unit);
+  context.textAlign = 'left';
+
+  const barY = y + panelHeight - padding - 8 * unit;
+  context.fillRect(x + padding, barY, length, 6 * unit);
+  context.fillRect(x + padding, barY - 6 * unit, 2 * unit, 12 * unit);
+  context.fillRect(x + padding + length - 2 * unit, barY - 6 * unit, 2 * unit, 12 * unit);
+}
+
+// North arrow, rotated clockwise by `rotation` degrees like the on-screen compass
+function drawCompass(context, rotation, width, unit) {
+  const radius = 48 * unit;
+  const cx = width - 20 * unit - radius;
+  const cy = 20 * unit + radius;
+
+  context.fillStyle = PANEL_COLOR;
+  context.beginPath();
+  context.arc(cx, cy, radius, 0, Math.PI * 2);
+  context.fill();
+
+  context.save();
+  context.translate(cx, cy);
+  context.rotate((rotation * Math.PI) / 180);
+  const tip = radius * 0.62;
+  const half = radius * 0.2;
+  context.fillStyle = '#e53935';
+  context.beginPath();
+  context.moveTo(0, -tip);
+  context.lineTo(half, 0);
+  context.lineTo(-half, 0);
+  context.closePath();
+  context.fill();
+  context.fillStyle = 'white';
+  context.beginPath();
+  context.moveTo(0, tip);
+  context.lineTo(half, 0);
+  context.lineTo(-half, 0);
+  context.closePath();
+  context.fill();
+  context.font = `bold ${16 * unit}px ${FONT_FAMILY}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText('N', 0, -radius * 0.82);
+  context.restore();
+}
+
+/**
+ * Draws the selected annotations onto a frame of `width` x `height` pixels.
+ * Each is left out when its option is null.
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.time] epoch ms for the time stamp, top left
+ * @param {Object} [options.legend] EarthquakeOverlay.getLegend(), bottom left;
+ *   skipped while no catalog is loaded
+ * @param {number} [options.metersPerPixel] ground meters per output pixel for the scale bar, bottom right
+ * @param {number} [options.compassRotation] degrees, as Application.getCompassRotation(), top right
+ */
+export function drawAnnotations(context, { width, height, time = null, legend = null, metersPerPixel = null, compassRotation = null }) {
+  const unit = Math.max(Math.min(width, height * 16 / 9), 480) / 1920;
+  context.save();
+  if (time !== null) drawTimestamp(context, time, unit);
+  if (legend && legend.count) drawLegend(context, legend, height, unit);
+  if (metersPerPixel > 0) drawScaleBar(context, metersPerPixel, width, height, unit);
+  if (compassRotation !== null) drawCompass(context, compassRotation, width, unit);
+  context.restore();
+}
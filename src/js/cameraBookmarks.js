@@ -0,0 +1,111 @@
+// cameraBookmarks.js
+
+/**
+ * Named camera views saved per site in localStorage, and the preset views
+ * around the terrain.
+ *
+ * A view is { position, target } in scene coordinates, which are DEM pixels
+ * and differ between sites, so each site keeps its own list.
+ */
+
+import { Vector3 } from 'three';
+
+const STORAGE_PREFIX = 'camera-bookmarks:';
+
+// Scene axes: y is up, north is +z and east is -x (see EarthquakeOverlay.geoToTerrain)
+export const CAMERA_PRESETS = {
+  plan: { label: 'Plan view', direction: [0, 1, 0] },
+  north: { label: 'From the north', direction: [0, 0, 1] },
+  east: { label: 'From the east', direction: [-1, 0, 0] },
+  south: { label: 'From the south', direction: [0, 0, -1] },
+  west: { label: 'From the west', direction: [1, 0, 0] },
+  underneath: { label: 'From underneath', direction: [0, -1, 0] },
+};
+
+/**
+ * The view for a preset (see CAMERA_PRESETS), looking at `target` from
+ * `distance` away. Views from straight above or below are tipped slightly
+ * south so north stays at the top of the screen.
+ */
+export function presetView(preset, target, distance) {
+  const direction = new Vector3().fromArray(CAMERA_PRESETS[preset].direction);
+  if (direction.y !== 0) direction.z = -0.001;
+  direction.normalize();
+  return {
+    position: target.clone().addScaledVector(direction, distance),
+    target: target.clone(),
+  };
+}
+
+function isView(view) {
+  return view && [view.position, view.target].every(vector => Array.isArray(vector) && vector.length === 3 && vector.every(Number.isFinite));
+}
+
+// Reading localStorage throws when the browser blocks site data
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    console.warn('localStorage unavailable, camera bookmarks will not be kept:', error);
+    return null;
+  }
+}
+
+export class CameraBookmarks {
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+  }
+
+  get available() {
+    return !!this.storage;
+  }
+
+  /**
+   * Bookmarks of a site as [{ name, position, target }], positions as arrays.
+   */
+  list(siteId) {
+    if (!this.available) return [];
+    try {
+      const bookmarks = JSON.parse(this.storage.getItem(STORAGE_PREFIX + siteId) || '[]');
+      return Array.isArray(bookmarks) ? bookmarks.filter(bookmark => typeof bookmark.name === 'string' && isView(bookmark)) : [];
+    } catch (error) {
+      console.warn(`Ignoring unreadable camera bookmarks for ${siteId}:`, error);
+      return [];
+    }
+  }
+
+  write(siteId, bookmarks) {
+    if (!this.available) throw new Error('Bookmarks cannot be saved in this browser');
+    this.storage.setItem(STORAGE_PREFIX + siteId, JSON.stringify(bookmarks));
+    return bookmarks;
+  }
+
+  /**
+   * Adds a bookmark for `view` ({ position, target } as Vector3s), or replaces
+   * the one with the same name.
+   */
+  add(siteId, name, view) {
+    const bookmark = { name, position: view.position.toArray(), target: view.target.toArray() };
+    const bookmarks = this.list(siteId);
+    const index = bookmarks.findIndex(existing => existing.name === name);
+    if (index >= 0) {
+      bookmarks[index] = bookmark;
+    } else {
+      bookmarks.push(bookmark);
+    }
+    return this.write(siteId, bookmarks);
+  }
+
+  rename(siteId, index, name) {
+    const bookmarks = this.list(siteId);
+    if (!bookmarks[index]) return bookmarks;
+    bookmarks[index].name = name;
+    return this.write(siteId, bookmarks);
+  }
+
+  remove(siteId, index) {
+    const bookmarks = this.list(siteId);
+    bookmarks.splice(index, 1);
+    return this.write(siteId, bookmarks);
+  }
+}
@@ -0,0 +1,194 @@
+// catalogCache.js
+
+/**
+ * Persistent cache of fetched catalog windows in IndexedDB.
+ *
+ * Each record holds the events one data source returned for one bounding box
+ * and one time window. Records of the same source and bounds share a `scope`,
+ * so a later load can work out which parts of its range are already covered
+ * and fetch only the missing spans.
+ */
+
+const DB_VERSION = 1;
+const STORE = 'windows';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function boundsKey(bounds) {
+  return [bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon]
+    .map((value) => Number(value).toFixed(4))
+    .join(',');
+}
+
+export class CatalogCache {
+  constructor(dbName = 'earthquake-catalog-cache') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  get available() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  static scope(sourceId, bounds) {
+    return `${sourceId}|${boundsKey(bounds)}`;
+  }
+
+  open() {
+    if (!this.available) return Promise.resolve(null);
+    if (!this.dbPromise) {
+      const request = window.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('scope', 'scope');
+      };
+      this.dbPromise = promisify(request).catch((error) => {
+        console.warn('Catalog cache unavailable:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, callback) {
+    const db = await this.open();
+    if (!db) return null;
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    // A failing callback aborts the transaction, which rejects `done` as well;
+    // the callback's error is the one reported
+    done.catch(() => {});
+    const result = await callback(tx.objectStore(STORE));
+    await done;
+    return result;
+  }
+
+  /**
+   * Returns all cached windows for a source and bounding box.
+   */
+  async getWindows(sourceId, bounds) {
+    const records = await this.transaction('readonly', (store) =>
+      promisify(store.index('scope').getAll(CatalogCache.scope(sourceId, bounds)))
+    );
+    return records || [];
+  }
+
+  /**
+   * Stores the events of one window.
+   *
+   * @param {Object} window - { start, end } in epoch ms; `end` is clipped to
+   *   `fetchedAt` since later events did not exist when the window was fetched
+   */
+  async putWindow(sourceId, bounds, window, features, fetchedAt = Date.now()) {
+    const scope = CatalogCache.scope(sourceId, bounds);
+    const end = Math.min(window.end, fetchedAt);
+    const record = {
+      key: `${scope}|${window.start}|${end}`,
+      scope,
+      sourceId,
+      bounds: { ...bounds },
+      start: window.start,
+      end,
+      fetchedAt,
+      features,
+      eventCount: features.length,
+      bytes: JSON.stringify(features).length,
+    };
+    await this.transaction('readwrite', (store) => promisify(store.put(record)));
+    return record;
+  }
+
+  async updateWindow(record) {
+    record.eventCount = record.features.length;
+    record.bytes = JSON.stringify(record.features).length;
+    await this.transaction('readwrite', (store) => promisify(store.put(record)));
+    return record;
+  }
+
+  /**
+   * Replaces a cached window by its two halves at `middle`, each keeping the
+   * window's events and fetch time. Returns the new records.
+   */
+  async splitWindow(record, middle) {
+    const halves = [
+      { start: record.start, end: middle },
+      { start: middle, end: record.end },
+    ].map(({ start, end }) => {
+      const features = record.features.filter(
+        (feature) =>
+          feature.properties.time >= start &&
+          (feature.properties.time < end || end === record.end)
+      );
+      return {
+        ...record,
+        key: `${record.scope}|${start}|${end}`,
+        start,
+        end,
+        features,
+        eventCount: features.length,
+        bytes: JSON.stringify(features).length,
+      };
+    });
+    await this.transaction('readwrite', (store) =>
+      Promise.all([promisify(store.delete(record.key)), ...halves.map((half) => promisify(store.put(half)))])
+    );
+    return halves;
+  }
+
+  /**
+   * @returns {Promise<{windows: number, events: number, bytes: number}>}
+   */
+  async getStats() {
+    const stats = { windows: 0, events: 0, bytes: 0 };
+    await this.transaction('readonly', (store) =>
+      new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          stats.windows += 1;
+          stats.events += cursor.value.eventCount || 0;
+          stats.bytes += cursor.value.bytes || 0;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      })
+    );
+    return stats;
+  }
+
+  async purge() {
+    await this.transaction('readwrite', (store) => promisify(store.clear()));
+  }
+}
+
+/**
+ * Returns the parts of [start, end] not covered by any of the cached windows.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function missingSpans(start, end, windows) {
+  const covered = windows
+    .filter((w) => w.end > start && w.start < end)
+    .sort((a, b) => a.start - b.start);
+  const spans = [];
+  let cursor = start;
+  covered.forEach((w) => {
+    if (w.start > cursor) spans.push({ start: cursor, end: Math.min(w.start, end) });
+    cursor = Math.max(cursor, w.end);
+  });
+  if (cursor < end) spans.push({ start: cursor, end });
+  return spans;
+}
@@ -0,0 +1,178 @@
+// catalogImport.js
+
+/**
+ * Local catalog files (GeoJSON, CSV, QuakeML) converted to the internal event
+ * model (see dataSources.js), so offline catalogs can drive the overlay and
+ * timeline exactly like a network load.
+ */
+
+import { normalizeGeoJSONFeature, toEpoch, toNumber } from './dataSources';
+import { parseQuakeML } from './quakeml';
+import { terrainFraction } from './projections';
+
+/**
+ * Default CSV column names, matching the USGS/ComCat CSV export.
+ * Only the time, latitude and longitude columns must be present.
+ */
+export const DEFAULT_CSV_COLUMNS = {
+  time: 'time',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  depth: 'depth',
+  mag: 'mag',
+  magType: 'magType',
+  place: 'place',
+  type: 'type',
+  id: 'id',
+};
+
+/**
+ * Splits CSV text into rows of cells, honoring double-quoted fields.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+function parseCsvTime(value) {
+  const trimmed = (value || '').trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    // Numeric times: epoch seconds, or epoch milliseconds when large
+    const number = Number(trimmed);
+    return number > 1e11 ? number : number * 1000;
+  }
+  return toEpoch(trimmed.replace(' ', 'T'));
+}
+
+/**
+ * Parses a CSV catalog.
+ *
+ * @param {string} text - CSV with a header row
+ * @param {Object} [columns] - Maps event fields to header names (case-insensitive)
+ * @param {string} [sourceName] - Label stored on each feature
+ */
+export function parseCsvCatalog(text, columns = {}, sourceName = 'CSV') {
+  const mapping = { ...DEFAULT_CSV_COLUMNS, ...columns };
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const names = header.map((name) => name.trim().toLowerCase());
+  const index = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    index[field] = column ? names.indexOf(String(column).trim().toLowerCase()) : -1;
+  });
+
+  const missing = ['time', 'latitude', 'longitude'].filter((field) => index[field] < 0);
+  if (missing.length) {
+    throw new Error(
+      `CSV is missing column(s): ${missing.map((field) => mapping[field]).join(', ')}`
+    );
+  }
+
+  const features = [];
+  rows.forEach((cells, rowIndex) => {
+    const cell = (field) => (index[field] >= 0 ? (cells[index[field]] || '').trim() : '');
+    const time = parseCsvTime(cell('time'));
+    const lat = toNumber(cell('latitude'));
+    const lon = toNumber(cell('longitude'));
+    if (time === null || lat === null || lon === null) return;
+
+    features.push({
+      id: cell('id') || `${sourceName}-${rowIndex}`,
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [lon, lat, toNumber(cell('depth'))] },
+      properties: {
+        time,
+        updated: null,
+        mag: toNumber(cell('mag')),
+        magType: cell('magType') || null,
+        place: cell('place') || null,
+        type: cell('type') || 'earthquake',
+        status: null,
+        url: null,
+        source: 'file',
+        sourceName,
+      },
+    });
+  });
+  return features;
+}
+
+/**
+ * Parses a GeoJSON FeatureCollection (USGS or EMSC flavored).
+ */
+export function parseGeoJSONCatalog(text, sourceName = 'GeoJSON') {
+  const data = JSON.parse(text);
+  const features = data.type === 'Feature' ? [data] : data.features || [];
+  return features.map((feature) => normalizeGeoJSONFeature(feature, { source: 'file', sourceName }));
+}
+
+function detectFormat(fileName, text) {
+  const name = fileName.toLowerCase();
+  if (/\.(geo)?json$/.test(name)) return 'geojson';
+  if (/\.csv$/.test(name)) return 'csv';
+  if (/\.(xml|quakeml|qml)$/.test(name)) return 'quakeml';
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (start.startsWith('<')) return 'quakeml';
+  return 'csv';
+}
+
+/**
+ * Reads a dropped or picked catalog file and returns its features.
+ *
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {Object} [options.columns] - CSV column mapping, see DEFAULT_CSV_COLUMNS
+ */
+export async function readCatalogFile(file, { columns = {} } = {}) {
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+  if (format === 'geojson') return parseGeoJSONCatalog(text, file.name);
+  if (format === 'quakeml') return parseQuakeML(text, { source: 'file', sourceName: file.name });
+  return parseCsvCatalog(text, columns, file.name);
+}
+
+/**
+ * Keeps only the features that fall inside the terrain footprint
+ * (the projected extent for projected DEMs).
+ */
+export function filterToBounds(features, bounds) {
+  return features.filter((feature) => {
+    const [lon, lat] = feature.geometry.coordinates;
+    const { u, v } = terrainFraction(lat, lon, bounds);
+    return u >= 0 && u <= 1 && v >= 0 && v <= 1;
+  });
+}
@@ -0,0 +1,91 @@
+// colorScales.js
+
+/**
+ * Colormaps and tick helpers for hypocenter coloring and its legend.
+ *
+ * Colormaps are lists of evenly spaced sRGB stops, interpolated in sRGB so the
+ * legend's CSS gradient and the colors on the GPU match.
+ */
+
+import { Color, SRGBColorSpace } from 'three';
+
+export const COLORMAPS = {
+  viridis: {
+    label: 'Viridis',
+    stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+  },
+  turbo: {
+    label: 'Turbo',
+    stops: ['#30123b', '#4662d7', '#36aaf9', '#1ae4b6', '#72fe5e', '#c8ef34', '#faba39', '#f66b19', '#7a0403'],
+  },
+  diverging: {
+    label: 'Diverging (blue-red)',
+    stops: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b'],
+  },
+};
+
+export const DEFAULT_COLORMAP = 'viridis';
+
+// Categorical palette (Tableau 10) for event types
+export const CATEGORY_COLORS = [
+  '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+  '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac',
+];
+
+function parseHex(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
+
+function getColormap(name) {
+  return COLORMAPS[name] || COLORMAPS[DEFAULT_COLORMAP];
+}
+
+/**
+ * Sets `target` to the colormap's color at `t` (0..1, clamped). The result is
+ * in linear space like Color.setHex() returns.
+ */
+export function colormapColor(name, t, target = new Color()) {
+  const { stops } = getColormap(name);
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(position), stops.length - 2);
+  const from = parseHex(stops[i]);
+  const to = parseHex(stops[i + 1]);
+  const f = position - i;
+  return target.setRGB(
+    from[0] + (to[0] - from[0]) * f,
+    from[1] + (to[1] - from[1]) * f,
+    from[2] + (to[2] - from[2]) * f,
+    SRGBColorSpace
+  );
+}
+
+/**
+ * CSS gradient of a colormap, running left to right unless `direction` is given.
+ */
+export function colormapGradient(name, direction = 'to right') {
+  return `linear-gradient(${direction}, ${getColormap(name).stops.join(', ')})`;
+}
+
+/**
+ * Rounds a range out to a "nice" step (1, 2 or 5 times a power of ten) and
+ * returns the ticks on it.
+ *
+ * @returns {{min: number, max: number, ticks: Array<number>}}
+ */
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) {
+    return { min, max: min + 1, ticks: [min, min + 1] };
+  }
+  const rough = (max - min) / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(f => f * power).find(s => s >= rough);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    // Avoid 0.30000000000000004 style labels
+    ticks.push(parseFloat(value.toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, ticks };
+}
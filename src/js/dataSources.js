@@ -0,0 +1,289 @@
+// dataSources.js
+
+/**
+ * Earthquake data-source adapters.
+ *
+ * Every source speaks the FDSN event web service protocol
+ * (https://www.fdsn.org/webservices/) and normalizes its response into the
+ * internal event model consumed by EarthquakeOverlay:
+ *
+ *   {
+ *     id: string,
+ *     type: 'Feature',
+ *     geometry: { type: 'Point', coordinates: [lon, lat, depthKm] },
+ *     properties: { time, updated, mag, magType, place, type, status, url, source, sourceName }
+ *   }
+ *
+ * `time` and `updated` are epoch milliseconds, depth is in km below sea level.
+ */
+
+import { parseQuakeML } from './quakeml';
+
+const DEFAULT_QUERY = { orderby: 'time' };
+
+export function toEpoch(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  // FDSN text/JSON times are UTC but often lack the trailing "Z";
+  // date-only strings are already parsed as UTC
+  const hasZone = /[zZ]|[+-]\d\d:?\d\d$/.test(value) || /^\d{4}-\d\d-\d\d$/.test(value);
+  const iso = hasZone ? value : `${value}Z`;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : time;
+}
+
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Events without an id are told apart by origin, so the same event gets the
+// same id in every request and deduplication by id still works
+function fallbackEventId(source, time, [lon, lat]) {
+  return `${source}-${time}-${lat}-${lon}`;
+}
+
+/**
+ * Normalizes a USGS- or EMSC-style GeoJSON feature into the internal event model.
+ */
+export function normalizeGeoJSONFeature(feature, { source, sourceName }) {
+  const props = feature.properties || {};
+  const [lon, lat, geometryDepth] = (feature.geometry && feature.geometry.coordinates) || [];
+  // EMSC style: flat properties, geometry depth is negative (elevation)
+  const depth = props.depth !== undefined ? toNumber(props.depth) : toNumber(geometryDepth);
+  const id = feature.id || props.unid || props.eventid || props.source_id;
+  const coordinates = [toNumber(props.lon ?? lon), toNumber(props.lat ?? lat), depth];
+  const time = toEpoch(props.time);
+  return {
+    ...feature,
+    id: id ? String(id) : fallbackEventId(source, time, coordinates),
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates,
+    },
+    properties: {
+      ...props,
+      time,
+      updated: toEpoch(props.updated ?? props.lastupdate),
+      mag: toNumber(props.mag),
+      magType: props.magType || props.magtype || null,
+      place: props.place || props.flynn_region || null,
+      type: props.type || props.evtype || 'earthquake',
+      status: props.status || null,
+      url: props.url || null,
+      source,
+      sourceName,
+    },
+  };
+}
+
+export class FdsnEventSource {
+  /**
+   * @param {Object} config
+   * @param {string} config.id - Stable identifier, also used as cache key
+   * @param {string} config.name - Label shown in the controls panel
+   * @param {string} config.baseUrl - FDSN event `query` endpoint
+   * @param {string} [config.format] - Response parser: 'geojson', 'text' or 'quakeml'
+   * @param {string} [config.formatParam] - Value sent as `format=` (defaults to `format`)
+   * @param {Object} [config.query] - Extra query parameters sent with every request
+   * @param {number} [config.maxResults] - Server-side cap on events per request
+   */
+  constructor({ id, name, baseUrl, format = 'geojson', formatParam = null, query = {}, maxResults = null }) {
+    this.id = id;
+    this.name = name || id;
+    this.baseUrl = baseUrl;
+    this.format = format;
+    this.formatParam = formatParam || format;
+    this.query = { ...DEFAULT_QUERY, ...query };
+    this.maxResults = maxResults;
+  }
+
+  buildUrl(bounds, startTime, endTime, extraQuery = {}) {
+    const params = {
+      format: this.formatParam,
+      minlatitude: bounds.minLat,
+      maxlatitude: bounds.maxLat,
+      minlongitude: bounds.minLon,
+      maxlongitude: bounds.maxLon,
+      starttime: startTime,
+      endtime: endTime,
+      ...this.query,
+      ...extraQuery,
+    };
+    const search = Object.entries(params)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `${this.baseUrl}?${search}`;
+  }
+
+  async fetchEvents(bounds, startTime, endTime, { signal, query = {} } = {}) {
+    const url = this.buildUrl(bounds, startTime, endTime, query);
+    const response = await fetch(url, { signal });
+    // FDSN services answer 204 when nothing matches the query
+    if (response.status === 204) return [];
+    if (!response.ok) {
+      throw new Error(`${this.name} request failed: HTTP ${response.status}`);
+    }
+    const body = await response.text();
+    return this.parse(body);
+  }
+
+  parse(body) {
+    if (!body.trim()) return [];
+    if (this.format === 'text') return this.parseText(body);
+    if (this.format === 'quakeml') {
+      return parseQuakeML(body, { source: this.id, sourceName: this.name });
+    }
+    return this.parseGeoJSON(JSON.parse(body));
+  }
+
+  parseGeoJSON(data) {
+    return (data.features || []).map((feature) => this.normalizeGeoJSONFeature(feature));
+  }
+
+  normalizeGeoJSONFeature(feature) {
+    return normalizeGeoJSONFeature(feature, { source: this.id, sourceName: this.name });
+  }
+
+  /**
+   * Parses the pipe-delimited `format=text` response defined by the FDSN spec.
+   * Columns are located by header name so optional trailing columns are tolerated.
+   */
+  parseText(body) {
+    const lines = body.split(/\r?\n/).filter((line) => line.trim());
+    if (!lines.length) return [];
+    const header = lines[0]
+      .replace(/^#/, '')
+      .split('|')
+      .map((name) => name.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    const idx = {
+      id: column('eventid'),
+      time: column('time'),
+      lat: column('latitude'),
+      lon: column('longitude'),
+      depth: column('depth/km'),
+      magType: column('magtype'),
+      mag: column('magnitude'),
+      place: column('eventlocationname'),
+      type: column('eventtype'),
+    };
+
+    return lines.slice(1).map((line) => {
+      const cells = line.split('|').map((cell) => cell.trim());
+      const cell = (i) => (i >= 0 ? cells[i] : null);
+      const coordinates = [toNumber(cell(idx.lon)), toNumber(cell(idx.lat)), toNumber(cell(idx.depth))];
+      const time = toEpoch(cell(idx.time));
+      return {
+        id: cell(idx.id) || fallbackEventId(this.id, time, coordinates),
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates,
+        },
+        properties: {
+          time,
+          updated: null,
+          mag: toNumber(cell(idx.mag)),
+          magType: cell(idx.magType) || null,
+          place: cell(idx.place) || null,
+          type: cell(idx.type) || 'earthquake',
+          status: null,
+          url: null,
+          source: this.id,
+          sourceName: this.name,
+        },
+      };
+    });
+  }
+}
+
+/**
+ * Built-in FDSN endpoints. `usgs-avo` reproduces the original hardcoded query
+ * (ComCat restricted to Alaska Volcano Observatory contributions).
+ */
+export const DATA_SOURCES = {
+  'usgs-avo': {
+    id: 'usgs-avo',
+    name: 'USGS ComCat (AVO)',
+    baseUrl: 'https://earthquake.usgs.gov/fdsnws/event/1/query',
+    format: 'geojson',
+    query: { contributor: 'av' },
+    maxResults: 20000,
+  },
+  usgs: {
+    id: 'usgs',
+    name: 'USGS ComCat',
+    baseUrl: 'https://earthquake.usgs.gov/fdsnws/event/1/query',
+    format: 'geojson',
+    maxResults: 20000,
+  },
+  emsc: {
+    id: 'emsc',
+    name: 'EMSC',
+    baseUrl: 'https://www.seismicportal.eu/fdsnws/event/1/query',
+    format: 'geojson',
+    formatParam: 'json',
+  },
+  iris: {
+    id: 'iris',
+    name: 'IRIS',
+    baseUrl: 'https://service.iris.edu/fdsnws/event/1/query',
+    format: 'text',
+  },
+  ncedc: {
+    id: 'ncedc',
+    name: 'NCEDC',
+    baseUrl: 'https://service.ncedc.org/fdsnws/event/1/query',
+    format: 'quakeml',
+    formatParam: 'xml',
+  },
+};
+
+export const DEFAULT_DATA_SOURCE_ID = 'usgs-avo';
+
+/**
+ * Formats an epoch time as an FDSN query time (ISO 8601, UTC, no suffix).
+ */
+export function toFdsnTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '');
+}
+
+/**
+ * Splits [start, end] into consecutive windows of at most `windowDays` days.
+ * Dates may be epoch ms or anything Date.parse understands (treated as UTC).
+ *
+ * @returns {Array<{start: number, end: number}>} Windows in epoch ms
+ */
+export function splitTimeWindows(start, end, windowDays = 30) {
+  const startTime = typeof start === 'number' ? start : toEpoch(start);
+  const endTime = typeof end === 'number' ? end : toEpoch(end);
+  const windowMs = windowDays * 24 * 60 * 60 * 1000;
+  const windows = [];
+  for (let t = startTime; t < endTime; t += windowMs) {
+    windows.push({ start: t, end: Math.min(t + windowMs, endTime) });
+  }
+  return windows;
+}
+
+/**
+ * Creates a data source from a registry id or a full config object.
+ * `overrides` are merged on top, with `query` merged key by key.
+ *
+ * @example createDataSource('usgs', { query: { minmagnitude: 1 } })
+ * @example createDataSource({ id: 'mock', baseUrl: 'http://localhost:8081/fdsnws/event/1/query' })
+ */
+export function createDataSource(source = DEFAULT_DATA_SOURCE_ID, overrides = {}) {
+  const base = typeof source === 'string' ? DATA_SOURCES[source] : source;
+  if (!base) {
+    throw new Error(`Unknown earthquake data source: ${source}`);
+  }
+  return new FdsnEventSource({
+    ...base,
+    ...overrides,
+    query: { ...(base.query || {}), ...(overrides.query || {}) },
+  });
+}
@@ -0,0 +1,26 @@
+// download.js
+
+/**
+ * Saves a Blob through a temporary link.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * File name with the local date and time, e.g. "playback-2024-05-01-1430.webm".
+ */
+export function timestampedFilename(prefix, extension) {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+  return `${prefix}-${stamp}.${extension}`;
+}
@@ -1,3 +1,218 @@
+import { DATA_SOURCES, DEFAULT_DATA_SOURCE_ID } from './dataSources';
+import { DEFAULT_CSV_COLUMNS } from './catalogImport';
+import { SITES, DEFAULT_SITE_ID } from './mapConfig';
+import { COLORMAPS } from './colorScales';
+import { COLOR_BY_MODES, SIZE_BY_MODES, DEFAULT_HYPOCENTER_STYLE, DEFAULT_AGING } from './hypocenterStyle';
+import { CAMERA_PRESETS } from './cameraBookmarks';
+
+// Range filters: slider ids, rounding of the catalog's range and label format
+const RANGE_FILTERS = [
+  { key: 'Magnitude', min: 'filter-magnitude-min', max: 'filter-magnitude-max', label: 'filter-magnitude-label', step: 0.1, unit: '' },
+  { key: 'Depth', min: 'filter-depth-min', max: 'filter-depth-max', label: 'filter-depth-label', step: 0.5, unit: ' km' },
+];
+
+// Filter restored from a link, shown once a catalog gives the sliders a range
+let restoredFilter = null;
+
+const CSV_COLUMN_FIELDS = [
+  { field: 'time', label: 'Time' },
+  { field: 'latitude', label: 'Lat' },
+  { field: 'longitude', label: 'Lon' },
+  { field: 'depth', label: 'Depth' },
+  { field: 'mag', label: 'Mag' },
+];
+
+/**
+ * Reads the CSV column mapping and replace/merge mode from the local catalog section
+ */
+export function getCatalogImportOptions() {
+  const columns = {};
+  CSV_COLUMN_FIELDS.forEach(({ field }) => {
+    const input = document.getElementById(`catalog-column-${field}`);
+    if (input && input.value.trim()) columns[field] = input.value.trim();
+  });
+  const modeSelect = document.getElementById('catalog-import-mode');
+  return { columns, merge: modeSelect ? modeSelect.value === 'merge' : false };
+}
+
+function readRangeFilter({ min, max }) {
+  const minInput = document.getElementById(min);
+  const maxInput = document.getElementById(max);
+  if (!minInput || minInput.disabled) return [null, null];
+  // A thumb at the end of the slider leaves that side open
+  const low = parseFloat(minInput.value);
+  const high = parseFloat(maxInput.value);
+  return [
+    low > parseFloat(minInput.min) ? low : null,
+    high < parseFloat(maxInput.max) ? high : null,
+  ];
+}
+
+function uncheckedValues(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('input[type="checkbox"]'))
+    .filter(checkbox => !checkbox.checked)
+    .map(checkbox => checkbox.value);
+}
+
+/**
+ * Reads the filter section into a filter for EarthquakeOverlay.setFilter().
+ */
+export function getFilterFromControls() {
+  const [minMagnitude, maxMagnitude] = readRangeFilter(RANGE_FILTERS[0]);
+  const [minDepth, maxDepth] = readRangeFilter(RANGE_FILTERS[1]);
+  return {
+    minMagnitude,
+    maxMagnitude,
+    minDepth,
+    maxDepth,
+    excludedTypes: uncheckedValues('filter-types'),
+    excludedStatuses: uncheckedValues('filter-statuses'),
+  };
+}
+
+function updateRangeLabel({ min, max, label, unit }) {
+  const minInput = document.getElementById(min);
+  const maxInput = document.getElementById(max);
+  const labelElement = document.getElementById(label);
+  if (!labelElement) return;
+  if (minInput.disabled) {
+    labelElement.textContent = 'no data';
+    return;
+  }
+  const open = parseFloat(minInput.value) <= parseFloat(minInput.min) && parseFloat(maxInput.value) >= parseFloat(maxInput.max);
+  labelElement.textContent = `${minInput.value} to ${maxInput.value}${unit}${open ? ' (all)' : ''}`;
+}
+
+function updateRangeOptions(filter, range, restored = null) {
+  const minInput = document.getElementById(filter.min);
+  const maxInput = document.getElementById(filter.max);
+  if (!minInput) return;
+  minInput.disabled = !range;
+  maxInput.disabled = !range;
+  if (range) {
+    const [low, high] = restored || readRangeFilter(filter);
+    const start = Math.floor(range.min / filter.step) * filter.step;
+    const end = Math.max(Math.ceil(range.max / filter.step) * filter.step, start + filter.step);
+    [minInput, maxInput].forEach(input => {
+      input.min = start.toFixed(1);
+      input.max = end.toFixed(1);
+    });
+    // Open sides stay open on the new range, set bounds are kept
+    minInput.value = low !== null ? String(Math.min(Math.max(low, start), end)) : minInput.min;
+    maxInput.value = high !== null ? String(Math.min(Math.max(high, start), end)) : maxInput.max;
+  }
+  updateRangeLabel(filter);
+}
+
+function updateCheckboxOptions(containerId, entries, restored = null) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const excluded = restored || uncheckedValues(containerId);
+  container.innerHTML = '';
+  if (!entries.length) {
+    container.textContent = 'no data';
+    return;
+  }
+  entries.forEach(({ value, count }) => {
+    const label = document.createElement('label');
+    label.style.display = 'block';
+    label.style.fontSize = '12px';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = !excluded.includes(value);
+    checkbox.addEventListener('change', dispatchFilterChange);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${value} (${count})`));
+    container.appendChild(label);
+  });
+}
+
+function smallButton(text) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.padding = '2px 6px';
+  button.style.fontSize = '11px';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+/**
+ * Lists the current site's camera bookmarks ([{ name }], see CameraBookmarks),
+ * each with buttons to fly there, rename it and delete it.
+ */
+export function updateCameraBookmarks(bookmarks) {
+  const list = document.getElementById('camera-bookmarks');
+  if (!list) return;
+  list.innerHTML = '';
+  if (!bookmarks.length) {
+    list.textContent = 'No bookmarks for this site';
+    return;
+  }
+  const dispatch = (type, detail) => document.dispatchEvent(new CustomEvent(type, { detail }));
+  bookmarks.forEach(({ name }, index) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '4px';
+    row.style.marginTop = '3px';
+
+    const flyButton = smallButton(name);
+    flyButton.title = 'Fly to this view';
+    flyButton.style.flex = '1';
+    flyButton.style.textAlign = 'left';
+    flyButton.style.overflow = 'hidden';
+    flyButton.style.textOverflow = 'ellipsis';
+    flyButton.addEventListener('click', () => dispatch('cameraBookmarkFly', { index }));
+
+    const renameButton = smallButton('Rename');
+    renameButton.addEventListener('click', () => {
+      const newName = window.prompt('Bookmark name', name);
+      if (newName && newName.trim()) dispatch('cameraBookmarkRename', { index, name: newName.trim() });
+    });
+
+    const deleteButton = smallButton('×');
+    deleteButton.title = 'Delete bookmark';
+    deleteButton.addEventListener('click', () => dispatch('cameraBookmarkDelete', { index }));
+
+    row.appendChild(flyButton);
+    row.appendChild(renameButton);
+    row.appendChild(deleteButton);
+    list.appendChild(row);
+  });
+}
+
+function dispatchFilterChange() {
+  RANGE_FILTERS.forEach(updateRangeLabel);
+  document.dispatchEvent(new CustomEvent('filterChange', {
+    detail: { filter: getFilterFromControls() }
+  }));
+}
+
+/**
+ * Refreshes the filter section for a newly loaded catalog (see
+ * summarizeCatalog): slider ranges and the type and status checkboxes.
+ * Bounds and unchecked boxes the user set are kept.
+ */
+export function updateFilterOptions(summary) {
+  // An empty catalog has no range to place a restored filter on yet
+  const restored = summary.types.length ? restoredFilter : null;
+  if (restored) restoredFilter = null;
+  updateRangeOptions(RANGE_FILTERS[0], summary.magnitude, restored && [restored.minMagnitude, restored.maxMagnitude]);
+  updateRangeOptions(RANGE_FILTERS[1], summary.depth, restored && [restored.minDepth, restored.maxDepth]);
+  updateCheckboxOptions('filter-types', summary.types, restored && restored.excludedTypes);
+  updateCheckboxOptions('filter-statuses', summary.statuses, restored && restored.excludedStatuses);
+}
+
+/**
+ * Shows `filter` (as for EarthquakeOverlay.setFilter()) in the filter section
+ * when the next catalog is loaded, for a view restored from a link.
+ */
+export function setFilterControls(filter) {
+  restoredFilter = filter;
+}
+
 /**
  * Creates a UI control for the earthquake overlay
  */
@@ -11,6 +226,8 @@ export function createEarthquakeControls() {
   container.style.padding = '10px';
   container.style.borderRadius = '5px';
   container.style.zIndex = '1000';
+  container.style.maxHeight = 'calc(100vh - 140px)'; // Leave room for the timeline
+  container.style.overflowY = 'auto';
   
   // Add title for the always-visible panel
   const title = document.createElement('h3');
@@ -20,6 +237,45 @@ export function createEarthquakeControls() {
   title.style.fontSize = '14px';
   title.style.fontWeight = 'bold';
   
+  // Add site picker
+  const siteDiv = document.createElement('div');
+  siteDiv.style.color = 'white';
+  siteDiv.style.marginBottom = '10px';
+  siteDiv.style.padding = '8px';
+  siteDiv.style.backgroundColor = 'rgba(55, 55, 55, 0.8)';
+  siteDiv.style.borderRadius = '3px';
+  siteDiv.style.display = 'flex';
+  siteDiv.style.justifyContent = 'space-between';
+  siteDiv.style.alignItems = 'center';
+  
+  const siteLabel = document.createElement('label');
+  siteLabel.textContent = 'Site:';
+  siteLabel.style.fontSize = '11px';
+  siteLabel.style.fontWeight = 'bold';
+  
+  const siteSelect = document.createElement('select');
+  siteSelect.id = 'site-select';
+  siteSelect.style.fontSize = '10px';
+  siteSelect.style.width = '150px';
+  
+  Object.values(SITES).forEach(site => {
+    const optElement = document.createElement('option');
+    optElement.value = site.id;
+    optElement.textContent = site.name;
+    siteSelect.appendChild(optElement);
+  });
+  siteSelect.value = DEFAULT_SITE_ID;
+  
+  siteSelect.addEventListener('change', () => {
+    // The app tears down the current terrain and events and loads the new site
+    document.dispatchEvent(new CustomEvent('changeSite', {
+      detail: { siteId: siteSelect.value }
+    }));
+  });
+  
+  siteDiv.appendChild(siteLabel);
+  siteDiv.appendChild(siteSelect);
+  
   // Add compass toggle
   const compassToggleDiv = document.createElement('div');
   compassToggleDiv.style.color = 'white';
@@ -79,6 +335,7 @@ export function createEarthquakeControls() {
   startLabel.style.width = '45px';
   
   const startDateInput = document.createElement('input');
+  startDateInput.id = 'data-start-date';
   startDateInput.type = 'date';
   startDateInput.style.fontSize = '10px';
   startDateInput.style.width = '120px';
@@ -102,6 +359,7 @@ export function createEarthquakeControls() {
   endLabel.style.width = '45px';
   
   const endDateInput = document.createElement('input');
+  endDateInput.id = 'data-end-date';
   endDateInput.type = 'date';
   endDateInput.style.fontSize = '10px';
   endDateInput.style.width = '120px';
@@ -113,6 +371,74 @@ export function createEarthquakeControls() {
   endDateDiv.appendChild(endLabel);
   endDateDiv.appendChild(endDateInput);
   
+  // Data source select
+  const sourceDiv = document.createElement('div');
+  sourceDiv.style.marginBottom = '5px';
+  
+  const sourceLabel = document.createElement('label');
+  sourceLabel.textContent = 'Source: ';
+  sourceLabel.style.fontSize = '11px';
+  sourceLabel.style.display = 'inline-block';
+  sourceLabel.style.width = '45px';
+  
+  const sourceSelect = document.createElement('select');
+  sourceSelect.id = 'data-source-select';
+  sourceSelect.style.fontSize = '10px';
+  sourceSelect.style.width = '124px';
+  
+  Object.values(DATA_SOURCES).forEach(source => {
+    const optElement = document.createElement('option');
+    optElement.value = source.id;
+    optElement.textContent = source.name;
+    sourceSelect.appendChild(optElement);
+  });
+  sourceSelect.value = DEFAULT_DATA_SOURCE_ID;
+  
+  sourceDiv.appendChild(sourceLabel);
+  sourceDiv.appendChild(sourceSelect);
+  
+  // Request chunking: window size and parallel requests
+  const chunkDiv = document.createElement('div');
+  chunkDiv.style.marginBottom = '5px';
+  
+  const chunkLabel = document.createElement('label');
+  chunkLabel.textContent = 'Chunks: ';
+  chunkLabel.style.fontSize = '11px';
+  chunkLabel.style.display = 'inline-block';
+  chunkLabel.style.width = '45px';
+  
+  const windowSelect = document.createElement('select');
+  windowSelect.style.fontSize = '10px';
+  windowSelect.style.width = '60px';
+  windowSelect.title = 'Days per request';
+  [7, 30, 90, 365].forEach(days => {
+    const optElement = document.createElement('option');
+    optElement.value = days;
+    optElement.textContent = `${days} d`;
+    windowSelect.appendChild(optElement);
+  });
+  windowSelect.value = '30';
+  
+  const concurrencySelect = document.createElement('select');
+  concurrencySelect.style.fontSize = '10px';
+  concurrencySelect.style.width = '60px';
+  concurrencySelect.style.marginLeft = '4px';
+  concurrencySelect.title = 'Requests in parallel';
+  [
+    { value: 1, label: '1 at a time' },
+    { value: 2, label: '2 parallel' },
+    { value: 4, label: '4 parallel' },
+  ].forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    concurrencySelect.appendChild(optElement);
+  });
+  
+  chunkDiv.appendChild(chunkLabel);
+  chunkDiv.appendChild(windowSelect);
+  chunkDiv.appendChild(concurrencySelect);
+  
   // Load data button
   const loadButton = document.createElement('button');
   loadButton.id = 'load-data-btn';
@@ -128,14 +454,24 @@ export function createEarthquakeControls() {
   loadButton.style.marginTop = '5px';
   
   loadButton.addEventListener('click', () => {
+    // While a load is running the button cancels it
+    if (loadButton.dataset.loading === 'true') {
+      document.dispatchEvent(new CustomEvent('cancelEarthquakeLoad'));
+      return;
+    }
+    
     const startDate = startDateInput.value;
     const endDate = endDateInput.value;
+    const sourceId = sourceSelect.value;
+    const windowDays = parseInt(windowSelect.value, 10);
+    const concurrency = parseInt(concurrencySelect.value, 10);
+    const useCache = cacheCheckbox.checked;
     
     if (startDate && endDate) {
       if (startDate <= endDate) {
-        // Dispatch custom event with date range
+        // Dispatch custom event with date range, data source and chunking
         const loadDataEvent = new CustomEvent('loadEarthquakeData', {
-          detail: { startDate, endDate }
+          detail: { startDate, endDate, sourceId, windowDays, concurrency, useCache }
         });
         document.dispatchEvent(loadDataEvent);
       } else {
@@ -149,7 +485,396 @@ export function createEarthquakeControls() {
   dateRangeDiv.appendChild(dateRangeTitle);
   dateRangeDiv.appendChild(startDateDiv);
   dateRangeDiv.appendChild(endDateDiv);
+  // Load progress, filled in by the application while a load runs
+  const progressDiv = document.createElement('div');
+  progressDiv.id = 'load-progress';
+  progressDiv.style.display = 'none';
+  progressDiv.style.marginTop = '5px';
+  
+  const progressTrack = document.createElement('div');
+  progressTrack.style.height = '4px';
+  progressTrack.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+  progressTrack.style.borderRadius = '2px';
+  
+  const progressBar = document.createElement('div');
+  progressBar.id = 'load-progress-bar';
+  progressBar.style.height = '100%';
+  progressBar.style.width = '0%';
+  progressBar.style.backgroundColor = '#4CAF50';
+  progressBar.style.borderRadius = '2px';
+  progressBar.style.transition = 'width 0.2s';
+  
+  const progressText = document.createElement('div');
+  progressText.id = 'load-progress-text';
+  progressText.style.fontSize = '10px';
+  progressText.style.marginTop = '3px';
+  
+  progressTrack.appendChild(progressBar);
+  progressDiv.appendChild(progressTrack);
+  progressDiv.appendChild(progressText);
+  
+  dateRangeDiv.appendChild(sourceDiv);
+  dateRangeDiv.appendChild(chunkDiv);
   dateRangeDiv.appendChild(loadButton);
+  dateRangeDiv.appendChild(progressDiv);
+  
+  // Add offline cache controls
+  const cacheDiv = document.createElement('div');
+  cacheDiv.style.color = 'white';
+  cacheDiv.style.marginTop = '10px';
+  cacheDiv.style.padding = '8px';
+  cacheDiv.style.backgroundColor = 'rgba(55, 55, 55, 0.8)';
+  cacheDiv.style.borderRadius = '3px';
+  
+  const cacheHeader = document.createElement('div');
+  cacheHeader.style.display = 'flex';
+  cacheHeader.style.justifyContent = 'space-between';
+  cacheHeader.style.alignItems = 'center';
+  cacheHeader.style.marginBottom = '5px';
+  
+  const cacheTitle = document.createElement('label');
+  cacheTitle.textContent = 'Offline Cache:';
+  cacheTitle.style.fontWeight = 'bold';
+  cacheTitle.style.fontSize = '12px';
+  
+  const cacheCheckbox = document.createElement('input');
+  cacheCheckbox.type = 'checkbox';
+  cacheCheckbox.checked = true; // Use cache by default
+  cacheCheckbox.title = 'Reuse previously loaded windows';
+  
+  const cacheStats = document.createElement('div');
+  cacheStats.id = 'cache-stats';
+  cacheStats.textContent = 'Empty';
+  cacheStats.style.fontSize = '10px';
+  cacheStats.style.marginBottom = '5px';
+  
+  const purgeButton = document.createElement('button');
+  purgeButton.textContent = 'Purge Cache';
+  purgeButton.style.width = '100%';
+  purgeButton.style.padding = '3px';
+  purgeButton.style.fontSize = '11px';
+  purgeButton.style.cursor = 'pointer';
+  
+  purgeButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('purgeCatalogCache'));
+  });
+  
+  cacheHeader.appendChild(cacheTitle);
+  cacheHeader.appendChild(cacheCheckbox);
+  cacheDiv.appendChild(cacheHeader);
+  cacheDiv.appendChild(cacheStats);
+  cacheDiv.appendChild(purgeButton);
+  
+  // Add local catalog import controls
+  const importDiv = document.createElement('div');
+  importDiv.style.color = 'white';
+  importDiv.style.marginTop = '10px';
+  importDiv.style.padding = '8px';
+  importDiv.style.backgroundColor = 'rgba(55, 55, 55, 0.8)';
+  importDiv.style.borderRadius = '3px';
+  
+  const importTitle = document.createElement('div');
+  importTitle.textContent = 'Local Catalog:';
+  importTitle.style.fontWeight = 'bold';
+  importTitle.style.fontSize = '12px';
+  importTitle.style.marginBottom = '5px';
+  
+  const importHint = document.createElement('div');
+  importHint.textContent = 'Drop a GeoJSON, CSV or QuakeML file on the map, or pick one:';
+  importHint.style.fontSize = '10px';
+  importHint.style.marginBottom = '5px';
+  importHint.style.maxWidth = '170px';
+  
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,.json,.geojson,.xml,.quakeml,.qml';
+  fileInput.style.fontSize = '10px';
+  fileInput.style.width = '170px';
+  fileInput.style.marginBottom = '5px';
+  
+  // CSV column mapping
+  const columnsDiv = document.createElement('div');
+  columnsDiv.style.display = 'grid';
+  columnsDiv.style.gridTemplateColumns = '45px 120px';
+  columnsDiv.style.rowGap = '2px';
+  columnsDiv.style.marginBottom = '5px';
+  
+  CSV_COLUMN_FIELDS.forEach(({ field, label }) => {
+    const columnLabel = document.createElement('label');
+    columnLabel.textContent = `${label}: `;
+    columnLabel.style.fontSize = '11px';
+    
+    const columnInput = document.createElement('input');
+    columnInput.type = 'text';
+    columnInput.id = `catalog-column-${field}`;
+    columnInput.placeholder = DEFAULT_CSV_COLUMNS[field];
+    columnInput.title = 'CSV column name';
+    columnInput.style.fontSize = '10px';
+    
+    columnsDiv.appendChild(columnLabel);
+    columnsDiv.appendChild(columnInput);
+  });
+  
+  const modeSelect = document.createElement('select');
+  modeSelect.id = 'catalog-import-mode';
+  modeSelect.style.fontSize = '10px';
+  modeSelect.style.width = '170px';
+  [
+    { value: 'replace', label: 'Replace loaded events' },
+    { value: 'merge', label: 'Merge with loaded events' },
+  ].forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    modeSelect.appendChild(optElement);
+  });
+  
+  const importStatus = document.createElement('div');
+  importStatus.id = 'catalog-import-status';
+  importStatus.style.fontSize = '10px';
+  importStatus.style.marginTop = '5px';
+  importStatus.style.maxWidth = '170px';
+  
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    const importEvent = new CustomEvent('importCatalogFile', {
+      detail: { file, ...getCatalogImportOptions() }
+    });
+    document.dispatchEvent(importEvent);
+    // Allow picking the same file again
+    fileInput.value = '';
+  });
+  
+  importDiv.appendChild(importTitle);
+  importDiv.appendChild(importHint);
+  importDiv.appendChild(fileInput);
+  importDiv.appendChild(columnsDiv);
+  importDiv.appendChild(modeSelect);
+  importDiv.appendChild(importStatus);
+  
+  // Client-side filters; options are filled in by updateFilterOptions() once a catalog loads
+  const filterDiv = document.createElement('div');
+  filterDiv.style.color = 'white';
+  filterDiv.style.marginTop = '10px';
+  
+  const filterTitle = document.createElement('div');
+  filterTitle.textContent = 'Filters';
+  filterTitle.style.fontWeight = 'bold';
+  filterTitle.style.marginBottom = '5px';
+  filterDiv.appendChild(filterTitle);
+  
+  RANGE_FILTERS.forEach(filter => {
+    const label = document.createElement('div');
+    label.style.fontSize = '12px';
+    label.style.marginTop = '4px';
+    label.appendChild(document.createTextNode(`${filter.key}: `));
+    const value = document.createElement('span');
+    value.id = filter.label;
+    value.textContent = 'no data';
+    label.appendChild(value);
+    filterDiv.appendChild(label);
+    
+    [filter.min, filter.max].forEach((id, i) => {
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = id;
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = String(filter.step);
+      slider.value = i === 0 ? '0' : '1';
+      slider.disabled = true;
+      slider.style.width = '100%';
+      slider.style.display = 'block';
+      slider.title = i === 0 ? `Minimum ${filter.key.toLowerCase()}` : `Maximum ${filter.key.toLowerCase()}`;
+      slider.addEventListener('input', () => {
+        // Keep the thumbs from crossing
+        const minSlider = document.getElementById(filter.min);
+        const maxSlider = document.getElementById(filter.max);
+        if (parseFloat(minSlider.value) > parseFloat(maxSlider.value)) {
+          if (i === 0) maxSlider.value = minSlider.value;
+          else minSlider.value = maxSlider.value;
+        }
+        updateRangeLabel(filter);
+      });
+      slider.addEventListener('change', dispatchFilterChange);
+      filterDiv.appendChild(slider);
+    });
+  });
+  
+  [['filter-types', 'Event types'], ['filter-statuses', 'Review status']].forEach(([id, title]) => {
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.fontSize = '12px';
+    heading.style.marginTop = '6px';
+    heading.style.textDecoration = 'underline';
+    const list = document.createElement('div');
+    list.id = id;
+    list.style.fontSize = '12px';
+    list.style.maxHeight = '90px';
+    list.style.overflowY = 'auto';
+    list.textContent = 'no data';
+    filterDiv.appendChild(heading);
+    filterDiv.appendChild(list);
+  });
+  
+  const resetFiltersButton = document.createElement('button');
+  resetFiltersButton.textContent = 'Show all';
+  resetFiltersButton.style.marginTop = '6px';
+  resetFiltersButton.style.padding = '2px 8px';
+  resetFiltersButton.style.fontSize = '11px';
+  resetFiltersButton.style.cursor = 'pointer';
+  resetFiltersButton.addEventListener('click', () => {
+    RANGE_FILTERS.forEach(filter => {
+      const minSlider = document.getElementById(filter.min);
+      const maxSlider = document.getElementById(filter.max);
+      minSlider.value = minSlider.min;
+      maxSlider.value = maxSlider.max;
+    });
+    filterDiv.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = true;
+    });
+    dispatchFilterChange();
+  });
+  filterDiv.appendChild(resetFiltersButton);
+  
+  // Hypocenter coloring and sizing
+  const styleDiv = document.createElement('div');
+  styleDiv.style.color = 'white';
+  styleDiv.style.marginTop = '10px';
+  
+  const styleTitle = document.createElement('div');
+  styleTitle.textContent = 'Hypocenter Style';
+  styleTitle.style.fontWeight = 'bold';
+  styleTitle.style.marginBottom = '5px';
+  styleDiv.appendChild(styleTitle);
+  
+  const createStyleSelect = (id, labelText, options, value) => {
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.display = 'block';
+    label.style.fontSize = '12px';
+    label.style.marginTop = '4px';
+    
+    const select = document.createElement('select');
+    select.id = id;
+    select.style.width = '100%';
+    Object.entries(options).forEach(([optionValue, optionLabel]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionLabel;
+      select.appendChild(option);
+    });
+    select.value = value;
+    
+    styleDiv.appendChild(label);
+    styleDiv.appendChild(select);
+    return select;
+  };
+  
+  const colorBySelect = createStyleSelect('color-by-select', 'Color by:', COLOR_BY_MODES, DEFAULT_HYPOCENTER_STYLE.colorBy);
+  const colormapOptions = Object.fromEntries(Object.entries(COLORMAPS).map(([id, colormap]) => [id, colormap.label]));
+  const colormapSelect = createStyleSelect('colormap-select', 'Colormap:', colormapOptions, DEFAULT_HYPOCENTER_STYLE.colormap);
+  const sizeBySelect = createStyleSelect('size-by-select', 'Size by:', SIZE_BY_MODES, DEFAULT_HYPOCENTER_STYLE.sizeBy);
+  
+  // Colormaps only apply to the continuous modes
+  const updateColormapAvailability = () => {
+    colormapSelect.disabled = colorBySelect.value === 'age' || colorBySelect.value === 'type';
+  };
+  updateColormapAvailability();
+  
+  const dispatchStyle = () => {
+    updateColormapAvailability();
+    document.dispatchEvent(new CustomEvent('hypocenterStyleChange', {
+      detail: {
+        colorBy: colorBySelect.value,
+        colormap: colormapSelect.value,
+        sizeBy: sizeBySelect.value,
+      }
+    }));
+  };
+  [colorBySelect, colormapSelect, sizeBySelect].forEach(select => {
+    select.addEventListener('change', dispatchStyle);
+  });
+  
+  // Playback aging: how long events take to grow in, stay bright and fade
+  const agingDiv = document.createElement('div');
+  agingDiv.style.color = 'white';
+  agingDiv.style.marginTop = '10px';
+  
+  const agingTitle = document.createElement('div');
+  agingTitle.textContent = 'Playback Aging';
+  agingTitle.style.fontWeight = 'bold';
+  agingTitle.style.marginBottom = '5px';
+  agingDiv.appendChild(agingTitle);
+  
+  const createAgingInput = (id, labelText, value, { min = 0, max, step }) => {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.justifyContent = 'space-between';
+    row.style.alignItems = 'center';
+    row.style.fontSize = '12px';
+    row.style.marginTop = '3px';
+    
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.htmlFor = id;
+    
+    const input = document.createElement('input');
+    input.id = id;
+    input.type = 'number';
+    input.min = String(min);
+    if (max !== undefined) input.max = String(max);
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = '60px';
+    input.style.marginLeft = '8px';
+    
+    row.appendChild(label);
+    row.appendChild(input);
+    agingDiv.appendChild(row);
+    return input;
+  };
+  
+  const growInput = createAgingInput('aging-grow-hours', 'Grow-in (hours)', DEFAULT_AGING.growHours, { step: 0.25 });
+  const fadeStartInput = createAgingInput('aging-fade-start-hours', 'Fade after (hours)', DEFAULT_AGING.fadeStartHours, { step: 1 });
+  const fadeInput = createAgingInput('aging-fade-days', 'Fade length (days)', DEFAULT_AGING.fadeHours / 24, { step: 0.5 });
+  const floorInput = createAgingInput('aging-floor-opacity', 'Floor opacity', DEFAULT_AGING.floorOpacity, { max: 1, step: 0.05 });
+  const trailInput = createAgingInput('aging-trail-days', 'Show last days (0 = all)', DEFAULT_AGING.trailHours / 24, { step: 1 });
+  
+  const autoScaleLabel = document.createElement('label');
+  autoScaleLabel.style.display = 'block';
+  autoScaleLabel.style.fontSize = '12px';
+  autoScaleLabel.style.marginTop = '5px';
+  const autoScaleCheckbox = document.createElement('input');
+  autoScaleCheckbox.type = 'checkbox';
+  autoScaleCheckbox.id = 'aging-auto-scale';
+  autoScaleCheckbox.checked = DEFAULT_AGING.autoScale;
+  autoScaleLabel.appendChild(autoScaleCheckbox);
+  autoScaleLabel.appendChild(document.createTextNode(' Scale to loaded range'));
+  autoScaleLabel.title = 'Grow-in and fade durations are taken as meant for one week and scaled to the loaded time range';
+  agingDiv.appendChild(autoScaleLabel);
+  
+  const dispatchAging = () => {
+    // Empty or invalid fields keep their default
+    const read = (input, fallback) => {
+      const value = parseFloat(input.value);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    document.dispatchEvent(new CustomEvent('agingChange', {
+      detail: {
+        growHours: read(growInput, DEFAULT_AGING.growHours),
+        fadeStartHours: read(fadeStartInput, DEFAULT_AGING.fadeStartHours),
+        fadeHours: read(fadeInput, DEFAULT_AGING.fadeHours / 24) * 24,
+        floorOpacity: Math.min(1, read(floorInput, DEFAULT_AGING.floorOpacity)),
+        trailHours: read(trailInput, 0) * 24,
+        autoScale: autoScaleCheckbox.checked,
+      }
+    }));
+  };
+  [growInput, fadeStartInput, fadeInput, floorInput, trailInput, autoScaleCheckbox].forEach(input => {
+    input.addEventListener('change', dispatchAging);
+  });
   
   // Add bloom intensity control
   const bloomControlDiv = document.createElement('div');
@@ -163,6 +888,7 @@ export function createEarthquakeControls() {
   
   const bloomSlider = document.createElement('input');
   bloomSlider.type = 'range';
+  bloomSlider.id = 'bloom-strength-slider';
   bloomSlider.min = '0';
   bloomSlider.max = '3';
   bloomSlider.step = '0.1';
@@ -192,6 +918,7 @@ export function createEarthquakeControls() {
   
   const opacitySlider = document.createElement('input');
   opacitySlider.type = 'range';
+  opacitySlider.id = 'terrain-opacity-slider';
   opacitySlider.min = '0';
   opacitySlider.max = '1';
   opacitySlider.step = '0.01'; // Much finer steps for smoother opacity control
@@ -223,6 +950,234 @@ export function createEarthquakeControls() {
   opacityControlDiv.appendChild(opacitySlider);
   opacityControlDiv.appendChild(opacityValue);
   
+  // Add vertical exaggeration control; 1x is true scale, computed from the DEM's ground resolution
+  const exaggerationControlDiv = document.createElement('div');
+  exaggerationControlDiv.style.color = 'white';
+  exaggerationControlDiv.style.marginTop = '10px';
+  
+  const exaggerationLabel = document.createElement('label');
+  exaggerationLabel.textContent = 'Vertical Exaggeration: ';
+  exaggerationLabel.style.display = 'block';
+  exaggerationLabel.style.marginBottom = '5px';
+  
+  const exaggerationSlider = document.createElement('input');
+  exaggerationSlider.id = 'vertical-exaggeration-slider';
+  exaggerationSlider.type = 'range';
+  exaggerationSlider.min = '0.25';
+  exaggerationSlider.max = '5';
+  exaggerationSlider.step = '0.25';
+  exaggerationSlider.value = '1';
+  exaggerationSlider.style.width = '100%';
+  
+  const exaggerationValue = document.createElement('span');
+  exaggerationValue.style.marginLeft = '10px';
+  exaggerationValue.style.fontSize = '12px';
+  
+  const trueScaleButton = document.createElement('button');
+  trueScaleButton.textContent = '1:1';
+  trueScaleButton.title = 'True scale';
+  trueScaleButton.style.marginLeft = '10px';
+  trueScaleButton.style.padding = '2px 6px';
+  trueScaleButton.style.fontSize = '11px';
+  trueScaleButton.style.cursor = 'pointer';
+  
+  const setExaggeration = (exaggeration) => {
+    exaggerationValue.textContent = exaggeration === 1 ? '1.00x (true scale)' : `${exaggeration.toFixed(2)}x`;
+    document.dispatchEvent(new CustomEvent('verticalExaggerationChange', {
+      detail: { exaggeration }
+    }));
+  };
+  exaggerationValue.textContent = '1.00x (true scale)';
+  
+  exaggerationSlider.addEventListener('input', (event) => {
+    setExaggeration(parseFloat(event.target.value));
+  });
+  
+  trueScaleButton.addEventListener('click', () => {
+    exaggerationSlider.value = '1';
+    setExaggeration(1);
+  });
+  
+  exaggerationControlDiv.appendChild(exaggerationLabel);
+  exaggerationControlDiv.appendChild(exaggerationSlider);
+  exaggerationControlDiv.appendChild(exaggerationValue);
+  exaggerationControlDiv.appendChild(trueScaleButton);
+  
+  // Catalog depths are usually below sea level; some networks report them below the surface
+  const depthReferenceLabel = document.createElement('label');
+  depthReferenceLabel.textContent = 'Depth measured from: ';
+  depthReferenceLabel.style.display = 'block';
+  depthReferenceLabel.style.marginTop = '8px';
+  depthReferenceLabel.style.marginBottom = '5px';
+  
+  const depthReferenceSelect = document.createElement('select');
+  depthReferenceSelect.id = 'depth-reference-select';
+  depthReferenceSelect.style.width = '100%';
+  [['sea-level', 'Sea level'], ['surface', 'Local surface']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    depthReferenceSelect.appendChild(option);
+  });
+  
+  depthReferenceSelect.addEventListener('change', (event) => {
+    document.dispatchEvent(new CustomEvent('depthReferenceChange', {
+      detail: { reference: event.target.value }
+    }));
+  });
+  
+  exaggerationControlDiv.appendChild(depthReferenceLabel);
+  exaggerationControlDiv.appendChild(depthReferenceSelect);
+  
+  // Preset views and saved bookmarks
+  const cameraDiv = document.createElement('div');
+  cameraDiv.style.color = 'white';
+  cameraDiv.style.marginTop = '10px';
+  
+  const cameraTitle = document.createElement('div');
+  cameraTitle.textContent = 'Camera';
+  cameraTitle.style.fontWeight = 'bold';
+  cameraTitle.style.marginBottom = '5px';
+  cameraDiv.appendChild(cameraTitle);
+  
+  const presetRow = document.createElement('div');
+  presetRow.style.display = 'flex';
+  presetRow.style.flexWrap = 'wrap';
+  presetRow.style.gap = '4px';
+  Object.entries(CAMERA_PRESETS).forEach(([preset, { label }]) => {
+    const button = smallButton(label);
+    button.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('cameraPreset', { detail: { preset } }));
+    });
+    presetRow.appendChild(button);
+  });
+  cameraDiv.appendChild(presetRow);
+  
+  const bookmarkRow = document.createElement('div');
+  bookmarkRow.style.display = 'flex';
+  bookmarkRow.style.gap = '4px';
+  bookmarkRow.style.marginTop = '6px';
+  
+  const bookmarkName = document.createElement('input');
+  bookmarkName.type = 'text';
+  bookmarkName.id = 'camera-bookmark-name';
+  bookmarkName.placeholder = 'Bookmark name';
+  bookmarkName.style.flex = '1';
+  bookmarkName.style.minWidth = '0';
+  bookmarkName.style.fontSize = '11px';
+  
+  const saveBookmarkButton = smallButton('Save view');
+  const saveBookmark = () => {
+    document.dispatchEvent(new CustomEvent('cameraBookmarkSave', {
+      detail: { name: bookmarkName.value.trim() }
+    }));
+    bookmarkName.value = '';
+  };
+  saveBookmarkButton.addEventListener('click', saveBookmark);
+  bookmarkName.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') saveBookmark();
+  });
+  
+  bookmarkRow.appendChild(bookmarkName);
+  bookmarkRow.appendChild(saveBookmarkButton);
+  cameraDiv.appendChild(bookmarkRow);
+  
+  const bookmarkList = document.createElement('div');
+  bookmarkList.id = 'camera-bookmarks';
+  bookmarkList.style.fontSize = '12px';
+  bookmarkList.style.marginTop = '4px';
+  bookmarkList.style.maxHeight = '120px';
+  bookmarkList.style.overflowY = 'auto';
+  bookmarkList.textContent = 'No bookmarks for this site';
+  cameraDiv.appendChild(bookmarkList);
+  
+  // High-resolution export of the current view
+  const imageExportDiv = document.createElement('div');
+  imageExportDiv.style.color = 'white';
+  imageExportDiv.style.marginTop = '10px';
+  
+  const imageExportTitle = document.createElement('div');
+  imageExportTitle.textContent = 'Save Image';
+  imageExportTitle.style.fontWeight = 'bold';
+  imageExportTitle.style.marginBottom = '5px';
+  imageExportDiv.appendChild(imageExportTitle);
+  
+  const imageScaleRow = document.createElement('div');
+  imageScaleRow.style.display = 'flex';
+  imageScaleRow.style.justifyContent = 'space-between';
+  imageScaleRow.style.alignItems = 'center';
+  imageScaleRow.style.fontSize = '12px';
+  
+  const imageScaleLabel = document.createElement('label');
+  imageScaleLabel.textContent = 'Size';
+  imageScaleLabel.htmlFor = 'image-scale-select';
+  
+  const imageScaleSelect = document.createElement('select');
+  imageScaleSelect.id = 'image-scale-select';
+  imageScaleSelect.style.marginLeft = '8px';
+  [1, 2, 3, 4].forEach(scale => {
+    const option = document.createElement('option');
+    option.value = String(scale);
+    option.textContent = scale === 1 ? '1x (screen)' : `${scale}x`;
+    imageScaleSelect.appendChild(option);
+  });
+  imageScaleSelect.value = '2';
+  
+  const imageSizeValue = document.createElement('span');
+  imageSizeValue.style.marginLeft = 'auto';
+  imageSizeValue.style.paddingLeft = '8px';
+  imageSizeValue.style.opacity = '0.8';
+  
+  // Output pixels follow the window size, so refresh when either changes
+  const updateImageSize = () => {
+    const ratio = (window.devicePixelRatio || 1) * parseInt(imageScaleSelect.value, 10);
+    imageSizeValue.textContent = `${Math.round(window.innerWidth * ratio)} x ${Math.round(window.innerHeight * ratio)} px`;
+  };
+  updateImageSize();
+  imageScaleSelect.addEventListener('change', updateImageSize);
+  window.addEventListener('resize', updateImageSize);
+  
+  imageScaleRow.appendChild(imageScaleLabel);
+  imageScaleRow.appendChild(imageScaleSelect);
+  imageScaleRow.appendChild(imageSizeValue);
+  imageExportDiv.appendChild(imageScaleRow);
+  
+  const imageAnnotations = [
+    ['legend', 'image-legend', 'Legend'],
+    ['scaleBar', 'image-scale-bar', 'Scale bar'],
+    ['compass', 'image-compass', 'Compass'],
+    ['timestamp', 'image-timestamp', 'Time stamp']
+  ].map(([key, id, text]) => {
+    const label = document.createElement('label');
+    label.style.display = 'block';
+    label.style.fontSize = '12px';
+    label.style.marginTop = '3px';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = id;
+    checkbox.checked = true;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    imageExportDiv.appendChild(label);
+    return [key, checkbox];
+  });
+  
+  const saveImageButton = document.createElement('button');
+  saveImageButton.textContent = 'Save image';
+  saveImageButton.style.marginTop = '6px';
+  saveImageButton.style.padding = '2px 8px';
+  saveImageButton.style.fontSize = '11px';
+  saveImageButton.style.cursor = 'pointer';
+  saveImageButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('saveImage', {
+      detail: {
+        scale: parseInt(imageScaleSelect.value, 10),
+        annotations: Object.fromEntries(imageAnnotations.map(([key, checkbox]) => [key, checkbox.checked]))
+      }
+    }));
+  });
+  imageExportDiv.appendChild(saveImageButton);
+  
   // Add terrain brightness control
   const brightnessControlDiv = document.createElement('div');
   brightnessControlDiv.style.color = 'white';
@@ -279,10 +1234,19 @@ export function createEarthquakeControls() {
   infoDiv.style.wordWrap = 'break-word';
   
   container.appendChild(title);
+  container.appendChild(siteDiv);
   container.appendChild(compassToggleDiv);
   container.appendChild(dateRangeDiv);
+  container.appendChild(cacheDiv);
+  container.appendChild(importDiv);
+  container.appendChild(filterDiv);
+  container.appendChild(styleDiv);
+  container.appendChild(agingDiv);
   container.appendChild(bloomControlDiv);
   container.appendChild(opacityControlDiv);
+  container.appendChild(exaggerationControlDiv);
+  container.appendChild(cameraDiv);
+  container.appendChild(imageExportDiv);
   container.appendChild(infoDiv);
   return container;
 }
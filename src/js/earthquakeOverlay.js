@@ -1,22 +1,25 @@
 // EarthquakeOverlay.js
 
-import {
-  SphereGeometry,
-  MeshBasicMaterial,
-  Mesh,
-  Group,
-  BufferGeometry,
-  LineBasicMaterial,
-  Line,
-  Float32BufferAttribute,
-  Color,
-} from 'three';
+import { Group, Vector3 } from 'three';
+import { HypocenterLayer } from './hypocenterLayer';
+import { DEFAULT_AGING, resolveAging } from './hypocenterStyle';
+import { DEFAULT_FILTER, matchesFilter } from './eventFilter';
+import { createDataSource, splitTimeWindows, toEpoch, toFdsnTime } from './dataSources';
+import { missingSpans } from './catalogCache';
+import { terrainFraction } from './projections';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LIVE_OVERLAP_MS = 60 * 1000;
+const PULSE_MS = 10000;
 
 export class EarthquakeOverlay {
-  constructor() {
+  constructor(opts = {}) {
     this.group = new Group();
     this.visible = true;
     this.earthquakeData = [];
+    this.dataSource = opts.dataSource || createDataSource();
+    this.cache = opts.cache || null;
 
     this.timeRange = { start: null, end: null };
     this.currentTime = null;
@@ -24,196 +27,561 @@ export class EarthquakeOverlay {
     this.playbackSpeed = 1;
     this.lastFrameTime = 0;
     this.animationId = null;
-    this.manuallyPaused = false;
+    // At the end of the range playback stops ('once'), wraps to the start
+    // ('loop') or reverses ('ping-pong'); playbackDirection is -1 while running back
+    this.loopMode = 'once';
+    this.playbackDirection = 1;
+    // Step forward/back size in ms
+    this.stepInterval = HOUR_MS;
 
     this.onTimeRangeChange = null;
     this.onTimeChange = null;
     this.onVisualize = null;
+    this.onLegendChange = null;
+    this.onDataChange = null;
+    this.onFilteredDataChange = null;
+    this.onTimeWindowChange = null;
+    this.onSelectionChange = null;
+
+    // Client-side filters; visibleData is the part of the catalog that is drawn
+    this.filter = { ...DEFAULT_FILTER };
+    this.visibleData = [];
+    // Sub-window of timeRange brushed on the timeline; playback stays inside it
+    this.timeWindow = null;
+
+    // Playback aging settings as picked; resolved against the time range in applyAging()
+    this.aging = { ...DEFAULT_AGING };
 
     this.bloomLayer = 1;
     this.selectedFeatureId = null;
+    this.hoveredFeatureId = null;
+
+    // All hypocenters are drawn by one instanced layer, rebuilt when the data changes
+    this.hypocenters = new HypocenterLayer({ bloomLayer: this.bloomLayer });
+    this.group.add(this.hypocenters.getObject3D());
+    this.dataVersion = 0;
+    this.layerVersion = -1;
+    this.layerBounds = null;
+    this.layerElevationScale = null;
+
+    // Drop lines start at the DEM surface; elevations are sampled from the
+    // terrain through elevationSampler(points) => Promise<elevations in meters>
+    this.elevationSampler = null;
+    this.surfaceElevations = new Map(); // featureId -> meters, NaN when unknown
+    this.elevationEpoch = 0;
+    this.elevationRequest = null;
+    // Whether catalog depths are below sea level or below the local surface
+    this.depthReference = 'sea-level';
+
+    this.isLive = false;
+    this.arrivals = new Map(); // featureId -> wall-clock arrival time, for the pulse
+    this.onNewEvents = null;
+    this.onLiveChange = null;
   }
 
   setBloomLayer(layer) {
     this.bloomLayer = layer;
+    this.hypocenters.bloomLayer = layer;
+    this.hypocenters.mesh.layers.set(0);
+    this.hypocenters.mesh.layers.enable(layer);
+  }
+
+  /**
+   * @param {string} reference - 'sea-level' or 'surface'
+   */
+  setDepthReference(reference) {
+    this.depthReference = reference;
+    // Rebuilt on the next visualize()
+    this.layerVersion = -1;
+  }
+
+  /**
+   * DEM elevation in meters under an event, or null when not sampled (yet).
+   */
+  getSurfaceElevation(featureId) {
+    const elevation = this.surfaceElevations.get(featureId);
+    return Number.isFinite(elevation) ? elevation : null;
   }
 
-  async loadData(bounds = { minLat: 50, maxLat: 72, minLon: -190, maxLon: -129 }, startDate = '2025-07-01', endDate = null) {
+  /**
+   * Event depth in km below sea level and below the local surface, following
+   * the current depth reference. Either is null when it cannot be told.
+   */
+  getDepths(feature) {
+    const depth = feature.geometry.coordinates[2];
+    if (depth === null || depth === undefined) return { belowSeaLevel: null, belowSurface: null };
+    const surface = this.getSurfaceElevation(feature.id);
+    if (this.depthReference === 'surface') {
+      return { belowSeaLevel: surface !== null ? depth - surface / 1000 : null, belowSurface: depth };
+    }
+    return { belowSeaLevel: depth, belowSurface: surface !== null ? depth + surface / 1000 : null };
+  }
+
+  /**
+   * Changes hypocenter coloring and sizing (see hypocenterStyle.js).
+   */
+  setHypocenterStyle(style) {
+    this.hypocenters.setStyle(style);
+    this.notifyLegend();
+  }
+
+  /**
+   * Changes the magnitude, depth, type and status filters (see DEFAULT_FILTER).
+   * Takes effect on the next visualize().
+   */
+  setFilter(filter) {
+    this.filter = { ...this.filter, ...filter };
+    this.layerVersion = -1;
+  }
+
+  /**
+   * Zooms playback to `timeWindow` ({ start, end } in epoch ms) and hides events
+   * outside it, or restores the full range when `timeWindow` is null.
+   */
+  setTimeWindow(timeWindow, terrainBounds) {
+    this.timeWindow = timeWindow ? { start: timeWindow.start, end: timeWindow.end } : null;
+    this.setFilter({
+      startTime: timeWindow ? timeWindow.start : null,
+      endTime: timeWindow ? timeWindow.end : null,
+    });
+    const range = this.getPlaybackRange();
+    if (this.onTimeWindowChange) this.onTimeWindowChange(range, this.timeWindow);
+    if (this.currentTime !== null && range.start !== null) {
+      this.setTime(Math.min(Math.max(this.currentTime, range.start), range.end), terrainBounds);
+    } else {
+      this.visualize(terrainBounds, this.currentTime);
+    }
+  }
+
+  /**
+   * The time span playback runs over: the brushed window, else the loaded range.
+   */
+  getPlaybackRange() {
+    return this.timeWindow || this.timeRange;
+  }
+
+  /**
+   * Changes the playback aging settings (see DEFAULT_AGING).
+   */
+  setAging(aging) {
+    this.aging = { ...this.aging, ...aging };
+    this.applyAging();
+  }
+
+  applyAging() {
+    this.hypocenters.setAging(resolveAging(this.aging, this.timeRange));
+    this.notifyLegend();
+  }
+
+  /**
+   * The legend for the current style plus the resolved aging settings.
+   */
+  getLegend() {
+    return { ...this.hypocenters.legend, aging: this.hypocenters.aging };
+  }
+
+  notifyLegend() {
+    if (this.onLegendChange) this.onLegendChange(this.getLegend());
+  }
+
+  setDataSource(dataSource) {
+    this.dataSource = dataSource;
+  }
+
+  /**
+   * Loads events for [startDate, endDate] from the current data source.
+   *
+   * The range is fetched in time windows so long ranges stay below the
+   * server's result cap; a window that hits the cap is split in half and
+   * refetched. Events are deduplicated by id. Starting a new load aborts the
+   * one in flight, and `cancelLoad()` aborts it explicitly (the returned
+   * promise then rejects with an AbortError).
+   *
+   * With a cache set, windows cached by earlier loads are shown first through
+   * `onPartialData`, refreshed with `updatedafter`, and only the uncovered
+   * spans of the range are fetched in full.
+   *
+   * Refreshes that hit the cap split their cached window the same way. A
+   * window of an hour or less that still hits the cap cannot be split
+   * further: its events are kept but the window is not cached (or its
+   * refresh not recorded), so a later load fetches it again, and it is
+   * counted in `truncated`.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.windowDays] - Size of each request window
+   * @param {number} [options.concurrency] - Windows fetched in parallel (1 = sequential)
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   * @param {boolean} [options.useCache] - Read from and write to `this.cache`
+   * @param {Function} [options.onProgress] - Called with { completed, total, events, cached, truncated }
+   * @param {Function} [options.onPartialData] - Called with cached events before fetching
+   */
+  async loadData(
+    bounds = { minLat: 50, maxLat: 72, minLon: -190, maxLon: -129 },
+    startDate = '2025-07-01',
+    endDate = null,
+    {
+      windowDays = 30,
+      concurrency = 1,
+      timeoutMs = 60000,
+      useCache = true,
+      onProgress = null,
+      onPartialData = null,
+    } = {}
+  ) {
+    this.cancelLoad();
+    const controller = new AbortController();
+    this.loadController = controller;
     this.isLoading = true;
+
+    const dataSource = this.dataSource;
+    const cache = useCache ? this.cache : null;
+    const endDateParam = endDate || new Date().toISOString().split('T')[0];
+    const rangeStart = toEpoch(startDate);
+    const rangeEnd = toEpoch(endDateParam);
+    const inRange = feature =>
+      feature.properties.time >= rangeStart && feature.properties.time <= rangeEnd;
+
+    const byId = new Map();
+    const tasks = [];
+    const progress = { completed: 0, total: 0, events: 0, cached: 0, truncated: 0 };
+    const reportProgress = () => {
+      if (onProgress && this.loadController === controller) onProgress({ ...progress });
+    };
+    const addFeatures = features => {
+      features.forEach(feature => {
+        if (inRange(feature)) byId.set(feature.id, feature);
+      });
+      progress.events = byId.size;
+    };
+    const queue = task => {
+      tasks.push(task);
+      progress.total += 1;
+    };
+
+    const isCapped = features => dataSource.maxResults && features.length >= dataSource.maxResults;
+    const reportTruncated = window => {
+      progress.truncated += 1;
+      console.warn(
+        `${dataSource.name} returned its limit of ${dataSource.maxResults} events for ${toFdsnTime(window.start)} to ${toFdsnTime(window.end)}; some events are missing`
+      );
+    };
+
+    const fetchWindow = async (window) => {
+      const fetchedAt = Date.now();
+      const features = await this.fetchWithTimeout(bounds, window, controller.signal, timeoutMs);
+      const capped = isCapped(features);
+      if (capped && window.end - window.start > HOUR_MS) {
+        // Result was truncated by the server: split the window and queue both halves
+        const middle = window.start + Math.floor((window.end - window.start) / 2);
+        queue({ window: { start: window.start, end: middle } });
+        queue({ window: { start: middle, end: window.end } });
+        return;
+      }
+      addFeatures(features);
+      if (capped) {
+        // Too short to split: keep what came back, but leave it uncached so it is retried
+        reportTruncated(window);
+        return;
+      }
+      if (cache) {
+        await cache
+          .putWindow(dataSource.id, bounds, window, features, fetchedAt)
+          .catch(error => console.warn('Could not cache catalog window:', error));
+      }
+    };
+
+    const refreshWindow = async (record) => {
+      // Only events revised since the window was fetched are returned
+      const fetchedAt = Date.now();
+      const updates = await this.fetchWithTimeout(bounds, record, controller.signal, timeoutMs, {
+        updatedafter: toFdsnTime(record.fetchedAt),
+      });
+      const capped = isCapped(updates);
+      if (capped && record.end - record.start > HOUR_MS) {
+        // Too many revisions for one request: refresh each half of the window instead
+        const middle = record.start + Math.floor((record.end - record.start) / 2);
+        const halves = await cache.splitWindow(record, middle).catch(error => {
+          console.warn('Could not split cached catalog window:', error);
+          return null;
+        });
+        if (halves) {
+          halves.forEach(half => queue({ record: half }));
+          return;
+        }
+      }
+      addFeatures(updates);
+      if (updates.length) {
+        const merged = new Map(record.features.map(feature => [feature.id, feature]));
+        updates.forEach(feature => merged.set(feature.id, feature));
+        record.features = Array.from(merged.values());
+      }
+      if (capped) {
+        // Keep the old fetch time so the next load asks for these revisions again
+        reportTruncated(record);
+        return;
+      }
+      record.fetchedAt = fetchedAt;
+      await cache
+        .updateWindow(record)
+        .catch(error => console.warn('Could not update cached catalog window:', error));
+    };
+
+    const worker = async () => {
+      while (tasks.length && !controller.signal.aborted) {
+        const task = tasks.shift();
+        if (task.record) await refreshWindow(task.record);
+        else await fetchWindow(task.window);
+        progress.completed += 1;
+        reportProgress();
+      }
+    };
+
     try {
-      const endDateParam = endDate || new Date().toISOString().split('T')[0];
-      const url = `https://earthquake.usgs.gov/fdsnws/event/1/query.geojson?maxlatitude=${bounds.maxLat}&minlatitude=${bounds.minLat}&maxlongitude=${bounds.maxLon}&minlongitude=${bounds.minLon}&starttime=${startDate}&endtime=${endDateParam}&orderby=time&contributor=av`;
-      const response = await fetch(url);
-      const data = await response.json();
-      this.earthquakeData = data.features || [];
-      this.earthquakeData.sort((a, b) => a.properties.time - b.properties.time);
-
-      if (this.earthquakeData.length > 0) {
-        this.timeRange = {
-          start: this.earthquakeData[0].properties.time,
-          end: this.earthquakeData[this.earthquakeData.length - 1].properties.time
-        };
-        this.currentTime = this.timeRange.start;
-        if (this.onTimeRangeChange) this.onTimeRangeChange(this.timeRange);
+      let spans = [{ start: rangeStart, end: rangeEnd }];
+      if (cache) {
+        const cachedWindows = (await cache.getWindows(dataSource.id, bounds)).filter(
+          record => record.end > rangeStart && record.start < rangeEnd
+        );
+        if (controller.signal.aborted) throw controller.signal.reason;
+        cachedWindows.forEach(record => {
+          addFeatures(record.features);
+          queue({ record });
+        });
+        progress.cached = byId.size;
+        spans = missingSpans(rangeStart, rangeEnd, cachedWindows);
+        if (byId.size && onPartialData) {
+          onPartialData(this.setData(Array.from(byId.values())));
+        }
       }
-      return this.earthquakeData;
+      spans.forEach(span => {
+        splitTimeWindows(span.start, span.end, windowDays).forEach(window => queue({ window }));
+      });
+
+      reportProgress();
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+      if (controller.signal.aborted) throw controller.signal.reason;
+      return this.setData(Array.from(byId.values()));
     } catch (error) {
-      console.error('Error loading earthquake data:', error);
+      if (error.name !== 'AbortError') {
+        // Stop the remaining windows of this load
+        controller.abort();
+        console.error('Error loading earthquake data:', error);
+      }
       throw error;
     } finally {
+      if (this.loadController === controller) {
+        this.loadController = null;
+        this.isLoading = false;
+      }
+    }
+  }
+
+  async fetchWithTimeout(bounds, window, signal, timeoutMs, query = {}) {
+    if (signal.aborted) throw signal.reason;
+    const requestController = new AbortController();
+    const abort = () => requestController.abort(signal.reason);
+    signal.addEventListener('abort', abort);
+    const timer = setTimeout(() => {
+      requestController.abort(
+        new Error(`${this.dataSource.name} did not respond within ${Math.round(timeoutMs / 1000)} s`)
+      );
+    }, timeoutMs);
+    try {
+      return await this.dataSource.fetchEvents(
+        bounds,
+        toFdsnTime(window.start),
+        toFdsnTime(window.end),
+        { signal: requestController.signal, query }
+      );
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abort);
+    }
+  }
+
+  cancelLoad() {
+    if (this.loadController) {
+      this.loadController.abort();
+      this.loadController = null;
       this.isLoading = false;
     }
   }
 
-  clearData() {
-    this.earthquakeData = [];
-    while (this.group.children.length > 0) {
-      const child = this.group.children[0];
-      this.group.remove(child);
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) {
-        if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
-        else child.material.dispose();
+  /**
+   * Replaces (or with `merge`, adds to) the loaded events, e.g. from a parsed
+   * QuakeML file. Features must follow the model described in dataSources.js;
+   * merged features replace existing ones with the same id.
+   */
+  setData(features, { merge = false, preserveTime = false } = {}) {
+    if (merge) {
+      const byId = new Map(this.earthquakeData.map(feature => [feature.id, feature]));
+      features.forEach(feature => byId.set(feature.id, feature));
+      this.earthquakeData = Array.from(byId.values());
+    } else {
+      this.earthquakeData = features.slice();
+    }
+    this.earthquakeData.sort((a, b) => a.properties.time - b.properties.time);
+    this.dataVersion += 1;
+
+    if (this.earthquakeData.length > 0) {
+      const first = this.earthquakeData[0].properties.time;
+      const last = this.earthquakeData[this.earthquakeData.length - 1].properties.time;
+      if (preserveTime && this.timeRange.start !== null) {
+        // Grow the range around the current playback time instead of resetting it
+        this.timeRange = {
+          start: Math.min(this.timeRange.start, first),
+          end: Math.max(this.timeRange.end, last)
+        };
+      } else {
+        this.timeRange = { start: first, end: last };
+        this.currentTime = this.timeRange.start;
+        this.clearTimeWindow();
       }
+      // Auto-scaled aging follows the loaded range
+      this.applyAging();
+      if (this.onTimeRangeChange) this.onTimeRangeChange(this.timeRange, { preserveTime });
     }
+    if (this.onDataChange) this.onDataChange(this.earthquakeData);
+    return this.earthquakeData;
+  }
+
+  /**
+   * Shows an imported catalog (e.g. a local file) instead of the loaded one,
+   * or with `merge` added to it. A load or live polling still running would
+   * later overwrite it or mix network events into it, so both are stopped.
+   */
+  importData(features, { merge = false } = {}) {
+    this.cancelLoad();
+    this.stopLive();
+    if (!merge) this.clearData();
+    return this.setData(features, { merge });
+  }
+
+  clearData() {
+    this.earthquakeData = [];
+    this.dataVersion += 1;
+    this.hypocenters.clear();
+    this.layerVersion = this.dataVersion;
+    this.surfaceElevations.clear();
+    this.elevationEpoch += 1;
+    this.elevationRequest = null;
     this.timeRange = { start: null, end: null };
+    this.clearTimeWindow();
+    this.applyAging();
     this.currentTime = null;
+    if (this.onTimeRangeChange) this.onTimeRangeChange(this.timeRange);
+    this.setVisibleData([]);
+    if (this.onDataChange) this.onDataChange(this.earthquakeData);
   }
 
   geoToTerrain(lat, lon, depth, terrainBounds) {
-    let x = ((lon - terrainBounds.minLon) / (terrainBounds.maxLon - terrainBounds.minLon)) * terrainBounds.width - (terrainBounds.width / 2);
-    const y = ((lat - terrainBounds.minLat) / (terrainBounds.maxLat - terrainBounds.minLat)) * terrainBounds.height - (terrainBounds.height / 2);
+    const { u, v } = terrainFraction(lat, lon, terrainBounds);
+    let x = u * terrainBounds.width - (terrainBounds.width / 2);
+    const y = v * terrainBounds.height - (terrainBounds.height / 2);
     x = -x;
     const depthInMeters = depth * 1000;
-    const z = -(depthInMeters / 25);
+    // Same vertical scale as the terrain (see Application.applyVerticalExaggeration)
+    const z = -(depthInMeters * terrainBounds.elevationScale);
     return { x, y, z };
   }
 
-  visualize(terrainBounds, timeFilter = null) {
-    if (!this.earthquakeData.length) return;
-
-    if (!this.earthquakeVisualMap) {
-      this.earthquakeVisualMap = new Map();
-    }
-
-    const activeIds = new Set();
-
-    this.earthquakeData.forEach(feature => {
-      const { coordinates } = feature.geometry;
-      const { mag, time } = feature.properties;
-      if (timeFilter && time > timeFilter) return;
-      const [lon, lat, depth] = coordinates;
-      const position = this.geoToTerrain(lat, lon, depth, terrainBounds);
-
-      const baseSize = Math.max(2, mag * 12);
-      const referenceTime = timeFilter || Date.now();
-      const ageInMs = referenceTime - time;
-      const ageInHours = ageInMs / (1000 * 60 * 60);
-
-      // scale
-      let scale = 1.0;
-      if (ageInHours >= 0 && ageInHours < 1) scale = ageInHours;
-      else if (ageInHours < 0) scale = 0;
-
-      // opacity
-      let opacity = 1.0;
-      if (ageInHours > 48) {
-        const fade = Math.max(0, 1 - (ageInHours - 48) / (24 * 5));
-        opacity = Math.max(0.1, fade);
-      } else if (ageInHours < 0) {
-        opacity = 0;
-      }
-
-      // color
-      const baseColor = this.ageColor(ageInHours);
-      let bloomMultiplier;
-      if (ageInHours <= 2 && ageInHours >= 0) bloomMultiplier = 12.0;
-      else if (ageInHours > 2 && ageInHours <= 12) bloomMultiplier = 12.0 - ((ageInHours - 2) / 10) * 6.0;
-      else if (ageInHours > 12 && ageInHours <= 48) bloomMultiplier = 6.0 - ((ageInHours - 12) / 36) * 4.0;
-      else bloomMultiplier = 1.2;
-      const bloomColor = new Color(baseColor).multiplyScalar(bloomMultiplier);
-
-      // reuse or create
-      let entry = this.earthquakeVisualMap.get(feature.id);
-      if (!entry) {
-        const sphereGeometry = new SphereGeometry(baseSize * 2, 16, 16);
-        const material = new MeshBasicMaterial({ color: bloomColor, transparent: true, opacity: 1.0 });
-        const sphere = new Mesh(sphereGeometry, material);
-        sphere.position.set(position.x, position.z, position.y);
-        sphere.layers.set(0);
-        sphere.layers.enable(this.bloomLayer);
-        sphere.frustumCulled = false;
-        sphere.userData = { earthquake: feature.properties, depth, magnitude: mag, time, isEarthquake: true, featureId: feature.id };
-
-        const lineGeometry = new BufferGeometry();
-        const lineVertices = new Float32Array([position.x, 0, position.y, position.x, position.z, position.y]);
-        lineGeometry.setAttribute('position', new Float32BufferAttribute(lineVertices, 3));
-        const lineMaterial = new LineBasicMaterial({ color: new Color(baseColor).multiplyScalar(2.0), transparent: true, opacity: 1.0 });
-        const line = new Line(lineGeometry, lineMaterial);
-        line.layers.set(0);
-
-        this.group.add(sphere);
-        this.group.add(line);
-
-        entry = {
-          sphere,
-          line,
-          originalColor: material.color.clone(),
-          originalLineColor: lineMaterial.color.clone(),
-          originalOpacity: material.opacity
-        };
-        this.earthquakeVisualMap.set(feature.id, entry);
-      }
+  /**
+   * Scene position of a hypocenter (y up) and the surface height its drop line
+   * starts from. Until the surface is sampled it is taken to be at sea level.
+   */
+  projectHypocenter(feature, terrainBounds) {
+    const [lon, lat, depth] = feature.geometry.coordinates;
+    const position = this.geoToTerrain(lat, lon, depth, terrainBounds);
+    const surface = this.getSurfaceElevation(feature.id) || 0;
+    const top = surface * terrainBounds.elevationScale;
+    const y = this.depthReference === 'surface' ? position.z + top : position.z;
+    return { x: position.x, y, z: position.y, top };
+  }
 
-      // update
-      entry.sphere.position.set(position.x, position.z, position.y);
-      entry.sphere.scale.setScalar(3.0 * scale);
-      entry.sphere.material.color.copy(bloomColor);
-      entry.sphere.material.opacity = opacity;
-
-      entry.line.geometry.attributes.position.array.set([
-        position.x, 0, position.y,
-        position.x, position.z, position.y
-      ]);
-      entry.line.geometry.attributes.position.needsUpdate = true;
-      entry.line.material.color.set(new Color(baseColor).multiplyScalar(2.0));
-      entry.line.material.opacity = opacity;
-
-      activeIds.add(feature.id);
+  /**
+   * Samples the DEM under events that have no surface elevation yet and
+   * rebuilds the layer when they arrive. One request runs at a time.
+   */
+  requestSurfaceElevations(terrainBounds) {
+    if (!this.elevationSampler || this.elevationRequest) return;
+    const missing = this.earthquakeData.filter(feature => !this.surfaceElevations.has(feature.id));
+    if (!missing.length) return;
+
+    const epoch = this.elevationEpoch;
+    const points = missing.map(feature => {
+      const [lon, lat] = feature.geometry.coordinates;
+      return terrainFraction(lat, lon, terrainBounds);
     });
+    const request = this.elevationSampler(points)
+      .then(elevations => {
+        // Discard samples from a previous site or catalog
+        if (epoch !== this.elevationEpoch) return;
+        missing.forEach((feature, i) => this.surfaceElevations.set(feature.id, elevations[i]));
+        this.layerVersion = -1;
+        this.visualize(terrainBounds, this.currentTime);
+      })
+      .catch(error => {
+        if (error.name === 'AbortError' || epoch !== this.elevationEpoch) return;
+        console.warn('Could not sample surface elevations:', error.message);
+        // Keep sea level for these instead of retrying on every rebuild
+        missing.forEach(feature => this.surfaceElevations.set(feature.id, NaN));
+      })
+      .finally(() => {
+        if (this.elevationRequest === request) this.elevationRequest = null;
+      });
+    this.elevationRequest = request;
+  }
 
-    // cleanup old
-    for (let [id, entry] of this.earthquakeVisualMap) {
-      if (!activeIds.has(id)) {
-        this.group.remove(entry.sphere);
-        this.group.remove(entry.line);
-        if (entry.sphere.geometry) entry.sphere.geometry.dispose();
-        if (entry.sphere.material) entry.sphere.material.dispose();
-        if (entry.line.geometry) entry.line.geometry.dispose();
-        if (entry.line.material) entry.line.material.dispose();
-        this.earthquakeVisualMap.delete(id);
+  visualize(terrainBounds, timeFilter = null) {
+    if (!this.earthquakeData.length) {
+      // Drop the previous catalog's instances when the new one is empty
+      if (this.layerVersion !== this.dataVersion) {
+        this.hypocenters.clear();
+        this.layerVersion = this.dataVersion;
+        this.setVisibleData([]);
+        this.notifyLegend();
       }
+      return;
     }
 
-    if (this.selectedFeatureId && this.earthquakeVisualMap.has(this.selectedFeatureId)) {
-      this.highlightEarthquake(this.selectedFeatureId);
+    // Rebuild the instance buffers only when the catalog, filters, terrain or vertical scale changed
+    if (
+      this.layerVersion !== this.dataVersion ||
+      this.layerBounds !== terrainBounds ||
+      this.layerElevationScale !== terrainBounds.elevationScale
+    ) {
+      this.setVisibleData(this.earthquakeData.filter(feature => matchesFilter(feature, this.filter)));
+      this.hypocenters.setEvents(this.visibleData, feature => this.projectHypocenter(feature, terrainBounds));
+      this.hypocenters.setPulses(this.arrivals, PULSE_MS);
+      this.layerVersion = this.dataVersion;
+      this.layerBounds = terrainBounds;
+      this.layerElevationScale = terrainBounds.elevationScale;
+      this.requestSurfaceElevations(terrainBounds);
+      this.notifyLegend();
     }
 
+    this.updateHypocenters(timeFilter || Date.now());
+
     if (this.onVisualize) this.onVisualize();
   }
 
-  ageColor(ageInHours) {
-    if (ageInHours < 0) return 0xff0000;
-    if (ageInHours <= 2) return 0xff0000;
-    else if (ageInHours <= 48) {
-      const normalizedAge = (ageInHours - 2) / (48 - 2);
-      const r = 255;
-      const g = Math.floor(165 * normalizedAge);
-      const b = 0;
-      return (r << 16) | (g << 8) | b;
-    } else {
-      return 0xffff00;
-    }
+  // Drops the brushed window, for a new catalog or live mode
+  clearTimeWindow() {
+    if (!this.timeWindow) return;
+    this.timeWindow = null;
+    this.setFilter({ startTime: null, endTime: null });
+    if (this.onTimeWindowChange) this.onTimeWindowChange(this.timeRange, null);
+  }
+
+  setVisibleData(features) {
+    this.visibleData = features;
+    if (this.onFilteredDataChange) this.onFilteredDataChange(this.visibleData, this.earthquakeData);
+  }
+
+  updateHypocenters(referenceTime) {
+    this.hypocenters.setSelected(this.selectedFeatureId);
+    this.hypocenters.setHovered(this.hoveredFeatureId);
+    this.hypocenters.setTime(referenceTime);
   }
 
   toggle() {
@@ -226,33 +594,150 @@ export class EarthquakeOverlay {
     return this.group;
   }
 
-  findClosestEarthquake(position, maxDistance = 50) {
-    let closest = null;
-    let minDistance = maxDistance;
-    this.group.children.forEach(child => {
-      if (child instanceof Mesh) {
-        const distance = position.distanceTo(child.position);
-        if (distance < minDistance) {
-          minDistance = distance;
-          closest = child;
-        }
+  /**
+   * Returns the events within `tolerance` pixels of the pointer (normalized
+   * device coordinates), nearest first, ignoring events not shown at the
+   * current time. See HypocenterLayer.pick().
+   */
+  pickEarthquakes(camera, pointer, viewportHeight, tolerance) {
+    if (!this.group.visible) return [];
+    const referenceTime = this.currentTime !== null ? this.currentTime : Date.now();
+    return this.hypocenters.pick(camera, pointer, viewportHeight, tolerance, referenceTime);
+  }
+
+  /**
+   * Whether an event is drawn at the current time: loaded, passing the
+   * filters, not in the future and not past the trailing window.
+   */
+  isEarthquakeShown(featureId) {
+    const i = this.hypocenters.indexById.get(featureId);
+    return i !== undefined && this.hypocenters.isShown(i, this.currentTime !== null ? this.currentTime : Date.now());
+  }
+
+  /**
+   * Lightens the event under the pointer, or none when `featureId` is null.
+   */
+  setHoveredEarthquake(featureId) {
+    if (this.hoveredFeatureId === featureId) return;
+    this.hoveredFeatureId = featureId;
+    this.hypocenters.setHovered(featureId);
+  }
+
+  /**
+   * Live monitoring: polls the data source every `intervalMs` for new or
+   * revised events, merges them without resetting the timeline and keeps the
+   * current time at the wall clock. New arrivals pulse and are reported
+   * through `onNewEvents`.
+   */
+  startLive(terrainBounds, { intervalMs = 60000 } = {}) {
+    if (this.isLive) this.stopLive();
+    this.pause();
+    // Live follows real time, which a brushed window would hide
+    this.clearTimeWindow();
+    this.isLive = true;
+    this.liveIntervalMs = intervalMs;
+    this.liveLastPoll = null;
+    this.liveController = new AbortController();
+    if (this.onLiveChange) this.onLiveChange(true);
+    this.liveTick(terrainBounds);
+    this.pollLive(terrainBounds);
+  }
+
+  stopLive() {
+    if (!this.isLive) return;
+    this.isLive = false;
+    clearTimeout(this.liveTimer);
+    if (this.liveFrameId) cancelAnimationFrame(this.liveFrameId);
+    this.liveFrameId = null;
+    if (this.liveController) this.liveController.abort();
+    this.liveController = null;
+    if (this.onLiveChange) this.onLiveChange(false);
+  }
+
+  setLiveInterval(intervalMs) {
+    this.liveIntervalMs = intervalMs;
+  }
+
+  async pollLive(terrainBounds) {
+    const controller = this.liveController;
+    const pollStart = Date.now();
+    const query = {};
+    let startTime;
+    if (this.liveLastPoll) {
+      // Everything revised since the last poll, with some overlap for clock skew
+      query.updatedafter = toFdsnTime(this.liveLastPoll - LIVE_OVERLAP_MS);
+      startTime = this.timeRange.start !== null ? this.timeRange.start : pollStart - DAY_MS;
+    } else {
+      // First poll: whatever happened after the loaded catalog ends
+      startTime = this.timeRange.end !== null ? this.timeRange.end : pollStart - DAY_MS;
+    }
+
+    try {
+      const features = await this.fetchWithTimeout(
+        terrainBounds,
+        { start: startTime, end: pollStart + LIVE_OVERLAP_MS },
+        controller.signal,
+        this.liveIntervalMs,
+        query
+      );
+      this.liveLastPoll = pollStart;
+      this.mergeLiveEvents(features);
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error('Live update failed:', error);
+    }
+
+    if (this.isLive && this.liveController === controller) {
+      this.liveTimer = setTimeout(() => this.pollLive(terrainBounds), this.liveIntervalMs);
+    }
+  }
+
+  mergeLiveEvents(features) {
+    if (!features.length) return;
+    const known = new Set(this.earthquakeData.map(feature => feature.id));
+    const arrivals = features.filter(feature => !known.has(feature.id));
+    this.setData(features, { merge: true, preserveTime: true });
+    if (this.currentTime === null) this.currentTime = Date.now();
+    const now = Date.now();
+    arrivals.forEach(feature => this.arrivals.set(feature.id, now));
+    // Only announce what the filters let through
+    const shown = arrivals.filter(feature => matchesFilter(feature, this.filter));
+    if (shown.length && this.onNewEvents) this.onNewEvents(shown);
+  }
+
+  liveTick(terrainBounds) {
+    if (!this.isLive) return;
+    const now = Date.now();
+    this.currentTime = now;
+    if (this.timeRange.end !== null && now > this.timeRange.end) {
+      this.timeRange.end = now;
+      // The range display only needs refreshing about once a second
+      if (this.onTimeRangeChange && now - (this.lastLiveRangeUpdate || 0) > 1000) {
+        this.lastLiveRangeUpdate = now;
+        this.onTimeRangeChange(this.timeRange, { preserveTime: true });
       }
-    });
-    return closest ? closest.userData : null;
+    }
+    this.visualize(terrainBounds, this.currentTime);
+    if (this.onTimeChange) this.onTimeChange(this.currentTime);
+    this.liveFrameId = requestAnimationFrame(() => this.liveTick(terrainBounds));
   }
 
   play(terrainBounds) {
-    if (!this.timeRange.start || !this.timeRange.end) return;
-    if (this.manuallyPaused) return;
+    this.stopLive();
+    const range = this.getPlaybackRange();
+    if (!range.start || !range.end || this.isPlaying) return;
+    // Playing from the end of a finished run starts over
+    if (this.currentTime === null || this.currentTime < range.start || this.currentTime > range.end ||
+        (this.currentTime >= range.end && this.playbackDirection > 0 && this.loopMode !== 'ping-pong')) {
+      this.currentTime = range.start;
+      this.playbackDirection = 1;
+    }
     this.isPlaying = true;
-    this.manuallyPaused = false;
     this.lastFrameTime = Date.now();
     this.animate(terrainBounds);
   }
 
   pause() {
     this.isPlaying = false;
-    this.manuallyPaused = true;
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;
@@ -260,12 +745,14 @@ export class EarthquakeOverlay {
   }
 
   stop(terrainBounds) {
+    this.stopLive();
     this.isPlaying = false;
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;
     }
-    this.currentTime = this.timeRange.start;
+    this.playbackDirection = 1;
+    this.currentTime = this.getPlaybackRange().start;
     if (this.onTimeChange) this.onTimeChange(this.currentTime);
     this.visualize(terrainBounds, this.currentTime);
   }
@@ -276,18 +763,85 @@ export class EarthquakeOverlay {
     this.visualize(terrainBounds, this.currentTime);
   }
 
+  togglePlayback(terrainBounds) {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play(terrainBounds);
+    }
+  }
+
+  /**
+   * Pauses and moves the time by one stepInterval, forward for a positive
+   * `direction`, staying inside the playback range.
+   */
+  step(direction, terrainBounds) {
+    const range = this.getPlaybackRange();
+    if (range.start === null) return;
+    this.stopLive();
+    this.pause();
+    const from = this.currentTime !== null ? this.currentTime : range.start;
+    const time = from + Math.sign(direction) * this.stepInterval;
+    this.setTime(Math.min(Math.max(time, range.start), range.end), terrainBounds);
+  }
+
+  setStepInterval(ms) {
+    this.stepInterval = ms;
+  }
+
+  setLoopMode(mode) {
+    this.loopMode = mode;
+    if (mode !== 'ping-pong') this.playbackDirection = 1;
+  }
+
+  /**
+   * The next drawn event after the current time, or the previous one for a
+   * negative `direction`. Events sharing an origin time are visited in turn
+   * starting from the selected one. Returns null at either end.
+   */
+  findAdjacentEvent(direction) {
+    const events = [...this.visibleData].sort((a, b) => a.properties.time - b.properties.time);
+    const selected = events.findIndex(feature => feature.id === this.selectedFeatureId);
+    if (selected !== -1 && events[selected].properties.time === this.currentTime) {
+      return events[selected + Math.sign(direction)] || null;
+    }
+    if (direction > 0) {
+      return events.find(feature => feature.properties.time > this.currentTime) || null;
+    }
+    return events.reverse().find(feature => feature.properties.time < this.currentTime) || null;
+  }
+
+  /**
+   * Scene position of a drawn event, or null when it is not drawn.
+   */
+  getEarthquakePosition(featureId, target = new Vector3()) {
+    return this.hypocenters.getPosition(featureId, target);
+  }
+
   animate(terrainBounds) {
     if (!this.isPlaying) return;
     const now = Date.now();
     const deltaTime = now - this.lastFrameTime;
     this.lastFrameTime = now;
     const dayInMs = 24 * 60 * 60 * 1000;
-    this.currentTime += (deltaTime / 1000) * this.playbackSpeed * dayInMs;
-    if (this.currentTime >= this.timeRange.end) {
-      this.currentTime = this.timeRange.end;
-      this.isPlaying = false;
+    this.currentTime += this.playbackDirection * (deltaTime / 1000) * this.playbackSpeed * dayInMs;
+    const range = this.getPlaybackRange();
+    if (this.currentTime >= range.end) {
+      if (this.loopMode === 'loop') {
+        this.currentTime = range.start;
+      } else if (this.loopMode === 'ping-pong') {
+        this.currentTime = range.end;
+        this.playbackDirection = -1;
+      } else {
+        this.currentTime = range.end;
+        this.isPlaying = false;
+      }
+    } else if (this.currentTime <= range.start && this.playbackDirection < 0) {
+      this.currentTime = range.start;
+      this.playbackDirection = 1;
     }
-    this.visualize(terrainBounds, this.currentTime);
+    // Aging runs on the GPU, so a frame only moves the time uniform
+    this.hypocenters.setTime(this.currentTime);
     if (this.onTimeChange) this.onTimeChange(this.currentTime);
     if (this.isPlaying) {
       this.animationId = requestAnimationFrame(() => this.animate(terrainBounds));
@@ -301,59 +855,31 @@ export class EarthquakeOverlay {
   }
 
   highlightEarthquake(featureId) {
-    if (!this.earthquakeVisualMap) return;
-    for (const [id, visual] of this.earthquakeVisualMap.entries()) {
-      if (id !== featureId) {
-        visual.sphere.material.color.copy(visual.originalColor);
-        visual.line.material.color.copy(visual.originalLineColor);
-        visual.sphere.material.opacity = visual.originalOpacity;
-        visual.line.material.opacity = visual.originalOpacity;
-        visual.sphere.material.needsUpdate = true;
-        visual.line.material.needsUpdate = true;
-      }
-    }
-    const visual = this.earthquakeVisualMap.get(featureId);
-    if (visual) {
-      visual.sphere.material.color.setRGB(1, 1, 1);
-      visual.line.material.color.setRGB(1, 1, 1);
-      visual.sphere.material.opacity = 1.0;
-      visual.line.material.opacity = 1.0;
-      visual.sphere.material.needsUpdate = true;
-      visual.line.material.needsUpdate = true;
-    }
+    this.selectedFeatureId = featureId;
+    if (this.earthquakeData.length) this.updateHypocenters(this.currentTime || Date.now());
+    if (this.onSelectionChange) this.onSelectionChange(this.selectedFeatureId);
   }
 
   unhighlightEarthquake(featureId) {
-    if (!this.earthquakeVisualMap) return;
-    const visual = this.earthquakeVisualMap.get(featureId);
-    if (visual) {
-      visual.sphere.material.color.copy(visual.originalColor);
-      visual.line.material.color.copy(visual.originalLineColor);
-      visual.sphere.material.opacity = visual.originalOpacity;
-      visual.line.material.opacity = visual.originalOpacity;
-      visual.sphere.material.needsUpdate = true;
-      visual.line.material.needsUpdate = true;
-    }
+    if (this.selectedFeatureId === featureId) this.selectedFeatureId = null;
+    if (this.earthquakeData.length) this.updateHypocenters(this.currentTime || Date.now());
+    if (this.onSelectionChange) this.onSelectionChange(this.selectedFeatureId);
   }
 
   setSelectedEarthquake(featureId) {
     if (this.selectedFeatureId === featureId) return;
-    if (this.selectedFeatureId && this.earthquakeVisualMap) {
-      this.unhighlightEarthquake(this.selectedFeatureId);
-    }
-    this.selectedFeatureId = featureId;
-    if (this.earthquakeVisualMap && featureId) {
+    if (featureId) {
       this.highlightEarthquake(featureId);
+    } else if (this.selectedFeatureId) {
+      this.unhighlightEarthquake(this.selectedFeatureId);
     }
   }
 
   clearSelectedEarthquake(_terrainBounds) {
     if (this.selectedFeatureId !== null) {
-      if (this.earthquakeVisualMap) {
-        this.unhighlightEarthquake(this.selectedFeatureId);
-      }
       this.selectedFeatureId = null;
       this.visualize(_terrainBounds, this.currentTime);
+      if (this.onSelectionChange) this.onSelectionChange(null);
     }
   }
 }
@@ -1,3 +1,72 @@
+import { matchesFilter } from './eventFilter';
+import { MAX_RECORDING_FRAMES, RECORDING_FORMATS } from './playbackRecorder';
+
+const HISTOGRAM_HEIGHT = 60;
+// Target bar width in CSS pixels
+const HISTOGRAM_BIN_PIXELS = 4;
+
+const STEP_OPTIONS = [
+  { value: 60 * 1000, label: '1 min' },
+  { value: 10 * 60 * 1000, label: '10 min' },
+  { value: 60 * 60 * 1000, label: '1 hour' },
+  { value: 6 * 60 * 60 * 1000, label: '6 hours' },
+  { value: 24 * 60 * 60 * 1000, label: '1 day' },
+  { value: 7 * 24 * 60 * 60 * 1000, label: '1 week' }
+];
+
+const LOOP_OPTIONS = [
+  { value: 'once', label: 'Play once' },
+  { value: 'loop', label: 'Loop' },
+  { value: 'ping-pong', label: 'Ping-pong' }
+];
+
+// Output sizes for recordings; 0 x 0 is the current window size
+const RECORDING_SIZES = [
+  { value: '0x0', label: 'Window size' },
+  { value: '1280x720', label: '1280 x 720' },
+  { value: '1920x1080', label: '1920 x 1080' },
+  { value: '3840x2160', label: '3840 x 2160' }
+];
+
+const RECORDING_FPS = [24, 30, 60];
+
+const HISTOGRAM_MODES = [
+  { value: 'rate', label: 'Events per bin' },
+  { value: 'count', label: '+ cumulative count' },
+  { value: 'moment', label: '+ cumulative moment' }
+];
+
+// Seismic moment in N·m from moment magnitude (Hanks & Kanamori)
+function seismicMoment(magnitude) {
+  return Math.pow(10, 1.5 * magnitude + 9.1);
+}
+
+/**
+ * Events per bin over `range` and the running total of `weight` at the end
+ * of each bin.
+ */
+function binEvents(features, range, binCount, weight) {
+  const counts = new Array(binCount).fill(0);
+  const totals = new Array(binCount).fill(0);
+  const span = Math.max(range.end - range.start, 1);
+  features.forEach(feature => {
+    const time = feature.properties.time;
+    if (time < range.start || time > range.end) return;
+    const bin = Math.min(Math.floor(((time - range.start) / span) * binCount), binCount - 1);
+    counts[bin]++;
+    totals[bin] += weight(feature);
+  });
+  for (let i = 1; i < binCount; i++) totals[i] += totals[i - 1];
+  return { counts, totals };
+}
+
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))} min`;
+  if (hours < 48) return `${parseFloat(hours.toFixed(1))} h`;
+  return `${parseFloat((hours / 24).toFixed(1))} days`;
+}
+
 /**
  * Creates a timeline UI for earthquake playback
  */
@@ -16,6 +85,69 @@ export function createEarthquakeTimeline(earthquakeOverlay, terrainBounds) {
   container.style.fontFamily = 'Futura, Futura PT, Trebuchet MS, sans-serif';
   container.style.display = 'none'; // Initially hidden until earthquakes are loaded
   
+  // Event-rate histogram above the slider; drag across it to zoom to a window
+  const histogramContainer = document.createElement('div');
+  histogramContainer.style.display = 'flex';
+  histogramContainer.style.alignItems = 'center';
+  histogramContainer.style.gap = '10px';
+  histogramContainer.style.marginBottom = '5px';
+  
+  const histogramLabel = document.createElement('div');
+  histogramLabel.textContent = 'Rate:';
+  histogramLabel.style.width = '40px';
+  
+  const histogramWrapper = document.createElement('div');
+  histogramWrapper.style.position = 'relative';
+  histogramWrapper.style.flex = '1';
+  histogramWrapper.style.height = `${HISTOGRAM_HEIGHT}px`;
+  histogramWrapper.style.cursor = 'crosshair';
+  histogramWrapper.style.userSelect = 'none';
+  histogramWrapper.title = 'Drag to zoom to a time window, click to jump, double-click to zoom out';
+  
+  const histogramCanvas = document.createElement('canvas');
+  histogramCanvas.style.width = '100%';
+  histogramCanvas.style.height = '100%';
+  histogramCanvas.style.display = 'block';
+  
+  const playbackCursor = document.createElement('div');
+  playbackCursor.style.position = 'absolute';
+  playbackCursor.style.top = '0';
+  playbackCursor.style.bottom = '0';
+  playbackCursor.style.width = '2px';
+  playbackCursor.style.marginLeft = '-1px';
+  playbackCursor.style.background = 'white';
+  playbackCursor.style.pointerEvents = 'none';
+  playbackCursor.style.display = 'none';
+  
+  const brush = document.createElement('div');
+  brush.style.position = 'absolute';
+  brush.style.top = '0';
+  brush.style.bottom = '0';
+  brush.style.background = 'rgba(255, 255, 255, 0.2)';
+  brush.style.border = '1px solid rgba(255, 255, 255, 0.6)';
+  brush.style.pointerEvents = 'none';
+  brush.style.display = 'none';
+  
+  histogramWrapper.appendChild(histogramCanvas);
+  histogramWrapper.appendChild(playbackCursor);
+  histogramWrapper.appendChild(brush);
+  
+  const histogramModeSelect = document.createElement('select');
+  histogramModeSelect.style.width = '180px';
+  histogramModeSelect.style.padding = '5px';
+  histogramModeSelect.style.cursor = 'pointer';
+  
+  HISTOGRAM_MODES.forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    histogramModeSelect.appendChild(optElement);
+  });
+  
+  histogramContainer.appendChild(histogramLabel);
+  histogramContainer.appendChild(histogramWrapper);
+  histogramContainer.appendChild(histogramModeSelect);
+  
   // Create timeline slider
   const sliderContainer = document.createElement('div');
   sliderContainer.style.display = 'flex';
@@ -50,21 +182,78 @@ export function createEarthquakeTimeline(earthquakeOverlay, terrainBounds) {
   controlsContainer.style.display = 'flex';
   controlsContainer.style.alignItems = 'center';
   controlsContainer.style.gap = '10px';
+  controlsContainer.style.flexWrap = 'wrap';
   
   const playButton = document.createElement('button');
   playButton.textContent = '▶ Play';
   playButton.style.padding = '5px 10px';
   playButton.style.cursor = 'pointer';
+  playButton.title = 'Play (Space)';
   
   const pauseButton = document.createElement('button');
   pauseButton.textContent = '⏸ Pause';
   pauseButton.style.padding = '5px 10px';
   pauseButton.style.cursor = 'pointer';
+  pauseButton.title = 'Pause (Space)';
   
   const stopButton = document.createElement('button');
   stopButton.textContent = '⏹ Stop';
   stopButton.style.padding = '5px 10px';
   stopButton.style.cursor = 'pointer';
+  stopButton.title = 'Back to the start (Home)';
+  
+  // Stepping by a fixed interval and event-by-event navigation
+  const prevEventButton = document.createElement('button');
+  prevEventButton.textContent = '⏮';
+  prevEventButton.style.padding = '5px 10px';
+  prevEventButton.style.cursor = 'pointer';
+  prevEventButton.title = 'Previous event (Shift+←)';
+  
+  const stepBackButton = document.createElement('button');
+  stepBackButton.textContent = '◀';
+  stepBackButton.style.padding = '5px 10px';
+  stepBackButton.style.cursor = 'pointer';
+  stepBackButton.title = 'Step back (←)';
+  
+  const stepForwardButton = document.createElement('button');
+  stepForwardButton.textContent = '▶';
+  stepForwardButton.style.padding = '5px 10px';
+  stepForwardButton.style.cursor = 'pointer';
+  stepForwardButton.title = 'Step forward (→)';
+  
+  const nextEventButton = document.createElement('button');
+  nextEventButton.textContent = '⏭';
+  nextEventButton.style.padding = '5px 10px';
+  nextEventButton.style.cursor = 'pointer';
+  nextEventButton.title = 'Next event (Shift+→)';
+  
+  const stepSelect = document.createElement('select');
+  stepSelect.style.padding = '5px';
+  stepSelect.style.cursor = 'pointer';
+  stepSelect.title = 'Step size';
+  
+  STEP_OPTIONS.forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    stepSelect.appendChild(optElement);
+  });
+  
+  stepSelect.value = String(earthquakeOverlay.stepInterval);
+  
+  const loopSelect = document.createElement('select');
+  loopSelect.style.padding = '5px';
+  loopSelect.style.cursor = 'pointer';
+  loopSelect.title = 'At the end of the range (L to cycle)';
+  
+  LOOP_OPTIONS.forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    loopSelect.appendChild(optElement);
+  });
+  
+  loopSelect.value = earthquakeOverlay.loopMode;
   
   const speedLabel = document.createElement('div');
   speedLabel.textContent = 'Speed:';
@@ -92,21 +281,140 @@ export function createEarthquakeTimeline(earthquakeOverlay, terrainBounds) {
   
   speedSelect.value = '1'; // Default speed
   
+  // Live monitoring toggle and poll interval
+  const liveButton = document.createElement('button');
+  liveButton.textContent = '● Live';
+  liveButton.style.padding = '5px 10px';
+  liveButton.style.cursor = 'pointer';
+  liveButton.title = 'Poll the data source for new events and follow real time';
+  
+  const liveIntervalSelect = document.createElement('select');
+  liveIntervalSelect.style.padding = '5px';
+  liveIntervalSelect.style.cursor = 'pointer';
+  liveIntervalSelect.title = 'Live poll interval';
+  
+  const liveIntervalOptions = [
+    { value: 30000, label: 'every 30 s' },
+    { value: 60000, label: 'every 1 min' },
+    { value: 300000, label: 'every 5 min' }
+  ];
+  
+  liveIntervalOptions.forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    liveIntervalSelect.appendChild(optElement);
+  });
+  
+  liveIntervalSelect.value = '60000';
+  
+  // Shown while the timeline is zoomed to a brushed window
+  const resetZoomButton = document.createElement('button');
+  resetZoomButton.textContent = 'Reset zoom';
+  resetZoomButton.style.padding = '5px 10px';
+  resetZoomButton.style.cursor = 'pointer';
+  resetZoomButton.style.display = 'none';
+  
+  const recordButton = document.createElement('button');
+  recordButton.textContent = '⏺ Record';
+  recordButton.style.padding = '5px 10px';
+  recordButton.style.cursor = 'pointer';
+  recordButton.title = 'Export the playback as a video or image sequence';
+  
+  // Events drawn out of those loaded, after the filters
+  const eventCountDisplay = document.createElement('div');
+  eventCountDisplay.style.marginLeft = 'auto';
+  eventCountDisplay.textContent = 'Events: 0';
+  
   const dateRangeDisplay = document.createElement('div');
-  dateRangeDisplay.style.marginLeft = 'auto';
+  dateRangeDisplay.style.marginLeft = '15px';
   dateRangeDisplay.style.textAlign = 'right';
   dateRangeDisplay.textContent = 'Range: N/A';
   
   controlsContainer.appendChild(playButton);
   controlsContainer.appendChild(pauseButton);
   controlsContainer.appendChild(stopButton);
+  controlsContainer.appendChild(prevEventButton);
+  controlsContainer.appendChild(stepBackButton);
+  controlsContainer.appendChild(stepForwardButton);
+  controlsContainer.appendChild(nextEventButton);
+  controlsContainer.appendChild(stepSelect);
   controlsContainer.appendChild(speedLabel);
   controlsContainer.appendChild(speedSelect);
+  controlsContainer.appendChild(loopSelect);
+  controlsContainer.appendChild(liveButton);
+  controlsContainer.appendChild(liveIntervalSelect);
+  controlsContainer.appendChild(resetZoomButton);
+  controlsContainer.appendChild(recordButton);
+  controlsContainer.appendChild(eventCountDisplay);
   controlsContainer.appendChild(dateRangeDisplay);
   
+  // Recording options, toggled by the record button. Frames step through the
+  // playback range at the selected speed, independent of real time.
+  const recordContainer = document.createElement('div');
+  recordContainer.style.display = 'none';
+  recordContainer.style.alignItems = 'center';
+  recordContainer.style.gap = '10px';
+  recordContainer.style.marginTop = '5px';
+  
+  const recordSizeSelect = document.createElement('select');
+  recordSizeSelect.style.padding = '5px';
+  recordSizeSelect.title = 'Output size';
+  RECORDING_SIZES.forEach(option => {
+    const optElement = document.createElement('option');
+    optElement.value = option.value;
+    optElement.textContent = option.label;
+    recordSizeSelect.appendChild(optElement);
+  });
+  recordSizeSelect.value = '1920x1080';
+  
+  const recordFpsSelect = document.createElement('select');
+  recordFpsSelect.style.padding = '5px';
+  recordFpsSelect.title = 'Frame rate';
+  RECORDING_FPS.forEach(fps => {
+    const optElement = document.createElement('option');
+    optElement.value = fps;
+    optElement.textContent = `${fps} fps`;
+    recordFpsSelect.appendChild(optElement);
+  });
+  recordFpsSelect.value = '30';
+  
+  const recordFormatSelect = document.createElement('select');
+  recordFormatSelect.style.padding = '5px';
+  recordFormatSelect.title = 'Format';
+  Object.entries(RECORDING_FORMATS).forEach(([value, label]) => {
+    const optElement = document.createElement('option');
+    optElement.value = value;
+    optElement.textContent = label;
+    recordFormatSelect.appendChild(optElement);
+  });
+  
+  const recordStartButton = document.createElement('button');
+  recordStartButton.textContent = 'Start recording';
+  recordStartButton.style.padding = '5px 10px';
+  recordStartButton.style.cursor = 'pointer';
+  
+  const recordCancelButton = document.createElement('button');
+  recordCancelButton.textContent = 'Cancel';
+  recordCancelButton.style.padding = '5px 10px';
+  recordCancelButton.style.cursor = 'pointer';
+  recordCancelButton.style.display = 'none';
+  
+  const recordStatus = document.createElement('div');
+  recordStatus.style.fontSize = '12px';
+  
+  recordContainer.appendChild(recordSizeSelect);
+  recordContainer.appendChild(recordFpsSelect);
+  recordContainer.appendChild(recordFormatSelect);
+  recordContainer.appendChild(recordStartButton);
+  recordContainer.appendChild(recordCancelButton);
+  recordContainer.appendChild(recordStatus);
+  
   // Add everything to the container
+  container.appendChild(histogramContainer);
   container.appendChild(sliderContainer);
   container.appendChild(controlsContainer);
+  container.appendChild(recordContainer);
   
   // Format date for display
   function formatDate(timestamp) {
@@ -114,36 +422,176 @@ export function createEarthquakeTimeline(earthquakeOverlay, terrainBounds) {
     return date.toLocaleString();
   }
   
+  function updateRangeDisplay() {
+    const { timeRange, timeWindow } = earthquakeOverlay;
+    if (timeRange.start === null) {
+      dateRangeDisplay.textContent = 'Range: N/A';
+    } else if (timeWindow) {
+      dateRangeDisplay.textContent = `Window: ${formatDate(timeWindow.start)} - ${formatDate(timeWindow.end)}`;
+    } else {
+      dateRangeDisplay.textContent = `Range: ${formatDate(timeRange.start)} - ${formatDate(timeRange.end)}`;
+    }
+  }
+  
+  // Fraction of the histogram width at which `time` falls
+  function histogramPosition(time) {
+    const range = earthquakeOverlay.getPlaybackRange();
+    return (time - range.start) / Math.max(range.end - range.start, 1);
+  }
+  
+  function histogramTime(fraction) {
+    const range = earthquakeOverlay.getPlaybackRange();
+    return Math.round(range.start + Math.min(Math.max(fraction, 0), 1) * (range.end - range.start));
+  }
+  
+  function updatePlaybackCursor() {
+    const time = earthquakeOverlay.currentTime;
+    const position = time === null || earthquakeOverlay.timeRange.start === null ? NaN : histogramPosition(time);
+    if (position >= 0 && position <= 1) {
+      playbackCursor.style.left = `${position * 100}%`;
+      playbackCursor.style.display = 'block';
+    } else {
+      playbackCursor.style.display = 'none';
+    }
+  }
+  
+  // Bins the events the other filters let through over the playback range
+  function drawHistogram() {
+    const width = histogramWrapper.clientWidth;
+    const range = earthquakeOverlay.getPlaybackRange();
+    if (!width || range.start === null) return;
+    
+    const ratio = window.devicePixelRatio || 1;
+    histogramCanvas.width = Math.round(width * ratio);
+    histogramCanvas.height = Math.round(HISTOGRAM_HEIGHT * ratio);
+    const context = histogramCanvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, HISTOGRAM_HEIGHT);
+    
+    const mode = histogramModeSelect.value;
+    const filter = { ...earthquakeOverlay.filter, startTime: null, endTime: null };
+    const features = earthquakeOverlay.earthquakeData.filter(feature => matchesFilter(feature, filter));
+    const binCount = Math.max(10, Math.min(200, Math.floor(width / HISTOGRAM_BIN_PIXELS)));
+    const weight = mode === 'moment'
+      ? feature => (Number.isFinite(feature.properties.mag) ? seismicMoment(feature.properties.mag) : 0)
+      : () => 1;
+    const { counts, totals } = binEvents(features, range, binCount, weight);
+    const maxCount = Math.max(...counts);
+    const binWidth = width / binCount;
+    
+    // Bars, scaled to the busiest bin
+    context.fillStyle = 'rgba(255, 165, 0, 0.8)';
+    counts.forEach((count, i) => {
+      if (!count) return;
+      const height = (count / maxCount) * (HISTOGRAM_HEIGHT - 14);
+      context.fillRect(i * binWidth, HISTOGRAM_HEIGHT - height, Math.max(binWidth - 1, 1), height);
+    });
+    
+    context.font = '10px Futura, Futura PT, Trebuchet MS, sans-serif';
+    context.textBaseline = 'top';
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.fillText(`max ${maxCount} per ${formatDuration((range.end - range.start) / binCount)}`, 2, 1);
+    
+    // Running total, scaled to its final value
+    const total = totals[binCount - 1];
+    if (mode !== 'rate' && total > 0) {
+      context.strokeStyle = '#4fc3f7';
+      context.lineWidth = 1.5;
+      context.beginPath();
+      context.moveTo(0, HISTOGRAM_HEIGHT);
+      totals.forEach((value, i) => {
+        context.lineTo((i + 1) * binWidth, HISTOGRAM_HEIGHT - (value / total) * (HISTOGRAM_HEIGHT - 14));
+      });
+      context.stroke();
+      
+      const label = mode === 'moment'
+        ? `total ${total.toExponential(1)} N·m`
+        : `total ${total}`;
+      context.fillStyle = '#4fc3f7';
+      context.textAlign = 'right';
+      context.fillText(label, width - 2, 1);
+      context.textAlign = 'left';
+    }
+    
+    updatePlaybackCursor();
+  }
+  
   // Event listeners
   
   // Initialize timeline when time range changes
-  earthquakeOverlay.onTimeRangeChange = (timeRange) => {
-    slider.min = timeRange.start;
-    slider.max = timeRange.end;
-    slider.value = timeRange.start;
+  earthquakeOverlay.onTimeRangeChange = (timeRange, { preserveTime = false } = {}) => {
+    // Cleared data (e.g. when switching sites) hides the timeline until new events arrive
+    if (timeRange.start === null) {
+      updateRangeDisplay();
+      currentTimeDisplay.textContent = 'N/A';
+      playbackCursor.style.display = 'none';
+      if (!earthquakeOverlay.isLive) container.style.display = 'none';
+      return;
+    }
+    
+    // A brushed window keeps the slider zoomed in
+    const playbackRange = earthquakeOverlay.getPlaybackRange();
+    slider.min = playbackRange.start;
+    slider.max = playbackRange.end;
+    
+    updateRangeDisplay();
     
-    dateRangeDisplay.textContent = `Range: ${formatDate(timeRange.start)} - ${formatDate(timeRange.end)}`;
-    currentTimeDisplay.textContent = formatDate(timeRange.start);
+    // Live updates extend the range without moving the playback cursor
+    if (!preserveTime) {
+      slider.value = timeRange.start;
+      currentTimeDisplay.textContent = formatDate(timeRange.start);
+    } else if (earthquakeOverlay.currentTime !== null) {
+      slider.value = earthquakeOverlay.currentTime;
+    }
     
-    // Show the timeline
+    // Show the timeline, then bin with its laid-out width
     container.style.display = 'block';
+    drawHistogram();
+  };
+  
+  // Zoom the slider and histogram to the brushed window, or back out
+  earthquakeOverlay.onTimeWindowChange = (playbackRange, timeWindow) => {
+    resetZoomButton.style.display = timeWindow ? '' : 'none';
+    updateRangeDisplay();
+    if (playbackRange.start === null) return;
+    slider.min = playbackRange.start;
+    slider.max = playbackRange.end;
+    if (earthquakeOverlay.currentTime !== null) slider.value = earthquakeOverlay.currentTime;
+    drawHistogram();
+  };
+  
+  // Reflect the filters in the event count
+  earthquakeOverlay.onFilteredDataChange = (visibleData, allData) => {
+    eventCountDisplay.textContent = visibleData.length === allData.length
+      ? `Events: ${allData.length}`
+      : `Events: ${visibleData.length} of ${allData.length} (filtered)`;
+    drawHistogram();
   };
   
   // Update timeline display when time changes
   earthquakeOverlay.onTimeChange = (time) => {
     slider.value = time;
     currentTimeDisplay.textContent = formatDate(time);
+    updatePlaybackCursor();
   };
   
-  // Slider controls current time
+  // Reflect live mode on the toggle
+  earthquakeOverlay.onLiveChange = (isLive) => {
+    liveButton.style.background = isLive ? 'rgba(220, 50, 50, 0.8)' : '';
+    liveButton.textContent = isLive ? '● Live (on)' : '● Live';
+    // Live data can arrive before any catalog was loaded
+    if (isLive) container.style.display = 'block';
+  };
+  
+  // Slider controls current time; scrubbing leaves live mode
   slider.addEventListener('input', () => {
+    earthquakeOverlay.stopLive();
     const time = parseInt(slider.value, 10);
     earthquakeOverlay.setTime(time, terrainBounds);
   });
   
   // Play button
   playButton.addEventListener('click', () => {
-    earthquakeOverlay.manuallyPaused = false; // Clear manual pause flag
     earthquakeOverlay.play(terrainBounds);
   });
   
@@ -157,9 +605,199 @@ export function createEarthquakeTimeline(earthquakeOverlay, terrainBounds) {
     earthquakeOverlay.stop(terrainBounds);
   });
   
+  // Live toggle
+  liveButton.addEventListener('click', () => {
+    if (earthquakeOverlay.isLive) {
+      earthquakeOverlay.stopLive();
+    } else {
+      earthquakeOverlay.startLive(terrainBounds, { intervalMs: parseInt(liveIntervalSelect.value, 10) });
+    }
+  });
+  
+  liveIntervalSelect.addEventListener('change', () => {
+    earthquakeOverlay.setLiveInterval(parseInt(liveIntervalSelect.value, 10));
+  });
+  
+  // Histogram brushing: drag selects a window, a click jumps to that time
+  let brushStart = null;
+  
+  function dispatchTimeWindowChange(timeWindow) {
+    document.dispatchEvent(new CustomEvent('timeWindowChange', {
+      detail: { timeWindow }
+    }));
+  }
+  
+  function pointerFraction(event) {
+    const rect = histogramWrapper.getBoundingClientRect();
+    return (event.clientX - rect.left) / rect.width;
+  }
+  
+  histogramWrapper.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0 || earthquakeOverlay.timeRange.start === null) return;
+    histogramWrapper.setPointerCapture(event.pointerId);
+    brushStart = Math.min(Math.max(pointerFraction(event), 0), 1);
+  });
+  
+  histogramWrapper.addEventListener('pointermove', (event) => {
+    if (brushStart === null) return;
+    const fraction = Math.min(Math.max(pointerFraction(event), 0), 1);
+    brush.style.left = `${Math.min(brushStart, fraction) * 100}%`;
+    brush.style.width = `${Math.abs(fraction - brushStart) * 100}%`;
+    brush.style.display = 'block';
+  });
+  
+  histogramWrapper.addEventListener('pointerup', (event) => {
+    if (brushStart === null) return;
+    const fraction = Math.min(Math.max(pointerFraction(event), 0), 1);
+    const dragged = Math.abs(fraction - brushStart) * histogramWrapper.clientWidth > 4;
+    brush.style.display = 'none';
+    earthquakeOverlay.stopLive();
+    if (dragged) {
+      dispatchTimeWindowChange({
+        start: histogramTime(Math.min(brushStart, fraction)),
+        end: histogramTime(Math.max(brushStart, fraction))
+      });
+    } else {
+      earthquakeOverlay.setTime(histogramTime(fraction), terrainBounds);
+    }
+    brushStart = null;
+  });
+  
+  histogramWrapper.addEventListener('pointercancel', () => {
+    brush.style.display = 'none';
+    brushStart = null;
+  });
+  
+  histogramWrapper.addEventListener('dblclick', () => dispatchTimeWindowChange(null));
+  resetZoomButton.addEventListener('click', () => dispatchTimeWindowChange(null));
+  
+  histogramModeSelect.addEventListener('change', drawHistogram);
+  window.addEventListener('resize', drawHistogram);
+  
   // Speed select
   speedSelect.addEventListener('change', () => {
     earthquakeOverlay.setPlaybackSpeed(parseFloat(speedSelect.value));
+    updateRecordEstimate();
+  });
+  
+  // Recording
+  let isRecording = false;
+  
+  function recordingSize() {
+    const [width, height] = recordSizeSelect.value.split('x').map(Number);
+    if (width) return { width, height };
+    const ratio = window.devicePixelRatio || 1;
+    // Even sizes keep video encoders happy
+    return {
+      width: Math.round((window.innerWidth * ratio) / 2) * 2,
+      height: Math.round((window.innerHeight * ratio) / 2) * 2
+    };
+  }
+  
+  function recordingFrameCount() {
+    const range = earthquakeOverlay.getPlaybackRange();
+    if (range.start === null) return 0;
+    const step = (earthquakeOverlay.playbackSpeed * 24 * 60 * 60 * 1000) / parseInt(recordFpsSelect.value, 10);
+    return Math.ceil((range.end - range.start) / step) + 1;
+  }
+  
+  function updateRecordEstimate() {
+    if (isRecording) return;
+    const frames = recordingFrameCount();
+    const seconds = frames / parseInt(recordFpsSelect.value, 10);
+    recordStatus.textContent = frames > MAX_RECORDING_FRAMES
+      ? `${frames} frames: too long, pick a faster speed or zoom to a shorter window`
+      : `${frames} frames, ${seconds.toFixed(1)} s`;
+    recordStartButton.disabled = !frames || frames > MAX_RECORDING_FRAMES;
+  }
+  
+  recordButton.addEventListener('click', () => {
+    const open = recordContainer.style.display === 'none';
+    recordContainer.style.display = open ? 'flex' : 'none';
+    if (open) updateRecordEstimate();
+  });
+  
+  recordFpsSelect.addEventListener('change', updateRecordEstimate);
+  
+  recordStartButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('recordPlayback', {
+      detail: {
+        format: recordFormatSelect.value,
+        fps: parseInt(recordFpsSelect.value, 10),
+        ...recordingSize()
+      }
+    }));
+  });
+  
+  recordCancelButton.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('cancelRecording'));
+  });
+  
+  // Progress reported by index.js while frames render
+  document.addEventListener('recordingProgress', (event) => {
+    const { frame, frameCount, done, cancelled, error } = event.detail;
+    isRecording = !done;
+    [recordSizeSelect, recordFpsSelect, recordFormatSelect, recordStartButton].forEach(element => {
+      element.disabled = isRecording;
+    });
+    recordCancelButton.style.display = isRecording ? '' : 'none';
+    recordButton.style.background = isRecording ? 'rgba(220, 50, 50, 0.8)' : '';
+    if (isRecording) {
+      recordStatus.textContent = frame ? `Frame ${frame} of ${frameCount}` : 'Loading terrain...';
+    } else if (cancelled) {
+      recordStatus.textContent = 'Recording cancelled';
+    } else {
+      recordStatus.textContent = error ? `Recording failed: ${error}` : 'Recording saved';
+    }
+  });
+  
+  // Stepping and event navigation; index.js centers the camera on the event
+  function dispatchEventStep(direction) {
+    document.dispatchEvent(new CustomEvent('eventStep', {
+      detail: { direction }
+    }));
+  }
+  
+  prevEventButton.addEventListener('click', () => dispatchEventStep(-1));
+  nextEventButton.addEventListener('click', () => dispatchEventStep(1));
+  stepBackButton.addEventListener('click', () => earthquakeOverlay.step(-1, terrainBounds));
+  stepForwardButton.addEventListener('click', () => earthquakeOverlay.step(1, terrainBounds));
+  
+  stepSelect.addEventListener('change', () => {
+    earthquakeOverlay.setStepInterval(parseInt(stepSelect.value, 10));
+  });
+  
+  loopSelect.addEventListener('change', () => {
+    earthquakeOverlay.setLoopMode(loopSelect.value);
+  });
+  
+  // Keyboard shortcuts while the timeline is shown; typing in form fields is left alone
+  document.addEventListener('keydown', (event) => {
+    if (container.style.display === 'none' || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target;
+    if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+    
+    if (event.key === ' ') {
+      earthquakeOverlay.togglePlayback(terrainBounds);
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+      const direction = event.key === 'ArrowRight' ? 1 : -1;
+      if (event.shiftKey) {
+        dispatchEventStep(direction);
+      } else {
+        earthquakeOverlay.step(direction, terrainBounds);
+      }
+    } else if (event.key === 'Home') {
+      earthquakeOverlay.stop(terrainBounds);
+    } else if (event.key === 'l' || event.key === 'L') {
+      const next = (LOOP_OPTIONS.findIndex(option => option.value === loopSelect.value) + 1) % LOOP_OPTIONS.length;
+      loopSelect.value = LOOP_OPTIONS[next].value;
+      earthquakeOverlay.setLoopMode(loopSelect.value);
+    } else {
+      return;
+    }
+    event.preventDefault();
+    // A focused button would otherwise also be clicked by Space
+    if (target.tagName === 'BUTTON') target.blur();
   });
   
   return container;
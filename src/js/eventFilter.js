@@ -0,0 +1,84 @@
+// eventFilter.js
+
+/**
+ * Client-side catalog filters: magnitude and depth ranges, event types,
+ * review statuses and the time window brushed on the timeline. Applied when
+ * the hypocenter layer is built, so changing them never re-fetches.
+ *
+ * Range bounds are null when open. Types and statuses are listed by exclusion,
+ * so values first seen in a later catalog are shown.
+ */
+
+export const DEFAULT_FILTER = {
+  minMagnitude: null,
+  maxMagnitude: null,
+  minDepth: null,
+  maxDepth: null,
+  excludedTypes: [],
+  excludedStatuses: [],
+  startTime: null,
+  endTime: null,
+};
+
+// Label used for events that do not report a type or status
+export const UNKNOWN_VALUE = 'unknown';
+
+export function eventType(feature) {
+  return feature.properties.type || UNKNOWN_VALUE;
+}
+
+export function eventStatus(feature) {
+  return feature.properties.status || UNKNOWN_VALUE;
+}
+
+function inRange(value, min, max) {
+  // Events without the value only pass when the range is open
+  if (value === null || value === undefined) return min === null && max === null;
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+export function matchesFilter(feature, filter = DEFAULT_FILTER) {
+  return (
+    inRange(feature.properties.mag, filter.minMagnitude, filter.maxMagnitude) &&
+    inRange(feature.geometry.coordinates[2], filter.minDepth, filter.maxDepth) &&
+    !filter.excludedTypes.includes(eventType(feature)) &&
+    !filter.excludedStatuses.includes(eventStatus(feature)) &&
+    inRange(feature.properties.time, filter.startTime, filter.endTime)
+  );
+}
+
+/**
+ * What a catalog contains, for building the filter controls: counts per
+ * type and status (most common first) and the magnitude and depth ranges.
+ */
+export function summarizeCatalog(features) {
+  const count = (valueOf) => {
+    const counts = new Map();
+    features.forEach(feature => {
+      const value = valueOf(feature);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([value, n]) => ({ value, count: n }));
+  };
+  const range = (valueOf) => {
+    let min = Infinity;
+    let max = -Infinity;
+    features.forEach(feature => {
+      const value = valueOf(feature);
+      if (Number.isFinite(value)) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    });
+    return Number.isFinite(min) ? { min, max } : null;
+  };
+
+  return {
+    types: count(eventType),
+    statuses: count(eventStatus),
+    magnitude: range(feature => feature.properties.mag),
+    depth: range(feature => feature.geometry.coordinates[2]),
+  };
+}
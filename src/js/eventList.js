@@ -0,0 +1,302 @@
+// eventList.js
+
+/**
+ * Table of the filtered catalog: time, magnitude, depth, place and type,
+ * sortable by column and searchable by text. Only the rows in view are in
+ * the DOM, so catalogs of any size scroll smoothly.
+ *
+ * Picking a row dispatches 'eventListSelect' with the feature id; the
+ * selection made anywhere else is reflected with selectEventListRow().
+ */
+
+import { eventType } from './eventFilter';
+
+const ROW_HEIGHT = 22;
+const VISIBLE_ROWS = 14;
+// Rows drawn beyond each edge of the viewport while scrolling
+const OVERSCAN = 6;
+
+const COLUMNS = [
+  { key: 'time', label: 'Time', width: '118px', value: feature => feature.properties.time },
+  { key: 'mag', label: 'Mag', width: '38px', value: feature => feature.properties.mag, align: 'right' },
+  { key: 'depth', label: 'Depth', width: '46px', value: feature => feature.geometry.coordinates[2], align: 'right' },
+  { key: 'place', label: 'Place', width: 'auto', value: feature => feature.properties.place || '' },
+  { key: 'type', label: 'Type', width: '70px', value: eventType },
+];
+
+// Docked below the compass on the left, or beside the controls panel on the right
+const DOCKS = ['left', 'right'];
+
+const state = {
+  features: [],
+  rows: [],
+  sortKey: 'time',
+  sortDirection: -1,
+  query: '',
+  selectedId: null,
+  dock: 'left',
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatTime(time) {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function formatCell(key, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (key === 'time') return formatTime(value);
+  if (key === 'mag') return value.toFixed(1);
+  if (key === 'depth') return value.toFixed(1);
+  return String(value);
+}
+
+function searchText(feature) {
+  const { place, type, magType, status } = feature.properties;
+  return [feature.id, place, type, magType, status].filter(Boolean).join(' ').toLowerCase();
+}
+
+// Empty values sort last in both directions
+function compareRows(a, b) {
+  const column = COLUMNS.find(({ key }) => key === state.sortKey);
+  const valueA = column.value(a);
+  const valueB = column.value(b);
+  const emptyA = valueA === null || valueA === undefined || valueA === '';
+  const emptyB = valueB === null || valueB === undefined || valueB === '';
+  if (emptyA || emptyB) return emptyA - emptyB;
+  const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+  return order * state.sortDirection;
+}
+
+function updateRows() {
+  const query = state.query.trim().toLowerCase();
+  const rows = query ? state.features.filter(feature => searchText(feature).includes(query)) : state.features.slice();
+  state.rows = rows.sort(compareRows);
+
+  const count = document.getElementById('event-list-count');
+  if (count) {
+    count.textContent = query ? `${state.rows.length} of ${state.features.length}` : String(state.features.length);
+  }
+  const spacer = document.getElementById('event-list-spacer');
+  if (spacer) spacer.style.height = `${state.rows.length * ROW_HEIGHT}px`;
+
+  document.querySelectorAll('#event-list [data-sort-key]').forEach(header => {
+    const active = header.dataset.sortKey === state.sortKey;
+    header.textContent = `${header.dataset.label}${active ? (state.sortDirection > 0 ? ' ▲' : ' ▼') : ''}`;
+  });
+  renderRows();
+}
+
+function createRow(feature) {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.position = 'absolute';
+  row.style.left = '0';
+  row.style.right = '0';
+  row.style.height = `${ROW_HEIGHT}px`;
+  row.style.lineHeight = `${ROW_HEIGHT}px`;
+  row.style.cursor = 'pointer';
+  row.style.gap = '6px';
+  row.style.padding = '0 4px';
+  const selected = feature.id === state.selectedId;
+  row.style.backgroundColor = selected ? 'rgba(255, 255, 255, 0.3)' : '';
+  row.title = feature.properties.place || feature.id;
+  COLUMNS.forEach(({ key, width, value, align }) => {
+    const cell = document.createElement('span');
+    cell.textContent = formatCell(key, value(feature));
+    cell.style.flex = width === 'auto' ? '1' : `0 0 ${width}`;
+    cell.style.overflow = 'hidden';
+    cell.style.textOverflow = 'ellipsis';
+    cell.style.whiteSpace = 'nowrap';
+    if (align) cell.style.textAlign = align;
+    row.appendChild(cell);
+  });
+  row.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('eventListSelect', { detail: { featureId: feature.id } }));
+  });
+  return row;
+}
+
+// Draws the rows in view (plus some overscan) at their offsets in the spacer
+function renderRows() {
+  const viewport = document.getElementById('event-list-viewport');
+  const spacer = document.getElementById('event-list-spacer');
+  if (!viewport || !spacer) return;
+  const first = Math.max(Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+  const last = Math.min(Math.ceil((viewport.scrollTop + viewport.clientHeight) / ROW_HEIGHT) + OVERSCAN, state.rows.length);
+  spacer.innerHTML = '';
+  for (let i = first; i < last; i++) {
+    const row = createRow(state.rows[i]);
+    row.style.top = `${i * ROW_HEIGHT}px`;
+    spacer.appendChild(row);
+  }
+}
+
+function applyDock(container) {
+  container.style.top = state.dock === 'left' ? '150px' : '10px';
+  container.style.left = state.dock === 'left' ? '10px' : '';
+  // Beside the controls panel, whose width follows its content
+  const controls = document.querySelector('.earthquake-controls');
+  container.style.right = state.dock === 'right' ? `${(controls ? controls.offsetWidth : 0) + 20}px` : '';
+}
+
+function headerButton(text, title) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = title;
+  button.style.padding = '0 6px';
+  button.style.fontSize = '11px';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+export function createEventList() {
+  const container = document.createElement('div');
+  container.id = 'event-list';
+  container.style.position = 'absolute';
+  container.style.width = '440px';
+  container.style.backgroundColor = 'rgba(36, 36, 36, 0.7)';
+  container.style.color = 'white';
+  container.style.padding = '8px 10px';
+  container.style.borderRadius = '5px';
+  container.style.fontSize = '12px';
+  container.style.fontFamily = 'Futura, Futura PT, Trebuchet MS, sans-serif';
+  container.style.zIndex = '1000';
+  container.style.display = 'none'; // Shown once a catalog is loaded
+  applyDock(container);
+
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.alignItems = 'center';
+  header.style.gap = '6px';
+
+  const title = document.createElement('span');
+  title.textContent = 'Events ';
+  title.style.fontWeight = 'bold';
+  const count = document.createElement('span');
+  count.id = 'event-list-count';
+  count.style.fontWeight = 'normal';
+  count.style.opacity = '0.8';
+  title.appendChild(count);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.id = 'event-list-search';
+  search.placeholder = 'Search place, type, id';
+  search.style.flex = '1';
+  search.style.minWidth = '0';
+  search.style.fontSize = '11px';
+  search.addEventListener('input', () => {
+    state.query = search.value;
+    updateRows();
+  });
+
+  const dockButton = headerButton('⇄', 'Dock on the other side');
+  dockButton.addEventListener('click', () => {
+    state.dock = DOCKS[(DOCKS.indexOf(state.dock) + 1) % DOCKS.length];
+    applyDock(container);
+  });
+
+  const collapseButton = headerButton('–', 'Collapse');
+  const body = document.createElement('div');
+  collapseButton.addEventListener('click', () => {
+    const collapsed = body.style.display !== 'none';
+    body.style.display = collapsed ? 'none' : '';
+    collapseButton.textContent = collapsed ? '+' : '–';
+    collapseButton.title = collapsed ? 'Expand' : 'Collapse';
+    if (!collapsed) renderRows();
+  });
+
+  header.appendChild(title);
+  header.appendChild(search);
+  header.appendChild(dockButton);
+  header.appendChild(collapseButton);
+  container.appendChild(header);
+
+  // Column headers sort on click; clicking the sorted column reverses it
+  const columnRow = document.createElement('div');
+  columnRow.style.display = 'flex';
+  columnRow.style.gap = '6px';
+  columnRow.style.padding = '4px 4px 2px';
+  columnRow.style.marginTop = '6px';
+  columnRow.style.borderBottom = '1px solid rgba(255, 255, 255, 0.3)';
+  columnRow.style.fontWeight = 'bold';
+  columnRow.style.userSelect = 'none';
+  COLUMNS.forEach(({ key, label, width, align }) => {
+    const cell = document.createElement('span');
+    cell.dataset.sortKey = key;
+    cell.dataset.label = label;
+    cell.textContent = label;
+    cell.style.flex = width === 'auto' ? '1' : `0 0 ${width}`;
+    cell.style.cursor = 'pointer';
+    if (align) cell.style.textAlign = align;
+    cell.addEventListener('click', () => {
+      if (state.sortKey === key) {
+        state.sortDirection = -state.sortDirection;
+      } else {
+        state.sortKey = key;
+        // Latest, largest and deepest first; text columns A to Z
+        state.sortDirection = key === 'place' || key === 'type' ? 1 : -1;
+      }
+      updateRows();
+    });
+    columnRow.appendChild(cell);
+  });
+  body.appendChild(columnRow);
+
+  const viewport = document.createElement('div');
+  viewport.id = 'event-list-viewport';
+  viewport.style.height = `${ROW_HEIGHT * VISIBLE_ROWS}px`;
+  viewport.style.maxHeight = 'calc(100vh - 420px)'; // Clear of the legend and timeline
+  viewport.style.minHeight = `${ROW_HEIGHT * 4}px`;
+  viewport.style.overflowY = 'auto';
+  const spacer = document.createElement('div');
+  spacer.id = 'event-list-spacer';
+  spacer.style.position = 'relative';
+  viewport.appendChild(spacer);
+  viewport.addEventListener('scroll', renderRows);
+  body.appendChild(viewport);
+  container.appendChild(body);
+
+  window.addEventListener('resize', () => {
+    applyDock(container);
+    renderRows();
+  });
+
+  return container;
+}
+
+/**
+ * Lists `features` (the filtered catalog), keeping the sort, search and
+ * selection.
+ */
+export function updateEventList(features) {
+  state.features = features;
+  const container = document.getElementById('event-list');
+  if (container) {
+    container.style.display = features.length ? 'block' : 'none';
+    // The controls panel may have changed width since the list was docked
+    applyDock(container);
+  }
+  updateRows();
+}
+
+/**
+ * Highlights the row of `featureId` and scrolls it into view, or clears the
+ * highlight when it is null.
+ */
+export function selectEventListRow(featureId) {
+  state.selectedId = featureId;
+  const viewport = document.getElementById('event-list-viewport');
+  const index = featureId !== null ? state.rows.findIndex(feature => feature.id === featureId) : -1;
+  if (viewport && index >= 0) {
+    const top = index * ROW_HEIGHT;
+    if (top < viewport.scrollTop || top + ROW_HEIGHT > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = Math.max(top - (viewport.clientHeight - ROW_HEIGHT) / 2, 0);
+    }
+  }
+  renderRows();
+}
@@ -0,0 +1,61 @@
+// hoverTooltip.js
+
+/**
+ * Small tooltip that follows the pointer over a hypocenter
+ */
+
+// Keeps the tooltip clear of the cursor
+const POINTER_OFFSET = 14;
+
+export function createHoverTooltip() {
+  const tooltip = document.createElement('div');
+  tooltip.id = 'hover-tooltip';
+  tooltip.style.position = 'absolute';
+  tooltip.style.backgroundColor = 'rgba(36, 36, 36, 0.85)';
+  tooltip.style.color = 'white';
+  tooltip.style.padding = '4px 8px';
+  tooltip.style.borderRadius = '4px';
+  tooltip.style.fontSize = '12px';
+  tooltip.style.fontFamily = 'Futura, Futura PT, Trebuchet MS, sans-serif';
+  tooltip.style.lineHeight = '1.4';
+  tooltip.style.whiteSpace = 'nowrap';
+  tooltip.style.zIndex = '1000';
+  tooltip.style.pointerEvents = 'none';
+  tooltip.style.display = 'none';
+  return tooltip;
+}
+
+/**
+ * Shows magnitude, depth below sea level (km or null) and time of `feature`
+ * next to the pointer at (`x`, `y`), flipped to stay inside the window.
+ * `others` is how many more events are under the pointer.
+ */
+export function showHoverTooltip(feature, depth, x, y, others = 0) {
+  const tooltip = document.getElementById('hover-tooltip');
+  if (!tooltip) return;
+  const { mag, magType, time } = feature.properties;
+  const magnitude = mag !== null && mag !== undefined ? `M${mag.toFixed(1)}${magType ? ` ${magType}` : ''}` : 'M?';
+  const lines = [
+    `${magnitude}, ${depth !== null ? `${depth.toFixed(1)} km deep` : 'depth unknown'}`,
+    new Date(time).toLocaleString(),
+  ];
+  if (others) lines.push(`+${others} more here, click again to cycle`);
+  tooltip.textContent = '';
+  lines.forEach((line, i) => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    if (i === 2) row.style.opacity = '0.7';
+    tooltip.appendChild(row);
+  });
+
+  tooltip.style.display = 'block';
+  const flipX = x + POINTER_OFFSET + tooltip.offsetWidth > window.innerWidth;
+  const flipY = y + POINTER_OFFSET + tooltip.offsetHeight > window.innerHeight;
+  tooltip.style.left = `${flipX ? x - POINTER_OFFSET - tooltip.offsetWidth : x + POINTER_OFFSET}px`;
+  tooltip.style.top = `${flipY ? y - POINTER_OFFSET - tooltip.offsetHeight : y + POINTER_OFFSET}px`;
+}
+
+export function hideHoverTooltip() {
+  const tooltip = document.getElementById('hover-tooltip');
+  if (tooltip) tooltip.style.display = 'none';
+}
@@ -0,0 +1,490 @@
+// hypocenterLayer.js
+
+import {
+  BufferAttribute,
+  BufferGeometry,
+  Group,
+  InstancedBufferAttribute,
+  InstancedMesh,
+  LineSegments,
+  MathUtils,
+  ShaderMaterial,
+  SphereGeometry,
+  Vector3,
+} from 'three';
+import { DEFAULT_AGING, DEFAULT_HYPOCENTER_STYLE, resolveAging, styleEvents } from './hypocenterStyle';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/*
+ * The aging model, evaluated per vertex. `age` is in hours; negative ages are
+ * events after the playback time and are hidden. With the default settings
+ * (see DEFAULT_AGING, F = uFadeStartHours = 48):
+ *
+ * - size grows in over the first uGrowHours (1 hour)
+ * - color is red for F/24 (2 hours), ramps to orange at F, yellow afterwards
+ * - bloom brightness drops from 12x to 1.2x over F, with a knee at F/4
+ * - opacity fades over uFadeHours (5 days) after F, down to uFloorOpacity (0.1)
+ * - events older than uTrailHours are hidden when it is set
+ *
+ * Ramp colors are sRGB, so they are linearized like Color.setHex() would.
+ * When coloring by anything other than age (uColorByAge = 0), the per-event
+ * `eventColor` is used instead, with a gentler version of the bloom ramp.
+ */
+const agingShaderChunk = `
+  uniform float uTime;
+  uniform float uClock;
+  uniform float uPulseSeconds;
+  uniform float uSelectedIndex;
+  uniform float uHoveredIndex;
+  uniform float uColorByAge;
+  uniform float uGrowHours;
+  uniform float uFadeStartHours;
+  uniform float uFadeHours;
+  uniform float uFloorOpacity;
+  uniform float uTrailHours;
+
+  float srgbToLinear(float c) {
+    return c < 0.04045 ? c * 0.0773993808 : pow(c * 0.9478672986 + 0.0521327014, 2.4);
+  }
+
+  vec3 ageColor(float age) {
+    float red = uFadeStartHours / 24.0;
+    if (age <= red) return vec3(1.0, 0.0, 0.0);
+    if (age <= uFadeStartHours) {
+      return vec3(1.0, srgbToLinear(floor(165.0 * (age - red) / (uFadeStartHours - red)) / 255.0), 0.0);
+    }
+    return vec3(1.0, 1.0, 0.0);
+  }
+
+  float ageBloom(float age) {
+    float flash = uFadeStartHours / 24.0;
+    float knee = uFadeStartHours / 4.0;
+    if (age <= flash) return 12.0;
+    if (age <= knee) return 12.0 - (age - flash) / (knee - flash) * 6.0;
+    if (age <= uFadeStartHours) return 6.0 - (age - knee) / (uFadeStartHours - knee) * 4.0;
+    return 1.2;
+  }
+
+  float ageScale(float age) {
+    return clamp(age / uGrowHours, 0.0, 1.0);
+  }
+
+  vec3 sphereColor(float age, vec3 color) {
+    return uColorByAge > 0.5 ? ageColor(age) * ageBloom(age) : color * (1.0 + ageBloom(age) / 6.0);
+  }
+
+  float ageOpacity(float age) {
+    if (uTrailHours > 0.0 && age > uTrailHours) return 0.0;
+    return age > uFadeStartHours ? max(uFloorOpacity, 1.0 - (age - uFadeStartHours) / uFadeHours) : 1.0;
+  }
+
+  bool isSelected(float index) {
+    return uSelectedIndex >= 0.0 && abs(index - uSelectedIndex) < 0.5;
+  }
+
+  bool isHovered(float index) {
+    return uHoveredIndex >= 0.0 && abs(index - uHoveredIndex) < 0.5;
+  }
+`;
+
+const sphereVertexShader = `
+  attribute float eventTime;
+  attribute float eventIndex;
+  attribute float pulseStart;
+  attribute vec3 eventColor;
+  varying vec3 vColor;
+  varying float vOpacity;
+  ${agingShaderChunk}
+
+  void main() {
+    float age = uTime - eventTime;
+    float scale = ageScale(age);
+    vColor = sphereColor(age, eventColor);
+    vOpacity = age < 0.0 ? 0.0 : ageOpacity(age);
+
+    // Newly arrived live events pulse at full size for uPulseSeconds
+    float t = (uClock - pulseStart) / uPulseSeconds;
+    if (pulseStart >= 0.0 && t >= 0.0 && t < 1.0 && age >= 0.0) {
+      float pulse = abs(sin(t * 3.14159265 * 8.0)) * (1.0 - t);
+      scale = 1.0 + 1.5 * pulse;
+      vColor *= 1.0 + 2.0 * pulse;
+      vOpacity = 1.0;
+    }
+
+    if (isSelected(eventIndex) && age >= 0.0) {
+      vColor = vec3(1.0);
+      vOpacity = 1.0;
+    } else if (isHovered(eventIndex) && age >= 0.0) {
+      // Lighter and a bit larger under the pointer
+      vColor = mix(vColor, vec3(1.0), 0.5);
+      vOpacity = max(vOpacity, 0.8);
+      scale *= 1.3;
+    }
+
+    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position * scale, 1.0);
+  }
+`;
+
+const lineVertexShader = `
+  attribute float eventTime;
+  attribute float eventIndex;
+  attribute vec3 eventColor;
+  varying vec3 vColor;
+  varying float vOpacity;
+  ${agingShaderChunk}
+
+  void main() {
+    float age = uTime - eventTime;
+    vColor = uColorByAge > 0.5 ? ageColor(age) * 2.0 : eventColor;
+    vOpacity = age < 0.0 ? 0.0 : ageOpacity(age);
+
+    if (isSelected(eventIndex) && age >= 0.0) {
+      vColor = vec3(1.0);
+      vOpacity = 1.0;
+    } else if (isHovered(eventIndex) && age >= 0.0) {
+      vColor = mix(vColor, vec3(1.0), 0.5);
+      vOpacity = max(vOpacity, 0.8);
+    }
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  varying vec3 vColor;
+  varying float vOpacity;
+
+  void main() {
+    // Drops hidden (future) events entirely
+    if (vOpacity < 0.01) discard;
+    gl_FragColor = vec4(vColor, vOpacity);
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * All hypocenters of a catalog drawn with two objects: an InstancedMesh of
+ * spheres and one LineSegments buffer of drop lines.
+ *
+ * Event positions, sizes and origin times are written once per catalog. The
+ * aging model runs in the shaders against the `uTime` uniform, so advancing
+ * playback only sets uniforms no matter how many events are loaded.
+ * Colors and sizes follow `style` (see hypocenterStyle.js); `legend`
+ * describes the current coloring.
+ */
+export class HypocenterLayer {
+  constructor({ bloomLayer = 1 } = {}) {
+    this.group = new Group();
+    this.bloomLayer = bloomLayer;
+    this.capacity = 0;
+    this.count = 0;
+    this.features = [];
+    this.indexById = new Map();
+
+    // Times go to the GPU as float32 hours relative to these epochs, which keeps
+    // them accurate to well under a minute over decades of catalog
+    this.timeEpoch = 0;
+    this.clockEpoch = Date.now();
+
+    // Shared by both materials
+    this.uniforms = {
+      uTime: { value: 0 },
+      uClock: { value: 0 },
+      uPulseSeconds: { value: 10 },
+      uSelectedIndex: { value: -1 },
+      uHoveredIndex: { value: -1 },
+      uColorByAge: { value: 1 },
+      uGrowHours: { value: 1 },
+      uFadeStartHours: { value: 48 },
+      uFadeHours: { value: 120 },
+      uFloorOpacity: { value: 0.1 },
+      uTrailHours: { value: 0 },
+    };
+
+    this.style = { ...DEFAULT_HYPOCENTER_STYLE };
+    this.aging = resolveAging(DEFAULT_AGING);
+    this.legend = styleEvents([], this.style).legend;
+
+    this.sphereGeometry = new SphereGeometry(1, 12, 12);
+    this.sphereMaterial = new ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: sphereVertexShader,
+      fragmentShader,
+      transparent: true,
+    });
+    this.lineMaterial = new ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: lineVertexShader,
+      fragmentShader,
+      transparent: true,
+    });
+
+    this.allocate(1024);
+  }
+
+  /**
+   * (Re)creates the instanced mesh and line buffers for `capacity` events.
+   */
+  allocate(capacity) {
+    if (this.mesh) {
+      this.group.remove(this.mesh);
+      this.group.remove(this.lines);
+      this.mesh.dispose();
+      this.lines.geometry.dispose();
+    }
+    this.capacity = capacity;
+
+    this.mesh = new InstancedMesh(this.sphereGeometry, this.sphereMaterial, capacity);
+    this.eventTimes = new InstancedBufferAttribute(new Float32Array(capacity), 1);
+    this.eventIndices = new InstancedBufferAttribute(new Float32Array(capacity), 1);
+    this.pulseStarts = new InstancedBufferAttribute(new Float32Array(capacity).fill(-1), 1);
+    this.eventColors = new InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    this.sphereGeometry.setAttribute('eventTime', this.eventTimes);
+    this.sphereGeometry.setAttribute('eventIndex', this.eventIndices);
+    this.sphereGeometry.setAttribute('pulseStart', this.pulseStarts);
+    this.sphereGeometry.setAttribute('eventColor', this.eventColors);
+    this.mesh.count = 0;
+    this.mesh.frustumCulled = false;
+    this.mesh.layers.set(0);
+    this.mesh.layers.enable(this.bloomLayer);
+    this.mesh.userData = { isEarthquakeLayer: true };
+
+    const lineGeometry = new BufferGeometry();
+    this.linePositions = new BufferAttribute(new Float32Array(capacity * 6), 3);
+    this.lineTimes = new BufferAttribute(new Float32Array(capacity * 2), 1);
+    this.lineIndices = new BufferAttribute(new Float32Array(capacity * 2), 1);
+    this.lineColors = new BufferAttribute(new Float32Array(capacity * 6), 3);
+    lineGeometry.setAttribute('position', this.linePositions);
+    lineGeometry.setAttribute('eventTime', this.lineTimes);
+    lineGeometry.setAttribute('eventIndex', this.lineIndices);
+    lineGeometry.setAttribute('eventColor', this.lineColors);
+    lineGeometry.setDrawRange(0, 0);
+    this.lines = new LineSegments(lineGeometry, this.lineMaterial);
+    this.lines.frustumCulled = false;
+    this.lines.layers.set(0);
+
+    this.times = new Float64Array(capacity);
+
+    this.group.add(this.lines);
+    this.group.add(this.mesh);
+  }
+
+  /**
+   * Loads the catalog into the buffers.
+   *
+   * @param {Array<Object>} features - Events sorted by time
+   * @param {Function} project - (feature) => { x, y, z, top } scene position of the hypocenter, y up,
+   *   and the height its drop line starts from (0 when omitted)
+   */
+  setEvents(features, project) {
+    if (features.length > this.capacity) {
+      let capacity = this.capacity;
+      while (capacity < features.length) capacity *= 2;
+      this.allocate(capacity);
+    }
+
+    this.features = features;
+    this.indexById = new Map(features.map((feature, i) => [feature.id, i]));
+    this.count = features.length;
+    this.timeEpoch = features.length ? features[0].properties.time : 0;
+
+    const matrices = this.mesh.instanceMatrix.array;
+    const linePositions = this.linePositions.array;
+    features.forEach((feature, i) => {
+      const { x, y, z, top = 0 } = project(feature);
+      // Unit spheres here; writeStyle() sets the radius
+      matrices.set([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1], i * 16);
+
+      const time = feature.properties.time;
+      const hours = (time - this.timeEpoch) / HOUR_MS;
+      this.times[i] = time;
+      this.eventTimes.array[i] = hours;
+      this.eventIndices.array[i] = i;
+      this.pulseStarts.array[i] = -1;
+
+      linePositions.set([x, top, z, x, y, z], i * 6);
+      this.lineTimes.array[i * 2] = hours;
+      this.lineTimes.array[i * 2 + 1] = hours;
+      this.lineIndices.array[i * 2] = i;
+      this.lineIndices.array[i * 2 + 1] = i;
+    });
+
+    this.mesh.count = this.count;
+    this.lines.geometry.setDrawRange(0, this.count * 2);
+    [this.mesh.instanceMatrix, this.eventTimes, this.eventIndices, this.pulseStarts,
+      this.linePositions, this.lineTimes, this.lineIndices].forEach((attribute) => {
+      attribute.needsUpdate = true;
+    });
+    this.writeStyle();
+  }
+
+  /**
+   * Changes how events are colored and sized; see DEFAULT_HYPOCENTER_STYLE.
+   */
+  setStyle(style) {
+    this.style = { ...this.style, ...style };
+    this.writeStyle();
+  }
+
+  /**
+   * Applies aging settings already resolved for the time range (see resolveAging).
+   */
+  setAging(aging) {
+    this.aging = aging;
+    // Zero durations would divide by zero in the shaders
+    this.uniforms.uGrowHours.value = Math.max(aging.growHours, 1e-3);
+    this.uniforms.uFadeStartHours.value = Math.max(aging.fadeStartHours, 1e-3);
+    this.uniforms.uFadeHours.value = Math.max(aging.fadeHours, 1e-3);
+    this.uniforms.uFloorOpacity.value = aging.floorOpacity;
+    this.uniforms.uTrailHours.value = aging.trailHours;
+  }
+
+  writeStyle() {
+    const { colors, radii, legend } = styleEvents(this.features, this.style);
+    const matrices = this.mesh.instanceMatrix.array;
+    const eventColors = this.eventColors.array;
+    const lineColors = this.lineColors.array;
+    for (let i = 0; i < this.count; i++) {
+      matrices[i * 16] = radii[i];
+      matrices[i * 16 + 5] = radii[i];
+      matrices[i * 16 + 10] = radii[i];
+      eventColors.set(colors.subarray(i * 3, i * 3 + 3), i * 3);
+      lineColors.set(colors.subarray(i * 3, i * 3 + 3), i * 6);
+      lineColors.set(colors.subarray(i * 3, i * 3 + 3), i * 6 + 3);
+    }
+    this.uniforms.uColorByAge.value = legend.kind === 'age' ? 1 : 0;
+    this.legend = legend;
+    [this.mesh.instanceMatrix, this.eventColors, this.lineColors].forEach((attribute) => {
+      attribute.needsUpdate = true;
+    });
+    // Raycasting bounds are recomputed lazily from the new instances
+    this.mesh.boundingSphere = null;
+    this.mesh.boundingBox = null;
+  }
+
+  /**
+   * Starts the arrival pulse of live events.
+   *
+   * @param {Map} arrivals - featureId -> pulse start (wall clock); expired entries are removed
+   * @param {number} [pulseMs] - Pulse duration
+   */
+  setPulses(arrivals, pulseMs = 10000) {
+    const now = Date.now();
+    this.uniforms.uPulseSeconds.value = pulseMs / 1000;
+    this.pulseStarts.array.fill(-1, 0, this.count);
+    for (const [id, arrival] of arrivals) {
+      const i = this.indexById.get(id);
+      if (now - arrival >= pulseMs) {
+        arrivals.delete(id);
+      } else if (i !== undefined) {
+        this.pulseStarts.array[i] = (arrival - this.clockEpoch) / 1000;
+      }
+    }
+    this.pulseStarts.needsUpdate = true;
+  }
+
+  /**
+   * Moves playback to `referenceTime` (epoch ms); later events are hidden.
+   * This is the only per-frame work.
+   */
+  setTime(referenceTime) {
+    this.uniforms.uTime.value = (referenceTime - this.timeEpoch) / HOUR_MS;
+    this.uniforms.uClock.value = (Date.now() - this.clockEpoch) / 1000;
+  }
+
+  /**
+   * Highlights one event in white, or none when `featureId` is null.
+   */
+  setSelected(featureId) {
+    const i = featureId !== null ? this.indexById.get(featureId) : undefined;
+    this.uniforms.uSelectedIndex.value = i !== undefined ? i : -1;
+  }
+
+  /**
+   * Lightens the event under the pointer, or none when `featureId` is null.
+   */
+  setHovered(featureId) {
+    const i = featureId !== null ? this.indexById.get(featureId) : undefined;
+    this.uniforms.uHoveredIndex.value = i !== undefined ? i : -1;
+  }
+
+  /**
+   * Whether an event is drawn at `referenceTime`: not in the future and not
+   * past the trailing window.
+   */
+  isShown(i, referenceTime) {
+    const age = referenceTime - this.times[i];
+    return age >= 0 && !(this.aging.trailHours > 0 && age > this.aging.trailHours * HOUR_MS);
+  }
+
+  /**
+   * Events shown within `tolerance` pixels of a point on screen, nearest
+   * first and front to back among equals. Distances are to the edge of each
+   * sphere's disc on screen, so a large sphere is hit anywhere on it and a
+   * small or distant one still has a margin around it.
+   *
+   * @param {PerspectiveCamera} camera - With its matrices up to date
+   * @param {{x: number, y: number}} pointer - Normalized device coordinates
+   * @param {number} viewportHeight - In the same pixels as `tolerance`
+   * @returns {Array<{feature: Object, distance: number}>}
+   */
+  pick(camera, pointer, viewportHeight, tolerance, referenceTime = Infinity) {
+    if (!this.count) return [];
+    const matrices = this.mesh.instanceMatrix.array;
+    const toView = camera.matrixWorldInverse.clone().multiply(this.mesh.matrixWorld);
+    const worldScale = this.mesh.matrixWorld.getMaxScaleOnAxis();
+    // Pixels per scene unit at unit distance from the camera
+    const focal = viewportHeight / 2 / Math.abs(Math.tan(MathUtils.degToRad(camera.fov / 2)));
+    const pointerX = (pointer.x * camera.aspect * viewportHeight) / 2;
+    const pointerY = (pointer.y * viewportHeight) / 2;
+    const point = new Vector3();
+    const hits = [];
+    for (let i = 0; i < this.count; i++) {
+      if (!this.isShown(i, referenceTime)) continue;
+      point.set(matrices[i * 16 + 12], matrices[i * 16 + 13], matrices[i * 16 + 14]).applyMatrix4(toView);
+      const depth = -point.z;
+      if (depth <= camera.near) continue;
+      const radius = (matrices[i * 16] * worldScale * focal) / depth;
+      const offset = Math.hypot((point.x / depth) * focal - pointerX, (point.y / depth) * focal - pointerY);
+      const distance = Math.max(offset - radius, 0);
+      if (distance <= tolerance) hits.push({ feature: this.features[i], distance, depth });
+    }
+    return hits
+      .sort((a, b) => a.distance - b.distance || a.depth - b.depth)
+      .map(({ feature, distance }) => ({ feature, distance }));
+  }
+
+  /**
+   * Scene position of an event's hypocenter, or null if it is not loaded.
+   */
+  getPosition(featureId, target) {
+    const i = this.indexById.get(featureId);
+    if (i === undefined) return null;
+    const matrices = this.mesh.instanceMatrix.array;
+    return target.set(matrices[i * 16 + 12], matrices[i * 16 + 13], matrices[i * 16 + 14]);
+  }
+
+  clear() {
+    this.count = 0;
+    this.features = [];
+    this.indexById = new Map();
+    this.uniforms.uSelectedIndex.value = -1;
+    this.uniforms.uHoveredIndex.value = -1;
+    this.legend = styleEvents([], this.style).legend;
+    this.mesh.count = 0;
+    this.lines.geometry.setDrawRange(0, 0);
+  }
+
+  getObject3D() {
+    return this.group;
+  }
+
+  dispose() {
+    this.mesh.dispose();
+    this.lines.geometry.dispose();
+    this.sphereGeometry.dispose();
+    this.sphereMaterial.dispose();
+    this.lineMaterial.dispose();
+  }
+}
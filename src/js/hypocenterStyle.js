@@ -0,0 +1,180 @@
+// hypocenterStyle.js
+
+/**
+ * How hypocenters are colored, sized and aged during playback.
+ *
+ * Age coloring runs in the shaders (see hypocenterLayer.js) because it changes
+ * with playback time. The other modes depend only on the event, so their
+ * colors are computed here once per catalog, together with the legend that
+ * describes them.
+ */
+
+import { Color, SRGBColorSpace } from 'three';
+import { CATEGORY_COLORS, DEFAULT_COLORMAP, colormapColor, colormapGradient, niceTicks } from './colorScales';
+
+export const COLOR_BY_MODES = {
+  age: 'Age',
+  depth: 'Depth',
+  magnitude: 'Magnitude',
+  type: 'Event type',
+};
+
+export const SIZE_BY_MODES = {
+  magnitude: 'Magnitude',
+  energy: 'Energy',
+  constant: 'Constant',
+};
+
+export const DEFAULT_HYPOCENTER_STYLE = {
+  colorBy: 'age',
+  colormap: DEFAULT_COLORMAP,
+  sizeBy: 'magnitude',
+};
+
+/**
+ * Playback aging, in hours of catalog time:
+ * - growHours: spheres grow in over this long after the origin time
+ * - fadeStartHours: events stay fully opaque this long; the red -> orange
+ *   ramp and the bloom flash run over this span as well
+ * - fadeHours: then fade out over this long...
+ * - floorOpacity: ...down to this opacity
+ * - trailHours: events older than this are hidden; 0 shows all
+ * - autoScale: scale the grow-in and fade durations with the loaded time
+ *   range, taking the values above as meant for a week of catalog
+ */
+export const DEFAULT_AGING = {
+  growHours: 1,
+  fadeStartHours: 48,
+  fadeHours: 120,
+  floorOpacity: 0.1,
+  trailHours: 0,
+  autoScale: false,
+};
+
+const AUTO_SCALE_REFERENCE_HOURS = 7 * 24;
+
+/**
+ * Aging settings with auto scaling applied for a time range (epoch ms).
+ */
+export function resolveAging(aging, timeRange) {
+  const settings = { ...DEFAULT_AGING, ...aging };
+  let factor = 1;
+  if (settings.autoScale && timeRange && timeRange.start !== null && timeRange.end > timeRange.start) {
+    const rangeHours = (timeRange.end - timeRange.start) / (60 * 60 * 1000);
+    factor = Math.max(0.1, rangeHours / AUTO_SCALE_REFERENCE_HOURS);
+  }
+  return {
+    ...settings,
+    factor,
+    growHours: settings.growHours * factor,
+    fadeStartHours: settings.fadeStartHours * factor,
+    fadeHours: settings.fadeHours * factor,
+  };
+}
+
+// Sphere radius in scene units for a constant size, and the smallest radius in any mode
+const CONSTANT_RADIUS = 72;
+const MIN_RADIUS = 12;
+const MAX_RADIUS = 2160;
+
+/**
+ * Sphere radius of an event.
+ *
+ * - magnitude: linear in magnitude, the original max(2, mag * 12) scaled by 6
+ * - energy: sphere volume proportional to radiated energy (10^1.5M), so the
+ *   radius grows 10^0.5 per magnitude unit; equal to the magnitude size at M3
+ * - constant: the same for every event
+ */
+export function eventRadius(mag, sizeBy) {
+  const magnitude = mag || 0;
+  if (sizeBy === 'constant') return CONSTANT_RADIUS;
+  if (sizeBy === 'energy') {
+    return Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, 216 * Math.pow(10, 0.5 * (magnitude - 3))));
+  }
+  return Math.max(2, magnitude * 12) * 2 * 3.0;
+}
+
+function numericRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (Number.isFinite(value)) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  });
+  return Number.isFinite(min) ? { min, max } : null;
+}
+
+/**
+ * Colors (linear RGB, 3 per event) and radii for a catalog, plus a legend:
+ *   { colorBy, title, kind: 'age' | 'gradient' | 'categories', colormap, gradient, min,
+ *     max, ticks, categories, sizeBy, sizeLabel, count }
+ * Events without a value for the color field are drawn gray.
+ */
+export function styleEvents(features, style = DEFAULT_HYPOCENTER_STYLE) {
+  const { colorBy, colormap, sizeBy } = { ...DEFAULT_HYPOCENTER_STYLE, ...style };
+  const colors = new Float32Array(features.length * 3);
+  const radii = new Float32Array(features.length);
+  const color = new Color();
+  const missing = new Color().setHex(0x888888);
+  const legend = {
+    colorBy,
+    sizeBy,
+    sizeLabel: SIZE_BY_MODES[sizeBy] || SIZE_BY_MODES.magnitude,
+    count: features.length,
+  };
+
+  features.forEach((feature, i) => {
+    radii[i] = eventRadius(feature.properties.mag, sizeBy);
+  });
+
+  if (colorBy === 'depth' || colorBy === 'magnitude') {
+    const valueOf = colorBy === 'depth'
+      ? feature => feature.geometry.coordinates[2]
+      : feature => feature.properties.mag;
+    const values = features.map(feature => {
+      const value = valueOf(feature);
+      return value === null || value === undefined ? NaN : value;
+    });
+    const range = numericRange(values) || { min: 0, max: 1 };
+    const scale = niceTicks(range.min, range.max);
+    values.forEach((value, i) => {
+      const c = Number.isFinite(value)
+        ? colormapColor(colormap, (value - scale.min) / (scale.max - scale.min), color)
+        : missing;
+      colors.set([c.r, c.g, c.b], i * 3);
+    });
+    Object.assign(legend, {
+      kind: 'gradient',
+      title: colorBy === 'depth' ? 'Depth (km)' : 'Magnitude',
+      colormap,
+      gradient: colormapGradient(colormap),
+      min: scale.min,
+      max: scale.max,
+      ticks: scale.ticks,
+    });
+  } else if (colorBy === 'type') {
+    // Most common types get the first colors
+    const counts = new Map();
+    features.forEach(feature => {
+      const type = feature.properties.type || 'unknown';
+      counts.set(type, (counts.get(type) || 0) + 1);
+    });
+    const types = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    const colorOf = new Map(types.map((type, i) => [type, CATEGORY_COLORS[i % CATEGORY_COLORS.length]]));
+    features.forEach((feature, i) => {
+      const c = color.setStyle(colorOf.get(feature.properties.type || 'unknown'), SRGBColorSpace);
+      colors.set([c.r, c.g, c.b], i * 3);
+    });
+    Object.assign(legend, {
+      kind: 'categories',
+      title: 'Event type',
+      categories: types.map(type => ({ label: type, color: colorOf.get(type), count: counts.get(type) })),
+    });
+  } else {
+    Object.assign(legend, { kind: 'age', colorBy: 'age', title: 'Age' });
+  }
+
+  return { colors, radii, legend };
+}
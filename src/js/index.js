@@ -5,13 +5,10 @@ import {
   DirectionalLight,
   AmbientLight,
   WebGLRenderer,
-  PlaneGeometry,
   GridHelper,
   TextureLoader,
   MeshLambertMaterial,
   DoubleSide,
-  Mesh,
-  Raycaster,
   Vector2,
   Clock,
 } from 'three';
@@ -20,24 +17,54 @@ import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js'; // import min because three.js is not tree-shakable for now
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import * as Detector from '../js/vendor/Detector';
-// TODO: Major performance problems on reading big images
-// import terrain from '../textures/agri-medium-dem.tif';
-// import mountainImage from '../textures/agri-medium-autumn.jpg';
-
-import terrain from '../textures/spurr_20_mile_rad_dem_smaller_trimmed.tif';
-import mountainImage from '../textures/spurr_round_usgs_sat_overlay.jpg';
 import { EarthquakeOverlay } from './earthquakeOverlay';
-import { createEarthquakeControls } from './earthquakeControls';
+import { DATA_SOURCES, createDataSource } from './dataSources';
+import { CatalogCache } from './catalogCache';
+import { showToast } from './toast';
+import { createEarthquakeControls, getCatalogImportOptions, setFilterControls, updateCameraBookmarks, updateFilterOptions } from './earthquakeControls';
+import { summarizeCatalog } from './eventFilter';
+import { readCatalogFile, filterToBounds } from './catalogImport';
 import { createEarthquakeTimeline } from './earthquakeTimeline';
+import { createLegend, updateLegend } from './legend';
+import { projectionFromGeoKeys, geographicBounds, groundResolution } from './projections';
+import { DEFAULT_SITE_ID, SITES, getSite, siteBounds } from './mapConfig';
+import { TerrainTiles } from './terrainTiles';
+import { drawAnnotations } from './annotations';
+import { recordPlayback, recordingFrameTimes } from './playbackRecorder';
+import { downloadBlob, timestampedFilename } from './download';
+import { parseViewState, serializeViewState } from './viewState';
+import { CameraBookmarks, presetView } from './cameraBookmarks';
+import { createHoverTooltip, hideHoverTooltip, showHoverTooltip } from './hoverTooltip';
+import { createEventList, selectEventListRow, updateEventList } from './eventList';
 
 require('../sass/home.sass');
 
+// Largest render target used for exports; bigger images are rendered in tiles
+const MAX_RENDER_TILE = 4096;
+
+// How often the URL hash is brought up to date with the view
+const VIEW_STATE_INTERVAL_MS = 1000;
+
+// How far from a hypocenter's disc on screen a click or hover still picks it
+const PICK_TOLERANCE_PX = 6;
+
+// An event page link, or null unless it is an http(s) URL
+function eventPageUrl(url) {
+  if (!url) return null;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : null;
+  } catch {
+    // Not a valid absolute URL
+    return null;
+  }
+}
+
 class Application {
   constructor(opts = {}) {
     this.width = window.innerWidth;
     this.height = window.innerHeight;
     this.mouse = new Vector2();
-    this.raycaster = new Raycaster();
     this.clock = new Clock();
     
     // Mouse tracking for distinguishing clicks from drags
@@ -45,6 +72,25 @@ class Application {
     this.mouseUpPosition = new Vector2();
     this.isDragging = false;
     
+    // Pointer over the scene for hover picking, in client pixels, and the
+    // events under the last click, see checkEarthquakeIntersection()
+    this.hoverPointer = null;
+    this.hoverPending = false;
+    this.pickCycle = null;
+    
+    // Camera flight in progress, see flyTo()
+    this.cameraTransition = null;
+    this.cameraBookmarks = new CameraBookmarks();
+    
+    // Set while a recording or image export renders, see recordPlayback() and saveImage()
+    this.exporting = false;
+    this.recordingController = null;
+    
+    // View from the URL hash (or a link pasted later), applied by the next loadSiteEarthquakes()
+    this.pendingViewState = parseViewState(window.location.hash);
+    this.restoringViewState = false;
+    this.viewStateHash = window.location.hash;
+    
     // Initialize terrain bounds - will be updated from GeoTIFF metadata
     this.terrainBounds = {
       minLat: 0,
@@ -54,9 +100,14 @@ class Application {
       center: { latitude: 0, longitude: 0 }, // Will be calculated from GeoTIFF bounds
       radiusMiles: 0, // Will be calculated from GeoTIFF bounds
       width: 0,   // Will be set after terrain is loaded
-      height: 0   // Will be set after terrain is loaded
+      height: 0,  // Will be set after terrain is loaded
+      metersPerPixel: null, // Ground resolution of the DEM, set after terrain is loaded
+      elevationScale: 1 / 25 // Scene units per meter of elevation or depth
     };
     
+    // 1 is true scale: a meter up is as long as a meter across
+    this.verticalExaggeration = 1;
+    
     console.log('Terrain bounds will be extracted from GeoTIFF metadata...');
 
     if (opts.container) {
@@ -67,8 +118,9 @@ class Application {
       this.container = div;
     }
 
-    // Initialize earthquake overlay
-    this.earthquakeOverlay = new EarthquakeOverlay();
+    // Initialize earthquake overlay, caching fetched catalogs in IndexedDB
+    this.catalogCache = new CatalogCache();
+    this.earthquakeOverlay = new EarthquakeOverlay({ cache: this.catalogCache });
 
     if (Detector.webgl) {
       this.init();
@@ -88,7 +140,7 @@ class Application {
     this.setupRenderer();
     this.setupControls();
     this.setupLight();
-    this.setupTerrainModel();
+    this.loadSite(this.linkedSiteId(this.pendingViewState) || DEFAULT_SITE_ID);
     this.setupHelpers();
 
     window.addEventListener('resize', () => {
@@ -121,15 +173,109 @@ class Application {
   }
 
   render() {
+    this.updateCameraTransition();
     this.controls.update();
+    // Playback and camera flights move events under a still pointer
+    if (this.hoverPointer && (this.hoverPending || this.earthquakeOverlay.isPlaying || this.cameraTransition)) {
+      this.updateHover();
+    }
     this.updateCompassRotation();
+    // While exporting, tiles are picked for the export view in renderToCanvas()
+    if (this.terrain && !this.exporting) this.terrain.update(this.camera);
     
     this.camera.layers.enableAll();
     this.finalComposer.render();
     
     requestAnimationFrame(() => this.render());
   }
-
+  
+  /**
+   * Renders the current view at `width` x `height` pixels into a 2D canvas,
+   * then restores the on-screen size. Sizes beyond what the GPU renders in one
+   * go are rendered in tiles; bloom does not cross tile edges.
+   */
+  renderToCanvas(width, height, canvas = document.createElement('canvas')) {
+    const tileSize = Math.min(this.renderer.capabilities.maxTextureSize, MAX_RENDER_TILE);
+    const tiled = width > tileSize || height > tileSize;
+    const size = this.renderer.getSize(new Vector2());
+    const pixelRatio = this.renderer.getPixelRatio();
+    const aspect = this.camera.aspect;
+    
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    this.renderer.setPixelRatio(1);
+    this.finalComposer.setPixelRatio(1);
+    this.camera.aspect = width / height;
+    this.camera.layers.enableAll();
+    
+    try {
+      for (let y = 0; y < height; y += tileSize) {
+        for (let x = 0; x < width; x += tileSize) {
+          const tileWidth = Math.min(tileSize, width - x);
+          const tileHeight = Math.min(tileSize, height - y);
+          this.renderer.setSize(tileWidth, tileHeight, false);
+          this.finalComposer.setSize(tileWidth, tileHeight);
+          this.bloomPass.resolution.set(tileWidth, tileHeight);
+          if (tiled) this.camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+          this.camera.updateProjectionMatrix();
+          if (this.terrain) this.terrain.update(this.camera);
+          
+          this.finalComposer.render();
+          // The drawing buffer is only valid until control returns to the browser
+          context.drawImage(this.renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+        }
+      }
+    } finally {
+      this.camera.clearViewOffset();
+      this.renderer.setPixelRatio(pixelRatio);
+      this.renderer.setSize(size.x, size.y, false);
+      this.finalComposer.setPixelRatio(pixelRatio);
+      this.finalComposer.setSize(size.x, size.y);
+      this.bloomPass.resolution.set(size.x, size.y);
+      this.camera.aspect = aspect;
+      this.camera.updateProjectionMatrix();
+    }
+    return canvas;
+  }
+  
+  /**
+   * Renders with the export aspect ratio until the terrain tiles for that
+   * view have loaded, so exports do not show coarse tiles refining. Tiles are
+   * picked by distance, so a small render is enough.
+   */
+  async settleTerrain(width, height, signal = null, timeoutMs = 15000) {
+    const canvas = document.createElement('canvas');
+    const previewWidth = Math.min(width, 640);
+    const previewHeight = Math.max(1, Math.round((previewWidth * height) / width));
+    const deadline = Date.now() + timeoutMs;
+    while (this.terrain && Date.now() < deadline) {
+      this.renderToCanvas(previewWidth, previewHeight, canvas);
+      if (this.terrain.isIdle()) return;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      if (signal && signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+    }
+  }
+  
+  /**
+   * Annotations for an export of `height` pixels: time stamp, legend, scale
+   * bar and compass, each included when its flag is set.
+   */
+  getAnnotations(height, { legend = true, scaleBar = true, compass = true, timestamp = true } = {}) {
+    const overlay = this.earthquakeOverlay;
+    // Scene units are DEM pixels; the scale holds at the orbit target's distance
+    const distance = this.camera.position.distanceTo(this.controls.target);
+    const viewHeight = (2 * distance * Math.tan(THREE.MathUtils.DEG2RAD * 0.5 * this.camera.fov)) / this.camera.zoom;
+    return {
+      time: timestamp && overlay.timeRange.start !== null ? overlay.currentTime : null,
+      legend: legend ? overlay.getLegend() : null,
+      metersPerPixel: scaleBar && this.terrainBounds.metersPerPixel
+        ? (viewHeight / height) * this.terrainBounds.metersPerPixel
+        : null,
+      compassRotation: compass ? this.getCompassRotation() : null,
+    };
+  }
+  
   static createContainer() {
     const div = document.createElement('div');
     div.setAttribute('id', 'canvas-container');
@@ -192,12 +338,97 @@ class Application {
     this.camera.lookAt(this.scene.position);
   }
 
+  /**
+   * Flies the camera to `view` ({ position, target } as Vector3s). The orbit
+   * target moves in a straight line while the camera swings around it, so a
+   * change of side turns the view instead of cutting through the terrain.
+   */
+  flyTo(view, duration = 1200) {
+    const from = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(this.controls.target));
+    const to = new THREE.Spherical().setFromVector3(view.position.clone().sub(view.target));
+    // Go the short way round
+    const turn = THREE.MathUtils.euclideanModulo(to.theta - from.theta + Math.PI, Math.PI * 2) - Math.PI;
+    to.theta = from.theta + turn;
+    this.cameraTransition = {
+      fromTarget: this.controls.target.clone(),
+      toTarget: view.target.clone(),
+      from,
+      to,
+      start: Date.now(),
+      duration,
+    };
+  }
+
+  /**
+   * Glides the orbit target to `point`, moving the camera along so the view
+   * direction and distance stay the same.
+   */
+  centerCameraOn(point, duration = 600) {
+    this.flyTo({
+      position: this.camera.position.clone().sub(this.controls.target).add(point),
+      target: point,
+    }, duration);
+  }
+
+  updateCameraTransition() {
+    const transition = this.cameraTransition;
+    if (!transition) return;
+    const t = Math.min((Date.now() - transition.start) / transition.duration, 1);
+    const eased = t * t * (3 - 2 * t);
+    const { from, to } = transition;
+    const lerp = THREE.MathUtils.lerp;
+    const offset = new THREE.Spherical(
+      lerp(from.radius, to.radius, eased),
+      lerp(from.phi, to.phi, eased),
+      lerp(from.theta, to.theta, eased),
+    );
+    this.controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+    this.camera.position.setFromSpherical(offset).add(this.controls.target);
+    if (t === 1) this.cameraTransition = null;
+  }
+
+  /**
+   * Camera distance at which a square of `size` scene units fills the view.
+   */
+  fitDistance(size) {
+    // The camera's fov is past 360 degrees; only its tangent matters
+    const tangent = Math.abs(Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)));
+    const halfView = tangent * Math.min(this.camera.aspect, 1);
+    return Math.min((size / 2 / halfView) * 1.1, this.controls.maxDistance);
+  }
+
+  flyToPreset(preset) {
+    const size = Math.max(this.terrainBounds.width, this.terrainBounds.height);
+    this.flyTo(presetView(preset, new THREE.Vector3(), this.fitDistance(size)));
+  }
+
+  /**
+   * Flies in on an event, keeping the view direction and closing in to show
+   * the area around it.
+   */
+  flyToEarthquake(featureId) {
+    const position = this.earthquakeOverlay.getEarthquakePosition(featureId);
+    if (!position) return;
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const size = Math.max(this.terrainBounds.width, this.terrainBounds.height);
+    offset.setLength(Math.min(offset.length(), this.fitDistance(size / 5)));
+    this.flyTo({ position: position.clone().add(offset), target: position });
+  }
+
   setupControls() {
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enabled = true;
     this.controls.maxDistance = 15000;
     this.controls.minDistance = 0;
     this.controls.autoRotate = false; // Disable automatic rotation
+    // Grabbing the view cancels a camera glide
+    this.controls.addEventListener('start', () => {
+      this.cameraTransition = null;
+    });
+    // Zooming with the wheel moves events under the pointer
+    this.controls.addEventListener('change', () => {
+      this.hoverPending = true;
+    });
   }
 
   setupLight() {
@@ -211,40 +442,152 @@ class Application {
     this.scene.add(this.ambientLight);
   }
 
-  setupTerrainModel() {
+  /**
+   * Switches to a site preset: tears down the current terrain and events, then
+   * loads the site's DEM, overlay image and initial catalog.
+   */
+  loadSite(siteId) {
+    const site = getSite(siteId);
+    this.site = site;
+
+    this.teardownSite();
+
+    const loader = document.getElementById('loader');
+    clearTimeout(this.loaderTimer);
+    loader.style.display = 'flex';
+    loader.style.opacity = '';
+    this.setLoaderStatus(`Loading ${site.name}`, null);
+
+    this.setupTerrainModel(site);
+  }
+
+  setLoaderStatus(stage, progress) {
+    const status = document.getElementById('loader-status');
+    const bar = document.getElementById('loader-progress-bar');
+    if (status) {
+      status.textContent = progress !== null ? `${stage} ${Math.round(progress * 100)}%` : stage;
+    }
+    if (bar) {
+      // Stages without a known size show an empty bar
+      bar.style.width = `${progress !== null ? progress * 100 : 0}%`;
+    }
+  }
+
+  teardownSite() {
+    const overlay = this.earthquakeOverlay;
+    overlay.stopLive();
+    overlay.cancelLoad();
+    overlay.pause();
+    overlay.clearSelectedEarthquake(this.terrainBounds);
+    overlay.clearData();
+    overlay.elevationSampler = null;
+
+    const infoDiv = document.getElementById('earthquake-info');
+    if (infoDiv) infoDiv.style.display = 'none';
+
+    // Also stops tile loading still running for the previous site
+    if (this.terrain) {
+      this.scene.remove(this.terrain.getObject3D());
+      this.terrain.dispose();
+      if (this.terrain.material.map) this.terrain.material.map.dispose();
+      this.terrain.material.dispose();
+      this.terrain = null;
+    }
+
+    // The bounds object is shared with the overlay and timeline, so reset it in place
+    Object.assign(this.terrainBounds, {
+      minLat: 0,
+      maxLat: 0,
+      minLon: 0,
+      maxLon: 0,
+      center: { latitude: 0, longitude: 0 },
+      radiusMiles: 0,
+      width: 0,
+      height: 0,
+      projection: null,
+      projectedBounds: null,
+      metersPerPixel: null,
+    });
+  }
+
+  setupTerrainModel(site) {
     const readGeoTif = async () => {
-      const rawTiff = await GeoTIFF.fromUrl(terrain);
-      const tifImage = await rawTiff.getImage();
-      const image = {
-        width: tifImage.getWidth(),
-        height: tifImage.getHeight(),
-      };
-      console.log('Image dimensions:', image);
+      const texture = new TextureLoader().load(site.image);
       
-      // Extract geographic bounds from GeoTIFF metadata
-      const bbox = tifImage.getBoundingBox();
-      console.log('GeoTIFF Bounding Box:', bbox);
+      // Set texture color space to SRGB for better color handling
+      texture.colorSpace = THREE.SRGBColorSpace;
+      
+      
+      const material = new MeshLambertMaterial({
+        wireframe: false,
+        side: DoubleSide,
+        map: texture,
+        color: 0xe8e8e8, // white
+        transparent: false, // Start with no transparency
+        opacity: 1.0, // Start at full opacity
+        alphaTest: 0, // Disable alpha testing
+      });
+
+      // Tiles are read from the DEM in a worker as the camera needs them;
+      // disposed (and the worker stopped) when another site is picked
+      const terrain = new TerrainTiles({ url: site.dem, material });
+      terrain.onProgress = ({ stage, progress }) => this.setLoaderStatus(stage, progress);
+      const mountain = terrain.getObject3D();
+      mountain.position.y = 0;
+      mountain.rotation.x = Math.PI / 2;
       
-      // Check if we have projection information
-      const geoKeys = tifImage.getGeoKeys();
+      // Flip the terrain mesh horizontally to correct the mirror image
+      mountain.scale.x = -1;
+      
+      // Store reference to the terrain for opacity control
+      this.terrain = terrain;
+      // Drop lines start at the DEM surface sampled under each epicenter
+      this.earthquakeOverlay.elevationSampler = (points) => terrain.sampleElevations(points);
+      
+      this.scene.add(mountain);
+
+      // Keep the opacity picked for the previous site
+      if (this.terrainOpacity !== undefined) this.applyTerrainOpacity(this.terrainOpacity);
+
+
+      // Set terrain brightness to 4.2 directly
+      const newColor = material.color.clone().multiplyScalar(4.2);
+      material.color = newColor;
+      material.needsUpdate = true;
+      console.log("Terrain brightness set to 4.2");
+
+      console.time('loadTerrain');
+      const { bbox, geoKeys, width, height } = await terrain.open();
+      console.timeEnd('loadTerrain');
+      const image = { width, height };
+      console.log('Image dimensions:', image);
+      console.log('GeoTIFF Bounding Box:', bbox);
       console.log('GeoTIFF GeoKeys:', geoKeys);
       
-      // Check if coordinates are in a projected system (values > 180 indicate projected coordinates)
+      // Projected DEMs are placed through their CRS, read from the GeoKeys
+      let projection = null;
+      try {
+        projection = projectionFromGeoKeys(geoKeys);
+      } catch (error) {
+        console.warn(error.message);
+        showToast(`${error.message}: earthquake positions may be inaccurate`);
+      }
       const isProjected = Math.abs(bbox[0]) > 180 || Math.abs(bbox[1]) > 180 || Math.abs(bbox[2]) > 180 || Math.abs(bbox[3]) > 180;
-      console.log('Is projected coordinate system:', isProjected);
       
       let finalBounds;
       
-      if (isProjected) {
-        // If projected, we need to fall back to manual bounds for now
-        // This is Mount Spurr area in Alaska - using known geographic bounds
-        console.log('Using fallback geographic bounds for Mount Spurr area');
-        finalBounds = {
-          minLon: -152.4,  // West
-          minLat: 61.15,   // South  
-          maxLon: -152.1,  // East
-          maxLat: 61.45    // North
-        };
+      this.terrainBounds.projection = projection;
+      this.terrainBounds.projectedBounds = projection
+        ? { minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3] }
+        : null;
+      
+      if (projection) {
+        // Geographic envelope of the projected footprint, used for catalog queries
+        finalBounds = geographicBounds(projection, bbox);
+      } else if (isProjected) {
+        // Unknown CRS: fall back to the site's center and radius
+        console.log(`Using fallback geographic bounds for ${site.name}`);
+        finalBounds = siteBounds(site);
       } else {
         // Direct lat/lon coordinates
         finalBounds = {
@@ -281,100 +624,40 @@ class Application {
       console.log(`  Bounds: lat(${finalBounds.minLat} to ${finalBounds.maxLat}), lon(${finalBounds.minLon} to ${finalBounds.maxLon})`);
       console.log(`  Approximate radius: ${this.terrainBounds.radiusMiles.toFixed(2)} miles`);
       
-      /* 
-      The third and fourth parameter are image segments and we are subtracting one from each,
-       otherwise our 3D model goes crazy.
-       https://github.com/mrdoob/three.js/blob/master/src/geometries/PlaneGeometry.js#L57
-       */
-      const geometry = new PlaneGeometry(
-        image.width,
-        image.height,
-        image.width - 1,
-        image.height - 1
-      );
-      const data = await tifImage.readRasters({ interleave: true });
-      console.time('parseGeom');
-      // Get index array from the existing geometry
-      const indexAttribute = geometry.getIndex();
-      const indices = indexAttribute ? indexAttribute.array : null;
-      // If we have indices, we'll create a new array with only valid triangles
-      if (indices) {
-        const newIndices = [];
-        // Process triangles (indices come in groups of 3)
-        for (let i = 0; i < indices.length; i += 3) {
-          const idx1 = indices[i];
-          const idx2 = indices[i + 1];
-          const idx3 = indices[i + 2];
-          // Only keep triangles where none of the vertices has a value of -9999
-          if (data[idx1] !== -9999 && data[idx2] !== -9999 && data[idx3] !== -9999) {
-            newIndices.push(idx1, idx2, idx3);
-          }
-        }
-        // Update the geometry with filtered indices
-        geometry.setIndex(newIndices);
-      }
-      // Set Z values for remaining vertices
-      const arr1 = new Array(geometry.attributes.position.count);
-      const arr = arr1.fill(1);
-      arr.forEach((a, index) => {
-        geometry.attributes.position.setZ(index, (data[index] / 25) * -1);
-      });
-      console.timeEnd('parseGeom');
-
-      const texture = new TextureLoader().load(mountainImage);
-      
-      // Set texture color space to SRGB for better color handling
-      texture.colorSpace = THREE.SRGBColorSpace;
-      
-      
-      const material = new MeshLambertMaterial({
-        wireframe: false,
-        side: DoubleSide,
-        map: texture,
-        color: 0xe8e8e8, // white
-        transparent: false, // Start with no transparency
-        opacity: 1.0, // Start at full opacity
-        alphaTest: 0, // Disable alpha testing
-      });
-
-      const mountain = new Mesh(geometry, material);
-      mountain.position.y = 0;
-      mountain.rotation.x = Math.PI / 2;
+      // Pixels are not square on the ground for lat/lon DEMs; the mean of both
+      // directions keeps the vertical scale close to true either way
+      const resolution = groundResolution(this.terrainBounds);
+      this.terrainBounds.metersPerPixel = (resolution.x + resolution.y) / 2;
+      this.applyVerticalExaggeration();
       
-      // Flip the terrain mesh horizontally to correct the mirror image
-      mountain.scale.x = -1;
-      
-      // Store reference to terrain mesh for opacity control
-      this.terrainMesh = mountain;
-      
-      this.scene.add(mountain);
-
-
-      // Set terrain brightness to 4.2 directly
-      if (this.terrainMesh && this.terrainMesh.material) {
-        const originalColor = this.terrainMesh.material.color.clone();
-        const newColor = originalColor.multiplyScalar(4.2);
-        this.terrainMesh.material.color = newColor;
-        this.terrainMesh.material.needsUpdate = true;
-        console.log("Terrain brightness set to 4.2");
-      }
-
       // Now that terrain bounds are set up, initialize the earthquake overlay
-      this.setupEarthquakeOverlay();
-      
-      // Set up terrain opacity control after terrain is created
-      this.setupTerrainOpacityControl();
+      // (UI and listeners only once, the catalog for every site)
+      if (!this.overlayReady) {
+        this.setupEarthquakeOverlay();
+        
+        // Set up terrain opacity control after terrain is created
+        this.setupTerrainOpacityControl();
+        this.setupVerticalExaggerationControl();
+        this.setupViewStateSync();
+        this.setupCameraBookmarks();
+        this.overlayReady = true;
+      }
+      this.loadSiteEarthquakes(site);
 
       const loader = document.getElementById('loader');
       loader.style.opacity = '-1';
 
       // After a proper animation on opacity, hide element to make canvas clickable again
-      setTimeout(() => {
+      this.loaderTimer = setTimeout(() => {
         loader.style.display = 'none';
       }, 1500);
     };
 
-    readGeoTif();
+    readGeoTif().catch(error => {
+      if (error.name === 'AbortError') return;
+      console.error(`Failed to load terrain for ${site.name}:`, error);
+      showToast(`Could not load the terrain for ${site.name}: ${error.message}`);
+    });
   }
 
   setupHelpers() {
@@ -400,42 +683,34 @@ class Application {
     
   updateCompassRotation() {
     if (this.compassElement && this.controls) {
+      this.compassElement.style.transform = `rotate(${this.getCompassRotation()}deg)`;
+    }
+  }
 
-      let azimuthal = this.controls.getAzimuthalAngle();
-      let rotation = THREE.MathUtils.radToDeg(azimuthal);
+  /**
+   * Clockwise rotation of the compass rose in degrees for the current view.
+   */
+  getCompassRotation() {
+    const azimuthal = this.controls.getAzimuthalAngle();
+    let rotation = THREE.MathUtils.radToDeg(azimuthal);
 
-      const polar = this.controls.getPolarAngle();
-      if (polar > Math.PI / 2) {
-        rotation = -rotation
-        rotation -= 180
-      }
+    const polar = this.controls.getPolarAngle();
+    if (polar > Math.PI / 2) {
+      rotation = -rotation
+      rotation -= 180
+    }
 
-      rotation = -rotation;
-      rotation -= 90;
-      rotation *= -1;
-      
-      rotation -= 270
+    rotation = -rotation;
+    rotation -= 90;
+    rotation *= -1;
+    
+    rotation -= 270
 
-      rotation = (rotation % 360 + 360) % 360;
+    rotation = (rotation % 360 + 360) % 360;
 
-      this.compassElement.style.transform = `rotate(${rotation}deg)`;
-    }
+    return rotation;
   }
 
-  configureEarthquakesForClicking() {
-    // Configure earthquake objects for interaction after they're created/recreated
-    this.earthquakeOverlay.getObject3D().children.forEach((child) => {
-      if (child.isMesh && child.userData && child.userData.isEarthquake) {
-        // Scaling is now done during creation in earthquakeOverlay.js
-        // No additional scaling needed here
-        
-        // Layer assignment is now done during creation in earthquakeOverlay.js
-        // No need to reassign layers here - they should already be correct
-        console.log('Earthquake configured - layers mask:', child.layers.mask, '(should be 3 for layers 0+1)');
-      }
-    });
-  }
-  
   setupEarthquakeOverlay() {
     // Add the earthquake overlay group to the scene
     this.scene.add(this.earthquakeOverlay.getObject3D());
@@ -451,34 +726,104 @@ class Application {
     const timeline = createEarthquakeTimeline(this.earthquakeOverlay, this.terrainBounds);
     document.body.appendChild(timeline);
     
+    // Table of the filtered catalog, following the filters like the timeline
+    // histogram does and the selection made in the scene
+    document.body.appendChild(createEventList());
+    const updateTimelineData = this.earthquakeOverlay.onFilteredDataChange;
+    this.earthquakeOverlay.onFilteredDataChange = (visibleData, allData) => {
+      updateTimelineData(visibleData, allData);
+      updateEventList(visibleData);
+    };
+    this.earthquakeOverlay.onSelectionChange = selectEventListRow;
+    document.addEventListener('eventListSelect', (event) => {
+      const overlay = this.earthquakeOverlay;
+      const feature = overlay.visibleData.find(candidate => candidate.id === event.detail.featureId);
+      if (!feature) return;
+      // An event not drawn at the playback time is brought up by moving to it
+      if (!overlay.isEarthquakeShown(feature.id)) {
+        overlay.stopLive();
+        overlay.pause();
+        overlay.setTime(feature.properties.time, this.terrainBounds);
+      }
+      this.showEarthquakeInfo(feature);
+      this.flyToEarthquake(feature.id);
+    });
+    
+    // Legend for the hypocenter colors, redrawn when the style or catalog changes
+    document.body.appendChild(createLegend());
+    document.body.appendChild(createHoverTooltip());
+    this.earthquakeOverlay.onLegendChange = updateLegend;
+    this.earthquakeOverlay.notifyLegend();
+    document.addEventListener('hypocenterStyleChange', (event) => {
+      this.earthquakeOverlay.setHypocenterStyle(event.detail);
+    });
+    document.addEventListener('agingChange', (event) => {
+      this.earthquakeOverlay.setAging(event.detail);
+    });
+    
+    // Filters are applied client-side; the filter options follow the loaded catalog
+    this.earthquakeOverlay.onDataChange = (features) => {
+      updateFilterOptions(summarizeCatalog(features));
+    };
+    document.addEventListener('filterChange', (event) => {
+      const overlay = this.earthquakeOverlay;
+      overlay.setFilter(event.detail.filter);
+      overlay.visualize(this.terrainBounds, overlay.currentTime);
+      this.clearHiddenSelection();
+    });
+    
+    // Time window brushed on the timeline histogram
+    document.addEventListener('timeWindowChange', (event) => {
+      this.earthquakeOverlay.setTimeWindow(event.detail.timeWindow, this.terrainBounds);
+      this.clearHiddenSelection();
+    });
+    
+    // Next/previous event from the timeline: jump to its time, select it and center on it
+    document.addEventListener('eventStep', (event) => {
+      const overlay = this.earthquakeOverlay;
+      const feature = overlay.findAdjacentEvent(event.detail.direction);
+      if (!feature) {
+        showToast(event.detail.direction > 0 ? 'No later event' : 'No earlier event');
+        return;
+      }
+      overlay.stopLive();
+      overlay.pause();
+      overlay.setTime(feature.properties.time, this.terrainBounds);
+      this.showEarthquakeInfo(feature);
+      const position = overlay.getEarthquakePosition(feature.id);
+      if (position) this.centerCameraOn(position);
+    });
+    
     // Initialize compass rotation now that DOM elements are ready
     if (!this.compassElement) {
       this.initCompassRotation();
     }
     
-    // Set up callback to reconfigure earthquakes whenever they're visualized
-    this.earthquakeOverlay.onVisualize = () => {
-      this.configureEarthquakesForClicking();
+    // Announce events arriving in live mode
+    this.earthquakeOverlay.onNewEvents = (features) => {
+      this.announceNewEvents(features);
     };
     
-    // Load earthquake data - use default one week period for initial load
-    const oneWeekAgo = new Date();
-    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-    const startDate = oneWeekAgo.toISOString().split('T')[0];
-    const endDate = new Date().toISOString().split('T')[0]; // Today
+    // Accept local catalog files from the controls panel and drag-and-drop
+    this.setupCatalogImport();
     
-    this.earthquakeOverlay.loadData(this.terrainBounds, startDate, endDate)
-      .then(() => {
-        // After data is loaded, visualize it with time filtering
-        this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
-        console.log('Earthquake data visualized');
-        
-        // Configure earthquake objects for interaction
-        this.configureEarthquakesForClicking();
-      })
-      .catch(error => {
-        console.error('Failed to load earthquake data:', error);
-      });
+    // Frame-by-frame recording requested from the timeline
+    document.addEventListener('recordPlayback', (event) => {
+      this.recordPlayback(event.detail);
+    });
+    document.addEventListener('cancelRecording', () => {
+      if (this.recordingController) this.recordingController.abort();
+    });
+    
+    // High-resolution image export from the controls panel
+    document.addEventListener('saveImage', (event) => {
+      this.saveImage(event.detail);
+    });
+    
+    // Switch sites from the picker in the controls panel
+    document.addEventListener('changeSite', (event) => {
+      if (event.detail.siteId !== this.site.id) this.loadSite(event.detail.siteId);
+    });
       
     // Add mouse handlers for distinguishing clicks from drags
     this.renderer.domElement.addEventListener('mousedown', (event) => {
@@ -510,6 +855,20 @@ class Application {
           this.isDragging = true;
         }
       }
+      
+      // No hover while a button is held for orbiting or panning; otherwise
+      // picked once per frame in render()
+      this.hoverPointer = event.buttons ? null : { x: event.clientX, y: event.clientY };
+      if (this.hoverPointer) {
+        this.hoverPending = true;
+      } else {
+        this.updateHover();
+      }
+    });
+    
+    this.renderer.domElement.addEventListener('mouseleave', () => {
+      this.hoverPointer = null;
+      this.updateHover();
     });
     
     this.renderer.domElement.addEventListener('mouseup', (event) => {
@@ -556,6 +915,8 @@ class Application {
     function setLoadButtonLoading(isLoading) {
       const loadButton = document.getElementById('load-data-btn');
       if (loadButton) {
+        // The button stays enabled while loading so it can cancel the load
+        loadButton.dataset.loading = isLoading ? 'true' : 'false';
         if (isLoading) {
           loadButton.innerHTML = `
             <svg id="spiner" width="22" height="22" viewBox="0 0 50 50" style="vertical-align:middle; margin:5px;">
@@ -563,130 +924,719 @@ class Application {
                 <animateTransform attributeName="transform" type="rotate" from="0 25 25" to="360 25 25" dur="1s" repeatCount="indefinite"/>
               </circle>
             </svg>
+            Cancel
           `;
-          loadButton.disabled = true;
+          loadButton.style.backgroundColor = '#b54a3c';
         } else {
           loadButton.innerHTML = 'Load Data';
-          loadButton.disabled = false;
+          loadButton.style.backgroundColor = '#4CAF50';
         }
       }
     }
 
+    function setLoadProgress(progress, message = null) {
+      const progressDiv = document.getElementById('load-progress');
+      const progressBar = document.getElementById('load-progress-bar');
+      const progressText = document.getElementById('load-progress-text');
+      if (!progressDiv || !progressBar || !progressText) return;
+      progressDiv.style.display = 'block';
+      if (progress) {
+        const percent = progress.total ? (progress.completed / progress.total) * 100 : 0;
+        progressBar.style.width = `${percent}%`;
+        progressText.textContent = `${progress.completed}/${progress.total} windows, ${progress.events} events`;
+        if (progress.truncated) progressText.textContent += `, ${progress.truncated} truncated`;
+      }
+      if (message) progressText.textContent = message;
+    }
+
     // Add event listener for loading earthquake data with custom date range
     document.addEventListener('loadEarthquakeData', (event) => {
-      const { startDate, endDate } = event.detail;
+      const { startDate, endDate, sourceId, windowDays, concurrency, useCache } = event.detail;
       console.log(`Loading earthquake data from ${startDate} to ${endDate}`);
       
-      // Clear existing earthquake objects
-      this.earthquakeOverlay.clearData();
+      // Switch data source if a different one was picked
+      if (sourceId && sourceId !== this.earthquakeOverlay.dataSource.id) {
+        this.earthquakeOverlay.setDataSource(this.createSiteDataSource(sourceId));
+      }
+
+      this.loadedDates = { startDate, endDate };
 
       // Set button to loading state
       setLoadButtonLoading(true);
+      setLoadProgress({ completed: 0, total: 0, events: 0 });
+      let truncated = 0;
       
-      // Load new data with the specified date range
-      this.earthquakeOverlay.loadData(this.terrainBounds, startDate, endDate)
-        .then(() => {
+      // Load new data with the specified date range. Existing events stay on
+      // screen until the new catalog replaces them; a load already in flight
+      // is aborted by the overlay.
+      this.earthquakeOverlay.loadData(this.terrainBounds, startDate, endDate, {
+        windowDays,
+        concurrency,
+        useCache,
+        onProgress: (progress) => {
+          truncated = progress.truncated;
+          setLoadProgress(progress);
+        },
+        onPartialData: () => this.showPartialData(),
+      })
+        .then((features) => {
           // After data is loaded, visualize it
           this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
           console.log(`Earthquake data loaded and visualized for period ${startDate} to ${endDate}`);
-          
-          // Configure earthquake objects for interaction
-          this.configureEarthquakesForClicking();
 
           setLoadButtonLoading(false);
-
+          setLoadProgress(null, `Loaded ${features.length} events`);
+          this.warnTruncatedLoad(truncated);
+          this.updateCacheStats();
         })
         .catch(error => {
+          if (error.name === 'AbortError') {
+            // Superseded by a newer load, which now owns the button
+            if (!this.earthquakeOverlay.isLoading) {
+              setLoadButtonLoading(false);
+              setLoadProgress(null, 'Load cancelled');
+            }
+            return;
+          }
           console.error('Failed to load earthquake data for date range:', error);
           setLoadButtonLoading(false);
+          setLoadProgress(null, `Load failed: ${error.message}`);
         });
     });
+
+    document.addEventListener('cancelEarthquakeLoad', () => {
+      this.earthquakeOverlay.cancelLoad();
+    });
+
+    document.addEventListener('purgeCatalogCache', () => {
+      this.catalogCache
+        .purge()
+        .then(() => this.updateCacheStats())
+        .catch(error => console.error('Failed to purge catalog cache:', error));
+    });
+
+    this.updateCacheStats();
   }
 
-  setupTerrainOpacityControl() {
-    // Listen for terrain opacity change events
-    document.addEventListener('terrainOpacityChange', (event) => {
-      // Update terrain material opacity using direct reference
-      if (this.terrainMesh && this.terrainMesh.material) {
-        const opacity = event.detail.opacity;
-        console.log("Setting terrain opacity to:", opacity);
-        
-        // Always enable transparency for opacity control
-        this.terrainMesh.material.transparent = true;
-        this.terrainMesh.material.opacity = opacity;
-        
-        // Set proper alpha test and blending
-        this.terrainMesh.material.alphaTest = 0.01; // Small value to avoid z-fighting
-        this.terrainMesh.material.depthWrite = opacity >= 0.99; // Only write depth when nearly opaque
-        this.terrainMesh.material.needsUpdate = true;
-        
-        console.log("Terrain opacity updated to:", opacity);
+  /**
+   * Tells the user that `truncated` windows of the last load hit the data
+   * source's result cap and are missing events.
+   */
+  warnTruncatedLoad(truncated) {
+    if (!truncated) return;
+    const { name, maxResults } = this.earthquakeOverlay.dataSource;
+    showToast(
+      `${truncated} time ${truncated === 1 ? 'window' : 'windows'} hit the ${name} limit of ${maxResults} events; some events are missing and will be fetched again on the next load`
+    );
+  }
+
+  /**
+   * Creates a data source, applying the current site's options when it is the site's default source.
+   */
+  createSiteDataSource(sourceId) {
+    const { id, ...overrides } = this.site.dataSource;
+    return createDataSource(sourceId, sourceId === id ? overrides : {});
+  }
+
+  loadSiteEarthquakes(site) {
+    updateCameraBookmarks(this.cameraBookmarks.list(site.id));
+
+    // A view from a link replaces the site's defaults for this load only
+    const viewState = this.pendingViewState || {};
+    this.pendingViewState = null;
+    let sourceId = site.dataSource.id;
+    if (viewState.sourceId && Object.prototype.hasOwnProperty.call(DATA_SOURCES, viewState.sourceId)) {
+      sourceId = viewState.sourceId;
+    } else if (viewState.sourceId) {
+      console.warn(`Ignoring unknown data source in link: ${viewState.sourceId}`);
+    }
+    this.earthquakeOverlay.setDataSource(this.createSiteDataSource(sourceId));
+
+    // Reflect the site's defaults in the controls panel
+    const firstDay = new Date();
+    firstDay.setDate(firstDay.getDate() - site.initialDays);
+    const startDate = viewState.startDate || firstDay.toISOString().split('T')[0];
+    const endDate = viewState.endDate || new Date().toISOString().split('T')[0]; // Today
+    const sourceSelect = document.getElementById('data-source-select');
+    const startInput = document.getElementById('data-start-date');
+    const endInput = document.getElementById('data-end-date');
+    const siteSelect = document.getElementById('site-select');
+    if (sourceSelect) sourceSelect.value = sourceId;
+    if (startInput) startInput.value = startDate;
+    if (endInput) endInput.value = endDate;
+    if (siteSelect) siteSelect.value = site.id;
+    this.loadedDates = { startDate, endDate };
+
+    this.restoringViewState = true;
+    this.applyViewState(viewState);
+
+    let truncated = 0;
+    this.earthquakeOverlay.loadData(this.terrainBounds, startDate, endDate, {
+      onProgress: (progress) => {
+        truncated = progress.truncated;
+      },
+      onPartialData: () => this.showPartialData(),
+    })
+      .then(() => {
+        // After data is loaded, visualize it with time filtering
+        this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
+        console.log('Earthquake data visualized');
+        this.applyLoadedViewState(viewState);
+        this.warnTruncatedLoad(truncated);
+        this.updateCacheStats();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Failed to load earthquake data:', error);
+      })
+      .finally(() => {
+        this.restoringViewState = false;
+      });
+  }
+
+  /**
+   * Applies the parts of a linked view that do not need the catalog: camera,
+   * filters, terrain opacity and glow. The sliders are moved and their input
+   * handlers run, so the controls panel matches the view.
+   */
+  applyViewState(viewState) {
+    if (viewState.camera) {
+      this.cameraTransition = null;
+      this.camera.position.fromArray(viewState.camera.position);
+      this.controls.target.fromArray(viewState.camera.target);
+      this.controls.update();
+    }
+    if (viewState.filter) {
+      this.earthquakeOverlay.setFilter(viewState.filter);
+      setFilterControls(viewState.filter);
+    }
+    [
+      ['terrain-opacity-slider', viewState.terrainOpacity],
+      ['bloom-strength-slider', viewState.bloomStrength],
+    ].forEach(([id, value]) => {
+      const slider = document.getElementById(id);
+      if (!slider || value === undefined) return;
+      slider.value = String(value);
+      slider.dispatchEvent(new Event('input'));
+    });
+  }
+
+  /**
+   * Applies the parts of a linked view that refer to the loaded catalog:
+   * the time window, playback time and selected event.
+   */
+  applyLoadedViewState(viewState) {
+    const overlay = this.earthquakeOverlay;
+    if (viewState.timeWindow) overlay.setTimeWindow(viewState.timeWindow, this.terrainBounds);
+    const range = overlay.getPlaybackRange();
+    if (viewState.time !== undefined && range.start !== null) {
+      overlay.setTime(Math.min(Math.max(viewState.time, range.start), range.end), this.terrainBounds);
+    }
+    if (viewState.selectedEventId) {
+      const feature = overlay.visibleData.find(candidate => String(candidate.id) === viewState.selectedEventId);
+      if (feature) {
+        this.showEarthquakeInfo(feature);
       } else {
-        console.log("Terrain mesh not found for opacity change");
+        console.warn(`Event ${viewState.selectedEventId} from the link is not in the loaded catalog`);
+      }
+    }
+  }
+
+  /**
+   * The current view as a view state for serializeViewState().
+   */
+  getViewState() {
+    const overlay = this.earthquakeOverlay;
+    return {
+      site: this.site.id,
+      sourceId: overlay.dataSource.id,
+      ...this.loadedDates,
+      time: overlay.currentTime,
+      timeWindow: overlay.timeWindow,
+      camera: {
+        position: this.camera.position.toArray(),
+        target: this.controls.target.toArray(),
+      },
+      selectedEventId: overlay.selectedFeatureId !== null ? String(overlay.selectedFeatureId) : null,
+      filter: overlay.filter,
+      terrainOpacity: this.terrainOpacity,
+      bloomStrength: this.bloomPass ? this.bloomPass.strength : undefined,
+    };
+  }
+
+  setupCameraBookmarks() {
+    const siteBookmarks = (update) => {
+      try {
+        updateCameraBookmarks(update(this.site.id));
+      } catch (error) {
+        console.error('Failed to save camera bookmarks:', error);
+        showToast(`Could not save bookmarks: ${error.message}`);
       }
+    };
+
+    document.addEventListener('cameraPreset', (event) => {
+      this.flyToPreset(event.detail.preset);
+    });
+    document.addEventListener('cameraBookmarkSave', (event) => {
+      const count = this.cameraBookmarks.list(this.site.id).length;
+      const name = event.detail.name || `View ${count + 1}`;
+      const view = { position: this.camera.position, target: this.controls.target };
+      siteBookmarks(siteId => this.cameraBookmarks.add(siteId, name, view));
+    });
+    document.addEventListener('cameraBookmarkFly', (event) => {
+      const bookmark = this.cameraBookmarks.list(this.site.id)[event.detail.index];
+      if (!bookmark) return;
+      this.flyTo({
+        position: new THREE.Vector3().fromArray(bookmark.position),
+        target: new THREE.Vector3().fromArray(bookmark.target),
+      });
+    });
+    document.addEventListener('cameraBookmarkRename', (event) => {
+      siteBookmarks(siteId => this.cameraBookmarks.rename(siteId, event.detail.index, event.detail.name));
+    });
+    document.addEventListener('cameraBookmarkDelete', (event) => {
+      siteBookmarks(siteId => this.cameraBookmarks.remove(siteId, event.detail.index));
     });
   }
-  
-  checkEarthquakeIntersection() {
-    console.log('Click detected - checking earthquake intersection');
-    
-    // Only check if the overlay group is visible
-    if (!this.earthquakeOverlay.getObject3D().visible) {
-      console.log('Earthquake overlay not visible, skipping intersection check');
+
+  /**
+   * Keeps the URL hash in step with the view, so reloading or sharing the
+   * link shows the same thing. Playback time and the camera change every
+   * frame, so the hash is refreshed on a timer instead of on each change.
+   */
+  setupViewStateSync() {
+    setInterval(() => {
+      if (this.restoringViewState || this.exporting || !this.site) return;
+      const hash = serializeViewState(this.getViewState());
+      if (hash === this.viewStateHash) return;
+      this.viewStateHash = hash;
+      // replaceState, not location.hash: no history entry and no hashchange
+      window.history.replaceState(null, '', hash);
+    }, VIEW_STATE_INTERVAL_MS);
+
+    // A different link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', () => {
+      const hash = window.location.hash;
+      if (hash === this.viewStateHash) return;
+      this.viewStateHash = hash;
+      this.openViewState(parseViewState(hash));
+    });
+  }
+
+  /**
+   * The site of a linked view, or null when it names none or an unknown one.
+   */
+  linkedSiteId(viewState) {
+    if (!viewState.site) return null;
+    if (Object.prototype.hasOwnProperty.call(SITES, viewState.site)) return viewState.site;
+    console.warn(`Ignoring unknown site in link: ${viewState.site}`);
+    return null;
+  }
+
+  /**
+   * Applies a linked view to the open app the way it is restored on load:
+   * another site is loaded with it, and on the current site the catalog is
+   * reloaded unless the view asks for the source and dates already loaded.
+   * Settings the link leaves out keep their current values.
+   */
+  openViewState(viewState) {
+    const siteId = this.linkedSiteId(viewState) || this.site.id;
+    this.pendingViewState = viewState;
+    if (siteId !== this.site.id) {
+      this.loadSite(siteId);
+      return;
+    }
+    // Still loading the terrain: the site's first catalog load picks the view up
+    if (!this.terrain) return;
+
+    const overlay = this.earthquakeOverlay;
+    const sameCatalog = (!viewState.sourceId || viewState.sourceId === overlay.dataSource.id) &&
+      (!viewState.startDate || (viewState.startDate === this.loadedDates.startDate && viewState.endDate === this.loadedDates.endDate));
+    if (!sameCatalog || overlay.isLoading) {
+      this.loadSiteEarthquakes(this.site);
       return;
     }
+    this.pendingViewState = null;
+    this.applyViewState(viewState);
+    this.applyLoadedViewState(viewState);
+  }
+
+  announceNewEvents(features) {
+    const describe = (properties) => {
+      const magnitude = properties.mag !== null && properties.mag !== undefined
+        ? `M${properties.mag.toFixed(1)}${properties.magType ? ` ${properties.magType}` : ''}`
+        : 'Unknown magnitude';
+      return `${magnitude} – ${properties.place || 'Unknown location'}`;
+    };
+
+    // Individual toasts for a few events, one summary for a burst
+    if (features.length <= 3) {
+      features.forEach(feature => showToast(`New event: ${describe(feature.properties)}`));
+    } else {
+      const largest = features.reduce((a, b) => ((b.properties.mag || 0) > (a.properties.mag || 0) ? b : a));
+      showToast(`${features.length} new events, largest ${describe(largest.properties)}`);
+    }
+  }
+
+  // Drop the selection when its event is filtered out
+  clearHiddenSelection() {
+    const overlay = this.earthquakeOverlay;
+    if (overlay.selectedFeatureId === null || overlay.visibleData.some(feature => feature.id === overlay.selectedFeatureId)) return;
+    overlay.clearSelectedEarthquake(this.terrainBounds);
+    const infoDiv = document.getElementById('earthquake-info');
+    if (infoDiv) infoDiv.style.display = 'none';
+  }
+
+  showPartialData() {
+    // Cached windows are drawn right away while missing spans are fetched
+    this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
+  }
+
+  updateCacheStats() {
+    const statsDiv = document.getElementById('cache-stats');
+    if (!statsDiv) return;
+    if (!this.catalogCache.available) {
+      statsDiv.textContent = 'Not supported in this browser';
+      return;
+    }
+    this.catalogCache
+      .getStats()
+      .then(({ windows, events, bytes }) => {
+        statsDiv.textContent = windows
+          ? `${events} events in ${windows} windows (${(bytes / (1024 * 1024)).toFixed(1)} MB)`
+          : 'Empty';
+      })
+      .catch(error => console.warn('Could not read catalog cache stats:', error));
+  }
+
+  /**
+   * Records the playback range at `width` x `height` and `fps`, stepping
+   * catalog time at the timeline's playback speed, with the time stamp and
+   * legend burned in. Progress goes out as 'recordingProgress' events.
+   */
+  async recordPlayback({ format, width, height, fps }) {
+    const overlay = this.earthquakeOverlay;
+    const range = overlay.getPlaybackRange();
+    if (this.exporting || range.start === null) return;
     
-    // Remove two-click system: always check for intersection on click
-    // Update the picking ray with the camera and mouse position
-    this.raycaster.setFromCamera(this.mouse, this.camera);
+    const times = recordingFrameTimes(range, overlay.playbackSpeed, fps);
+    const controller = new AbortController();
+    const report = (detail) => {
+      document.dispatchEvent(new CustomEvent('recordingProgress', { detail }));
+    };
+    const resumeTime = overlay.currentTime;
+    overlay.stopLive();
+    overlay.pause();
+    this.exporting = true;
+    this.recordingController = controller;
+    this.controls.enabled = false;
+    report({ frame: 0, frameCount: times.length, done: false });
     
-    // Get all earthquake objects for intersection testing
-    const earthquakeObjects = [];
-    this.earthquakeOverlay.getObject3D().children.forEach((child) => {
-      if (child.isMesh && child.userData?.isEarthquake) {
-        earthquakeObjects.push(child);
+    try {
+      await this.settleTerrain(width, height, controller.signal);
+      const frame = document.createElement('canvas');
+      const blob = await recordPlayback({
+        format,
+        width,
+        height,
+        fps,
+        frameCount: times.length,
+        signal: controller.signal,
+        renderFrame: (i) => {
+          overlay.setTime(times[i], this.terrainBounds);
+          this.renderToCanvas(width, height, frame);
+          drawAnnotations(frame.getContext('2d'), {
+            width,
+            height,
+            ...this.getAnnotations(height, { scaleBar: false, compass: false }),
+            time: times[i],
+          });
+          return frame;
+        },
+        onProgress: (done, frameCount) => report({ frame: done, frameCount, done: false }),
+      });
+      downloadBlob(blob, timestampedFilename('playback', format === 'png' ? 'zip' : 'webm'));
+      report({ done: true });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Recording failed:', error);
+        showToast(`Recording failed: ${error.message}`);
       }
+      report({ done: true, cancelled: error.name === 'AbortError', error: error.message });
+    } finally {
+      this.exporting = false;
+      this.recordingController = null;
+      this.controls.enabled = true;
+      overlay.setTime(resumeTime, this.terrainBounds);
+    }
+  }
+
+  /**
+   * Saves the current view as a PNG at `scale` times the on-screen
+   * resolution, with the annotations picked in `annotations`.
+   */
+  async saveImage({ scale = 1, annotations = {} }) {
+    if (this.exporting) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(window.innerWidth * ratio * scale);
+    const height = Math.round(window.innerHeight * ratio * scale);
+    this.exporting = true;
+    try {
+      await this.settleTerrain(width, height);
+      const canvas = this.renderToCanvas(width, height);
+      drawAnnotations(canvas.getContext('2d'), { width, height, ...this.getAnnotations(height, annotations) });
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('The image is too large to encode'))), 'image/png');
+      });
+      downloadBlob(blob, timestampedFilename('view', 'png'));
+    } catch (error) {
+      console.error('Image export failed:', error);
+      showToast(`Could not save the image: ${error.message}`);
+    } finally {
+      this.exporting = false;
+    }
+  }
+
+  setupCatalogImport() {
+    // Files picked in the controls panel
+    document.addEventListener('importCatalogFile', (event) => {
+      const { file, columns, merge } = event.detail;
+      this.importCatalogFile(file, { columns, merge });
+    });
+
+    // Files dropped onto the canvas
+    const dropTarget = this.renderer.domElement;
+    dropTarget.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      this.container.classList.add('drop-target');
+    });
+    dropTarget.addEventListener('dragleave', () => {
+      this.container.classList.remove('drop-target');
+    });
+    dropTarget.addEventListener('drop', (event) => {
+      event.preventDefault();
+      this.container.classList.remove('drop-target');
+      const files = Array.from(event.dataTransfer.files);
+      if (!files.length) return;
+      const options = getCatalogImportOptions();
+      // Several dropped files are merged into one catalog
+      files.reduce(
+        (previous, file, i) =>
+          previous.then(() => this.importCatalogFile(file, { ...options, merge: options.merge || i > 0 })),
+        Promise.resolve()
+      );
+    });
+  }
+
+  async importCatalogFile(file, { columns = {}, merge = false } = {}) {
+    const status = document.getElementById('catalog-import-status');
+    const setStatus = (message) => {
+      if (status) status.textContent = message;
+    };
+
+    setStatus(`Reading ${file.name}...`);
+    try {
+      const allFeatures = await readCatalogFile(file, { columns });
+      const features = filterToBounds(allFeatures, this.terrainBounds);
+      const outside = allFeatures.length - features.length;
+
+      this.earthquakeOverlay.importData(features, { merge });
+      this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
+
+      setStatus(
+        `Loaded ${features.length} events from ${file.name}` +
+          (outside > 0 ? ` (${outside} outside the terrain skipped)` : '')
+      );
+    } catch (error) {
+      console.error(`Failed to import catalog ${file.name}:`, error);
+      setStatus(`Could not read ${file.name}: ${error.message}`);
+    }
+  }
+
+  setupTerrainOpacityControl() {
+    // Listen for terrain opacity change events
+    document.addEventListener('terrainOpacityChange', (event) => {
+      this.terrainOpacity = event.detail.opacity;
+      this.applyTerrainOpacity(this.terrainOpacity);
+    });
+  }
+
+  setupVerticalExaggerationControl() {
+    document.addEventListener('verticalExaggerationChange', (event) => {
+      this.verticalExaggeration = event.detail.exaggeration;
+      this.applyVerticalExaggeration();
     });
     
-    console.log(`Found ${earthquakeObjects.length} earthquake objects for intersection testing`);
+    document.addEventListener('depthReferenceChange', (event) => {
+      this.earthquakeOverlay.setDepthReference(event.detail.reference);
+      this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
+    });
+  }
+
+  /**
+   * Rescales terrain elevations and hypocenter depths together. Horizontal
+   * scene units are DEM pixels, so true scale is one unit per metersPerPixel.
+   */
+  applyVerticalExaggeration() {
+    const { metersPerPixel } = this.terrainBounds;
+    if (!metersPerPixel) return;
+
+    this.terrainBounds.elevationScale = this.verticalExaggeration / metersPerPixel;
+    if (this.terrain) this.terrain.setElevationScale(this.terrainBounds.elevationScale);
+    this.earthquakeOverlay.visualize(this.terrainBounds, this.earthquakeOverlay.currentTime);
+  }
+
+  applyTerrainOpacity(opacity) {
+    // Update terrain material opacity using direct reference
+    if (this.terrain) {
+      console.log("Setting terrain opacity to:", opacity);
+      
+      // Always enable transparency for opacity control
+      this.terrain.material.transparent = true;
+      this.terrain.material.opacity = opacity;
+      
+      // Set proper alpha test and blending
+      this.terrain.material.alphaTest = 0.01; // Small value to avoid z-fighting
+      this.terrain.material.depthWrite = opacity >= 0.99; // Only write depth when nearly opaque
+      this.terrain.material.needsUpdate = true;
+      
+      console.log("Terrain opacity updated to:", opacity);
+    } else {
+      console.log("Terrain mesh not found for opacity change");
+    }
+  }
+  
+  /**
+   * Events near a point given in normalized device coordinates, nearest first.
+   */
+  pickEarthquakesAt(pointer) {
+    return this.earthquakeOverlay.pickEarthquakes(this.camera, pointer, this.height, PICK_TOLERANCE_PX);
+  }
+
+  /**
+   * Lightens the event under the pointer and shows its tooltip, or clears
+   * both when the pointer is off the scene or over nothing.
+   */
+  updateHover() {
+    this.hoverPending = false;
+    const pointer = this.hoverPointer;
+    const candidates = pointer && !this.exporting
+      ? this.pickEarthquakesAt({ x: (pointer.x / this.width) * 2 - 1, y: -(pointer.y / this.height) * 2 + 1 })
+      : [];
+    const feature = candidates.length ? candidates[0].feature : null;
+    this.earthquakeOverlay.setHoveredEarthquake(feature ? feature.id : null);
+    this.renderer.domElement.style.cursor = feature ? 'pointer' : '';
+    if (feature) {
+      const { belowSeaLevel } = this.earthquakeOverlay.getDepths(feature);
+      showHoverTooltip(feature, belowSeaLevel, pointer.x, pointer.y, candidates.length - 1);
+    } else {
+      hideHoverTooltip();
+    }
+  }
+
+  checkEarthquakeIntersection() {
+    console.log('Click detected - checking earthquake intersection');
     
-    // Test for intersections with earthquake objects specifically
-    const intersects = this.raycaster.intersectObjects(earthquakeObjects, false);
+    // Events within a few pixels of the click, nearest first. Clicking the
+    // same spot again steps through events drawn on top of each other.
+    const candidates = this.pickEarthquakesAt(this.mouse);
+    const ids = candidates.map(({ feature }) => feature.id);
+    const cycle = this.pickCycle;
+    const sameSpot = cycle && this.mouseUpPosition.distanceTo(cycle.position) <= PICK_TOLERANCE_PX &&
+      ids.length === cycle.ids.length && ids.every((id, i) => id === cycle.ids[i]);
+    const index = sameSpot ? (cycle.index + 1) % ids.length : 0;
+    this.pickCycle = ids.length ? { position: this.mouseUpPosition.clone(), ids, index } : null;
+    const feature = ids.length ? candidates[index].feature : null;
     const infoDiv = document.getElementById('earthquake-info');
     
-    console.log(`Raycaster found ${intersects.length} intersections with earthquakes`);
-    
-    if (infoDiv) {
-      if (intersects.length > 0) {
-        const earthquakeObject = intersects[0];
-        const earthquake = earthquakeObject.object.userData.earthquake;
-        const featureId = earthquakeObject.object.userData.featureId;
-
-        if (earthquake) {
-          // Build the popup content with earthquake details
-          let popupContent = `
-            <strong>${earthquake.place || 'Unknown location'}</strong><br>
-            Magnitude: ${earthquake.mag}<br>
-            Depth: ${earthquakeObject.object.userData.depth.toFixed(2)} km<br>
-            Time: ${new Date(earthquake.time).toLocaleString()}<br>
-          `;
+    if (feature) {
+      this.showEarthquakeInfo(feature);
+      if (ids.length > 1 && infoDiv) {
+        const note = document.createElement('div');
+        note.textContent = `Event ${index + 1} of ${ids.length} here, click again for the next`;
+        note.style.marginTop = '4px';
+        note.style.opacity = '0.7';
+        infoDiv.appendChild(note);
+      }
+    } else if (infoDiv) {
+      // No intersection: clear highlight and info
+      this.earthquakeOverlay.clearSelectedEarthquake(this.terrainBounds);
+      infoDiv.style.display = 'none';
+    }
+  }
 
-          // Add USGS link if available
-          if (earthquake.url) {
-            popupContent += `<br><a href="${earthquake.url}" target="_blank" style="color: #0066cc; text-decoration: underline;">View at USGS.GOV</a>`;
-          }
+  /**
+   * Selects an event and opens its info popup.
+   */
+  showEarthquakeInfo(feature) {
+    const infoDiv = document.getElementById('earthquake-info');
+    if (!infoDiv) return;
+    const earthquake = feature.properties;
+    const featureId = feature.id;
 
-          infoDiv.style.display = 'block';
-          infoDiv.innerHTML = popupContent;
+    if (earthquake) {
+      // Built from text nodes: imported catalogs can put any markup in these fields
+      const { belowSeaLevel, belowSurface } = this.earthquakeOverlay.getDepths(feature);
+      const formatDepth = (depth) => (depth !== null ? `${depth.toFixed(2)} km` : 'Unknown');
+      const title = document.createElement('strong');
+      title.textContent = earthquake.place || 'Unknown location';
+      const lines = [
+        `Magnitude: ${earthquake.mag}${earthquake.magType ? ` ${earthquake.magType}` : ''}`,
+        `Depth below sea level: ${formatDepth(belowSeaLevel)}`,
+        `Depth below surface: ${formatDepth(belowSurface)}`,
+        `Time: ${new Date(earthquake.time).toLocaleString()}`,
+      ];
 
-          // Use encapsulated selection method
-          this.earthquakeOverlay.setSelectedEarthquake(featureId, this.terrainBounds);
-        }
-      } else {
-        // No intersection: clear highlight and info
-        this.earthquakeOverlay.clearSelectedEarthquake(this.terrainBounds);
-        infoDiv.style.display = 'none';
+      if (earthquake.type && earthquake.type !== 'earthquake') {
+        lines.push(`Type: ${earthquake.type}`);
+      }
+
+      // Origin uncertainties are only present for QuakeML catalogs
+      const uncertainty = earthquake.uncertainty;
+      if (uncertainty && uncertainty.horizontal !== null) {
+        lines.push(`Horizontal error: ±${(uncertainty.horizontal / 1000).toFixed(2)} km`);
+      }
+      if (uncertainty && uncertainty.depth !== null) {
+        lines.push(`Depth error: ±${(uncertainty.depth / 1000).toFixed(2)} km`);
+      }
+
+      infoDiv.style.display = 'block';
+      infoDiv.textContent = '';
+      infoDiv.appendChild(title);
+      lines.forEach((line) => {
+        infoDiv.appendChild(document.createElement('br'));
+        infoDiv.appendChild(document.createTextNode(line));
+      });
+
+      // Add link to the event page if the data source provides one; only web
+      // links, so a javascript: URL from a file cannot run
+      const url = eventPageUrl(earthquake.url);
+      if (url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.style.color = '#0066cc';
+        link.style.textDecoration = 'underline';
+        link.textContent = `View at ${earthquake.sourceName || 'USGS.GOV'}`;
+        infoDiv.appendChild(document.createElement('br'));
+        infoDiv.appendChild(document.createElement('br'));
+        infoDiv.appendChild(link);
       }
+
+      const flyButton = document.createElement('button');
+      flyButton.textContent = 'Fly to event';
+      flyButton.style.display = 'block';
+      flyButton.style.marginTop = '6px';
+      flyButton.style.padding = '2px 8px';
+      flyButton.style.fontSize = '11px';
+      flyButton.style.cursor = 'pointer';
+      flyButton.addEventListener('click', () => this.flyToEarthquake(featureId));
+      infoDiv.appendChild(flyButton);
+
+      // Use encapsulated selection method
+      this.earthquakeOverlay.setSelectedEarthquake(featureId, this.terrainBounds);
     }
   }
 }
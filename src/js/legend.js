@@ -0,0 +1,171 @@
+// legend.js
+
+/**
+ * On-screen legend for hypocenter coloring, sizing and aging, bottom left
+ * above the timeline. Filled by updateLegend() with the legend from
+ * hypocenterStyle.js plus the resolved aging settings.
+ */
+export function createLegend() {
+  const container = document.createElement('div');
+  container.id = 'hypocenter-legend';
+  container.style.position = 'absolute';
+  container.style.bottom = '130px'; // Above the timeline
+  container.style.left = '10px';
+  container.style.width = '220px';
+  container.style.backgroundColor = 'rgba(36, 36, 36, 0.7)';
+  container.style.color = 'white';
+  container.style.padding = '8px 10px';
+  container.style.borderRadius = '5px';
+  container.style.fontSize = '12px';
+  container.style.fontFamily = 'Futura, Futura PT, Trebuchet MS, sans-serif';
+  container.style.zIndex = '1000';
+  container.style.pointerEvents = 'none';
+  container.style.display = 'none'; // Shown once a catalog is loaded
+  return container;
+}
+
+function createRow(color, label) {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '6px';
+  row.style.marginTop = '3px';
+
+  const swatch = document.createElement('span');
+  swatch.style.display = 'inline-block';
+  swatch.style.width = '14px';
+  swatch.style.height = '10px';
+  swatch.style.borderRadius = '2px';
+  swatch.style.background = color;
+
+  const text = document.createElement('span');
+  text.textContent = label;
+
+  row.appendChild(swatch);
+  row.appendChild(text);
+  return row;
+}
+
+export function formatTick(value) {
+  return Math.abs(value) >= 100 || Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function createGradient(legend) {
+  const wrapper = document.createElement('div');
+  wrapper.style.marginTop = '4px';
+
+  const bar = document.createElement('div');
+  bar.style.height = '10px';
+  bar.style.borderRadius = '2px';
+  bar.style.background = legend.gradient;
+
+  // Tick labels positioned along the bar
+  const ticks = document.createElement('div');
+  ticks.style.position = 'relative';
+  ticks.style.height = '16px';
+  legend.ticks.forEach(value => {
+    const tick = document.createElement('span');
+    tick.textContent = formatTick(value);
+    tick.style.position = 'absolute';
+    tick.style.top = '2px';
+    tick.style.left = `${((value - legend.min) / (legend.max - legend.min)) * 100}%`;
+    tick.style.transform = 'translateX(-50%)';
+    tick.style.fontSize = '10px';
+    ticks.appendChild(tick);
+  });
+
+  wrapper.appendChild(bar);
+  wrapper.appendChild(ticks);
+  return wrapper;
+}
+
+/**
+ * Catalog time span for display, e.g. "45 min", "2 h", "5 days".
+ */
+export function formatHours(hours) {
+  const round = value => parseFloat(value.toFixed(1));
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${round(hours)} h`;
+  return `${round(hours / 24)} days`;
+}
+
+/**
+ * Rows of the age color key: one color, or two for a ramp, and a label.
+ * Shared with the burned-in legend in annotations.js.
+ */
+export function ageRows(aging) {
+  const red = aging.fadeStartHours / 24;
+  return [
+    { colors: ['#ff0000'], label: `Under ${formatHours(red)}` },
+    { colors: ['#ff0000', '#ffa500'], label: `${formatHours(red)} to ${formatHours(aging.fadeStartHours)}` },
+    { colors: ['#ffff00'], label: `Over ${formatHours(aging.fadeStartHours)}` },
+  ];
+}
+
+/**
+ * Current aging settings as lines of text; they apply in every color mode.
+ */
+export function agingSummary(aging) {
+  const lines = [
+    `Grows in over ${formatHours(aging.growHours)}`,
+    `Fades after ${formatHours(aging.fadeStartHours)} over ${formatHours(aging.fadeHours)} to ${Math.round(aging.floorOpacity * 100)}%`,
+  ];
+  if (aging.trailHours > 0) lines.push(`Showing the last ${formatHours(aging.trailHours)}`);
+  if (aging.autoScale) lines.push(`Scaled x${aging.factor.toFixed(1)} to the loaded range`);
+  return lines;
+}
+
+function createAgeRows(aging) {
+  const rows = document.createElement('div');
+  ageRows(aging).forEach(({ colors, label }) => {
+    const color = colors.length > 1 ? `linear-gradient(to right, ${colors.join(', ')})` : colors[0];
+    rows.appendChild(createRow(color, label));
+  });
+  return rows;
+}
+
+function createAgingSummary(aging) {
+  const summary = document.createElement('div');
+  summary.style.marginTop = '6px';
+  summary.style.fontSize = '11px';
+  summary.style.opacity = '0.85';
+
+  agingSummary(aging).forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    summary.appendChild(line);
+  });
+  return summary;
+}
+
+/**
+ * Redraws the legend. Hidden while no catalog is loaded.
+ */
+export function updateLegend(legend) {
+  const container = document.getElementById('hypocenter-legend');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.style.fontWeight = 'bold';
+  title.textContent = `Color: ${legend.title}`;
+  container.appendChild(title);
+
+  if (legend.kind === 'gradient') {
+    container.appendChild(createGradient(legend));
+  } else if (legend.kind === 'categories') {
+    legend.categories.forEach(({ label, color, count }) => {
+      container.appendChild(createRow(color, `${label} (${count})`));
+    });
+  } else {
+    container.appendChild(createAgeRows(legend.aging));
+  }
+
+  const size = document.createElement('div');
+  size.style.marginTop = '6px';
+  size.textContent = `Size: ${legend.sizeLabel}`;
+  container.appendChild(size);
+  container.appendChild(createAgingSummary(legend.aging));
+
+  container.style.display = legend.count ? 'block' : 'none';
+}
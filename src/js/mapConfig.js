@@ -1,92 +1,113 @@
 /**
- * Map Configuration (Optional/Fallback)
- * 
- * NOTE: As of the latest update, geographic bounds are automatically extracted 
- * from the GeoTIFF file metadata using tifImage.getBoundingBox().
- * 
- * This configuration file can be used as a fallback or for manual override
- * if needed, but is not required for normal operation.
+ * Site presets
+ *
+ * Each site bundles the DEM and overlay image for one area together with the
+ * defaults used to fetch its earthquakes. Geographic bounds normally come from
+ * the GeoTIFF itself (see projections.js for projected DEMs); `center` and
+ * `radiusMiles` only serve as a fallback when the DEM's CRS is not supported.
+ *
+ * To add a site, put its DEM and overlay image in src/textures, import them
+ * here and add an entry to SITES. It then shows up in the site picker.
  */
 
-export const MAP_CONFIG = {
-  // Center point of the map in decimal degrees
-  center: {
-    latitude: 61.2989,   // Mount Spurr, Alaska
-    longitude: -152.2539
+import spurrDem from '../textures/spurr_20_mile_rad_dem_smaller_trimmed.tif';
+import spurrImage from '../textures/spurr_round_usgs_sat_overlay.jpg';
+import agriDem from '../textures/agri-small-dem.tif';
+import agriImage from '../textures/agri-small-autumn.jpg';
+
+/**
+ * @typedef {Object} Site
+ * @property {string} id
+ * @property {string} name - Label shown in the site picker
+ * @property {string} dem - GeoTIFF elevation model URL
+ * @property {string} image - Overlay image URL draped over the DEM
+ * @property {{latitude: number, longitude: number}} center
+ * @property {number} radiusMiles
+ * @property {Object} dataSource - Registry id plus createDataSource overrides, e.g. { id: 'usgs', query: { minmagnitude: 1 } }
+ * @property {number} initialDays - Days of catalog loaded when the site opens
+ */
+
+export const SITES = {
+  spurr: {
+    id: 'spurr',
+    name: 'Mount Spurr, Alaska',
+    dem: spurrDem,
+    image: spurrImage,
+    center: { latitude: 61.2989, longitude: -152.2539 },
+    radiusMiles: 10,
+    dataSource: { id: 'usgs-avo' },
+    initialDays: 7,
+  },
+  agri: {
+    id: 'agri',
+    name: 'Mount Ağrı (Ararat), Türkiye',
+    dem: agriDem,
+    image: agriImage,
+    center: { latitude: 39.7062, longitude: 44.3051 },
+    radiusMiles: 5,
+    // Sparse seismicity and outside ComCat's focus, so a longer EMSC window
+    dataSource: { id: 'emsc' },
+    initialDays: 365,
   },
-  
-  // Radius from center point in miles
-  radiusMiles: 10,
-  
-  /**
-   * Calculate approximate lat/lon bounds based on center and radius
-   * Uses approximate conversions: 1 degree latitude ≈ 69 miles
-   * Longitude conversion varies by latitude: ~54.6 miles at 61°N
-   * 
-   * @returns {Object} Calculated bounds with minLat, maxLat, minLon, maxLon
-   */
-  getBounds() {
-    const latDegreePerMile = 1 / 69;
-    // Longitude degrees per mile varies by latitude - more accurate calculation
-    const latRadians = this.center.latitude * (Math.PI / 180);
-    const lonDegreePerMile = 1 / (69 * Math.cos(latRadians));
-    
-    return {
-      minLat: this.center.latitude - (this.radiusMiles * latDegreePerMile),
-      maxLat: this.center.latitude + (this.radiusMiles * latDegreePerMile),
-      minLon: this.center.longitude - (this.radiusMiles * lonDegreePerMile),
-      maxLon: this.center.longitude + (this.radiusMiles * lonDegreePerMile)
-    };
-  }
 };
 
+export const DEFAULT_SITE_ID = 'spurr';
+
 /**
- * Alternative map configurations for easy switching
- * Uncomment and modify MAP_CONFIG assignment to use a different map
+ * Further presets, not in the site picker until their DEM and overlay image
+ * are added: set `dem` and `image` and add them to SITES.
  */
 
 // Example: Yellowstone National Park
 export const YELLOWSTONE_CONFIG = {
-  center: {
-    latitude: 44.4280,
-    longitude: -110.5885
-  },
+  id: 'yellowstone',
+  name: 'Yellowstone National Park',
+  center: { latitude: 44.4280, longitude: -110.5885 },
   radiusMiles: 15,
+  dataSource: { id: 'usgs' },
+  initialDays: 30,
   getBounds() {
-    const latDegreePerMile = 1 / 69;
-    const latRadians = this.center.latitude * (Math.PI / 180);
-    const lonDegreePerMile = 1 / (69 * Math.cos(latRadians));
-    
-    return {
-      minLat: this.center.latitude - (this.radiusMiles * latDegreePerMile),
-      maxLat: this.center.latitude + (this.radiusMiles * latDegreePerMile),
-      minLon: this.center.longitude - (this.radiusMiles * lonDegreePerMile),
-      maxLon: this.center.longitude + (this.radiusMiles * lonDegreePerMile)
-    };
+    return siteBounds(this);
   }
 };
 
 // Example: Mount St. Helens
 export const MOUNT_ST_HELENS_CONFIG = {
-  center: {
-    latitude: 46.1914,
-    longitude: -122.1956
-  },
+  id: 'st-helens',
+  name: 'Mount St. Helens, Washington',
+  center: { latitude: 46.1914, longitude: -122.1956 },
   radiusMiles: 12,
+  dataSource: { id: 'usgs' },
+  initialDays: 30,
   getBounds() {
-    const latDegreePerMile = 1 / 69;
-    const latRadians = this.center.latitude * (Math.PI / 180);
-    const lonDegreePerMile = 1 / (69 * Math.cos(latRadians));
-    
-    return {
-      minLat: this.center.latitude - (this.radiusMiles * latDegreePerMile),
-      maxLat: this.center.latitude + (this.radiusMiles * latDegreePerMile),
-      minLon: this.center.longitude - (this.radiusMiles * lonDegreePerMile),
-      maxLon: this.center.longitude + (this.radiusMiles * lonDegreePerMile)
-    };
+    return siteBounds(this);
   }
 };
 
-// To use a different configuration, change this line:
-// export const ACTIVE_MAP_CONFIG = YELLOWSTONE_CONFIG;
-// export const ACTIVE_MAP_CONFIG = MOUNT_ST_HELENS_CONFIG;
+export function getSite(id) {
+  const site = Object.prototype.hasOwnProperty.call(SITES, id) ? SITES[id] : null;
+  if (!site) {
+    throw new Error(`Unknown site: ${id}`);
+  }
+  return site;
+}
+
+/**
+ * Calculate approximate lat/lon bounds based on a site's center and radius
+ * Uses approximate conversions: 1 degree latitude ≈ 69 miles
+ * Longitude conversion varies by latitude
+ *
+ * @returns {Object} Calculated bounds with minLat, maxLat, minLon, maxLon
+ */
+export function siteBounds(site) {
+  const latDegreePerMile = 1 / 69;
+  const latRadians = site.center.latitude * (Math.PI / 180);
+  const lonDegreePerMile = 1 / (69 * Math.cos(latRadians));
+
+  return {
+    minLat: site.center.latitude - (site.radiusMiles * latDegreePerMile),
+    maxLat: site.center.latitude + (site.radiusMiles * latDegreePerMile),
+    minLon: site.center.longitude - (site.radiusMiles * lonDegreePerMile),
+    maxLon: site.center.longitude + (site.radiusMiles * lonDegreePerMile)
+  };
+}
@@ -0,0 +1,119 @@
+// playbackRecorder.js
+
+/**
+ * Frame-by-frame export of the playback.
+ *
+ * Frames are rendered one at a time at fixed steps of catalog time, so the
+ * result does not depend on how fast the machine renders. PNG sequences are
+ * exact; WebM goes through MediaRecorder, which stamps frames with the wall
+ * clock, so frames are paced at the target rate while recording.
+ */
+
+import { crc32, createZip } from './zipArchive';
+
+export const RECORDING_FORMATS = {
+  webm: 'WebM video',
+  png: 'PNG frames (zip)',
+};
+
+// Four minutes at 30 fps
+export const MAX_RECORDING_FRAMES = 7200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Catalog times of the frames needed to play `range` at `speed` days per
+ * second and `fps` frames per second. The last frame is the end of the range.
+ */
+export function recordingFrameTimes(range, speed, fps) {
+  const step = (speed * DAY_MS) / fps;
+  const count = Math.floor((range.end - range.start) / step) + 1;
+  const times = [];
+  for (let i = 0; i < count; i++) times.push(range.start + i * step);
+  if (times[times.length - 1] < range.end) times.push(range.end);
+  return times;
+}
+
+function checkAborted(signal) {
+  if (signal && signal.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode frame'))), 'image/png');
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function recordWebm(frameCount, renderFrame, { width, height, fps, onProgress, signal }) {
+  const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new Error('WebM recording is not supported in this browser');
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // Frames are pushed with requestFrame() rather than captured on a timer
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(width * height * fps * 0.2) });
+  const chunks = [];
+  recorder.ondataavailable = event => {
+    if (event.data.size) chunks.push(event.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      checkAborted(signal);
+      const frameStart = Date.now();
+      context.drawImage(renderFrame(i), 0, 0, width, height);
+      track.requestFrame();
+      if (onProgress) onProgress(i + 1, frameCount);
+      await wait(Math.max(0, 1000 / fps - (Date.now() - frameStart)));
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+    await stopped;
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function recordPng(frameCount, renderFrame, { onProgress, signal }) {
+  const digits = Math.max(5, String(frameCount).length);
+  const files = [];
+  for (let i = 0; i < frameCount; i++) {
+    checkAborted(signal);
+    const blob = await canvasToBlob(renderFrame(i));
+    files.push({
+      name: `frame_${String(i + 1).padStart(digits, '0')}.png`,
+      data: blob,
+      crc: crc32(new Uint8Array(await blob.arrayBuffer())),
+    });
+    if (onProgress) onProgress(i + 1, frameCount);
+  }
+  return createZip(files);
+}
+
+/**
+ * Renders `frameCount` frames with `renderFrame(i)`, which returns a canvas
+ * of `width` x `height`, and encodes them as `format` (see RECORDING_FORMATS).
+ * Rejects with an AbortError when `signal` aborts.
+ *
+ * @returns {Promise<Blob>} the video, or a zip of numbered PNG frames
+ */
+export function recordPlayback({ format, frameCount, renderFrame, width, height, fps, onProgress = null, signal = null }) {
+  if (frameCount > MAX_RECORDING_FRAMES) {
+    return Promise.reject(new Error(`${frameCount} frames is too long to record; pick a faster speed or zoom the timeline to a shorter window`));
+  }
+  const options = { width, height, fps, onProgress, signal };
+  return format === 'png'
+    ? recordPng(frameCount, renderFrame, options)
+    : recordWebm(frameCount, renderFrame, options);
+}
@@ -0,0 +1,451 @@
+// projections.js
+
+/**
+ * Built-in map projections for GeoTIFF DEMs in projected coordinate systems.
+ *
+ * A projection is a plain object:
+ *
+ *   {
+ *     name: string,
+ *     forward(lon, lat) => [x, y],   // degrees -> CRS units
+ *     inverse(x, y) => [lon, lat],   // CRS units -> degrees
+ *   }
+ *
+ * Supported: UTM (WGS84 and NAD83 zones), Alaska Albers (EPSG:3338/6393),
+ * Web Mercator (EPSG:3857), World Mercator (EPSG:3395), and user-defined
+ * Transverse Mercator, Albers and Mercator CRSs described by GeoKeys.
+ * Formulas follow Snyder, "Map Projections: A Working Manual" (USGS PP 1395).
+ */
+
+const DEG = Math.PI / 180;
+
+const ELLIPSOIDS = {
+  WGS84: { a: 6378137, f: 1 / 298.257223563 },
+  GRS80: { a: 6378137, f: 1 / 298.257222101 },
+};
+
+// GeoTIFF ProjCoordTransGeoKey values
+const CT_TRANSVERSE_MERCATOR = 1;
+const CT_MERCATOR = 7;
+const CT_ALBERS_EQUAL_AREA = 11;
+
+// GeoTIFF user-defined marker
+const USER_DEFINED = 32767;
+
+// ProjLinearUnitsGeoKey values, in meters
+const LINEAR_UNITS = {
+  9001: 1,
+  9002: 0.3048,
+  9003: 1200 / 3937,
+};
+
+function ellipsoidParams({ a, f }) {
+  const e2 = f * (2 - f);
+  return { a, e2, e: Math.sqrt(e2), ep2: e2 / (1 - e2) };
+}
+
+/**
+ * Applies a linear unit (e.g. US survey feet) on top of a meter-based projection.
+ */
+function withUnits(projection, metersPerUnit) {
+  if (metersPerUnit === 1) return projection;
+  return {
+    ...projection,
+    forward(lon, lat) {
+      const [x, y] = projection.forward(lon, lat);
+      return [x / metersPerUnit, y / metersPerUnit];
+    },
+    inverse(x, y) {
+      return projection.inverse(x * metersPerUnit, y * metersPerUnit);
+    },
+  };
+}
+
+export function transverseMercator({
+  name = 'Transverse Mercator',
+  lon0,
+  lat0 = 0,
+  k0 = 1,
+  falseEasting = 0,
+  falseNorthing = 0,
+  ellipsoid = ELLIPSOIDS.WGS84,
+}) {
+  const { a, e2, ep2 } = ellipsoidParams(ellipsoid);
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const m1 = 1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256;
+  const m2 = (3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024;
+  const m3 = (15 * e4) / 256 + (45 * e6) / 1024;
+  const m4 = (35 * e6) / 3072;
+  const meridianArc = (phi) =>
+    a * (m1 * phi - m2 * Math.sin(2 * phi) + m3 * Math.sin(4 * phi) - m4 * Math.sin(6 * phi));
+  const M0 = meridianArc(lat0 * DEG);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  return {
+    name,
+    forward(lon, lat) {
+      const phi = lat * DEG;
+      const sin = Math.sin(phi);
+      const cos = Math.cos(phi);
+      const tan = Math.tan(phi);
+      const N = a / Math.sqrt(1 - e2 * sin * sin);
+      const T = tan * tan;
+      const C = ep2 * cos * cos;
+      const A = (lon - lon0) * DEG * cos;
+      const x =
+        k0 * N * (A + ((1 - T + C) * A ** 3) / 6 + ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5) / 120);
+      const y =
+        k0 *
+        (meridianArc(phi) -
+          M0 +
+          N *
+            tan *
+            ((A * A) / 2 +
+              ((5 - T + 9 * C + 4 * C * C) * A ** 4) / 24 +
+              ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6) / 720));
+      return [falseEasting + x, falseNorthing + y];
+    },
+    inverse(x, y) {
+      const M = M0 + (y - falseNorthing) / k0;
+      const mu = M / (a * m1);
+      const phi1 =
+        mu +
+        ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+        ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+        ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+        ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+      const sin1 = Math.sin(phi1);
+      const cos1 = Math.cos(phi1);
+      const tan1 = Math.tan(phi1);
+      const C1 = ep2 * cos1 * cos1;
+      const T1 = tan1 * tan1;
+      const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+      const R1 = (a * (1 - e2)) / (1 - e2 * sin1 * sin1) ** 1.5;
+      const D = (x - falseEasting) / (N1 * k0);
+      const phi =
+        phi1 -
+        ((N1 * tan1) / R1) *
+          ((D * D) / 2 -
+            ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4) / 24 +
+            ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6) / 720);
+      const lambda =
+        (D -
+          ((1 + 2 * T1 + C1) * D ** 3) / 6 +
+          ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5) / 120) /
+        cos1;
+      return [lon0 + lambda / DEG, phi / DEG];
+    },
+  };
+}
+
+export function utm(zone, { south = false, ellipsoid = ELLIPSOIDS.WGS84, datum = 'WGS84' } = {}) {
+  return transverseMercator({
+    name: `${datum} / UTM zone ${zone}${south ? 'S' : 'N'}`,
+    lon0: -183 + 6 * zone,
+    k0: 0.9996,
+    falseEasting: 500000,
+    falseNorthing: south ? 10000000 : 0,
+    ellipsoid,
+  });
+}
+
+export function albersEqualArea({
+  name = 'Albers Equal Area',
+  lat1,
+  lat2,
+  lat0,
+  lon0,
+  falseEasting = 0,
+  falseNorthing = 0,
+  ellipsoid = ELLIPSOIDS.GRS80,
+}) {
+  const { a, e2, e } = ellipsoidParams(ellipsoid);
+  const q = (phi) => {
+    const sin = Math.sin(phi);
+    return (1 - e2) * (sin / (1 - e2 * sin * sin) - (1 / (2 * e)) * Math.log((1 - e * sin) / (1 + e * sin)));
+  };
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+
+  const phi1 = lat1 * DEG;
+  const phi2 = lat2 * DEG;
+  const n =
+    Math.abs(phi1 - phi2) > 1e-10
+      ? (m(phi1) ** 2 - m(phi2) ** 2) / (q(phi2) - q(phi1))
+      : Math.sin(phi1);
+  const C = m(phi1) ** 2 + n * q(phi1);
+  const rho = (phi) => (a * Math.sqrt(C - n * q(phi))) / n;
+  const rho0 = rho(lat0 * DEG);
+
+  return {
+    name,
+    forward(lon, lat) {
+      const r = rho(lat * DEG);
+      const theta = n * (lon - lon0) * DEG;
+      return [falseEasting + r * Math.sin(theta), falseNorthing + rho0 - r * Math.cos(theta)];
+    },
+    inverse(x, y) {
+      const dx = x - falseEasting;
+      const dy = rho0 - (y - falseNorthing);
+      const sign = Math.sign(n);
+      const r = sign * Math.sqrt(dx * dx + dy * dy);
+      const theta = Math.atan2(sign * dx, sign * dy);
+      const qValue = (C - (r * r * n * n) / (a * a)) / n;
+      // Iterate for latitude (Snyder eq. 3-16)
+      let phi = Math.asin(Math.max(-1, Math.min(1, qValue / 2)));
+      for (let i = 0; i < 15; i++) {
+        const sin = Math.sin(phi);
+        const denominator = 1 - e2 * sin * sin;
+        const delta =
+          ((denominator * denominator) / (2 * Math.cos(phi))) *
+          (qValue / (1 - e2) - sin / denominator + (1 / (2 * e)) * Math.log((1 - e * sin) / (1 + e * sin)));
+        phi += delta;
+        if (Math.abs(delta) < 1e-12) break;
+      }
+      return [lon0 + theta / n / DEG, phi / DEG];
+    },
+  };
+}
+
+/**
+ * Mercator. Without an `ellipsoid` the spherical formulas are used, which is
+ * what Web Mercator does on the WGS84 datum; with one it is the ellipsoidal
+ * Mercator (e.g. EPSG:3395), scaled by `k0` along the equator.
+ */
+export function mercator({
+  name = 'Mercator',
+  lon0 = 0,
+  k0 = 1,
+  falseEasting = 0,
+  falseNorthing = 0,
+  radius = 6378137,
+  ellipsoid = null,
+} = {}) {
+  const { a, e } = ellipsoid ? ellipsoidParams(ellipsoid) : { a: radius, e: 0 };
+  const scale = a * k0;
+  // Snyder 7-7 and 7-9; e = 0 reduces them to the spherical formulas
+  const conformal = (sin) => ((1 - e * sin) / (1 + e * sin)) ** (e / 2);
+  return {
+    name,
+    forward(lon, lat) {
+      const phi = Math.max(-85.06, Math.min(85.06, lat)) * DEG;
+      return [
+        falseEasting + scale * (lon - lon0) * DEG,
+        falseNorthing + scale * Math.log(Math.tan(Math.PI / 4 + phi / 2) * conformal(Math.sin(phi))),
+      ];
+    },
+    inverse(x, y) {
+      const t = Math.exp(-(y - falseNorthing) / scale);
+      let phi = Math.PI / 2 - 2 * Math.atan(t);
+      for (let i = 0; i < 15 && e > 0; i++) {
+        const next = Math.PI / 2 - 2 * Math.atan(t * conformal(Math.sin(phi)));
+        const delta = next - phi;
+        phi = next;
+        if (Math.abs(delta) < 1e-12) break;
+      }
+      return [lon0 + (x - falseEasting) / scale / DEG, phi / DEG];
+    },
+  };
+}
+
+const alaskaAlbers = (name) =>
+  albersEqualArea({ name, lat1: 55, lat2: 65, lat0: 50, lon0: -154, ellipsoid: ELLIPSOIDS.GRS80 });
+
+/**
+ * Returns the projection for an EPSG projected CRS code, or null when it is not built in.
+ */
+export function projectionFromEpsg(code) {
+  if (code >= 32601 && code <= 32660) return utm(code - 32600);
+  if (code >= 32701 && code <= 32760) return utm(code - 32700, { south: true });
+  if (code >= 26901 && code <= 26923) {
+    return utm(code - 26900, { ellipsoid: ELLIPSOIDS.GRS80, datum: 'NAD83' });
+  }
+  // NAD83(2011): zones 1-19 are 6330-6348, zones 59 and 60 are 6328 and 6329
+  if (code >= 6330 && code <= 6348) {
+    return utm(code - 6329, { ellipsoid: ELLIPSOIDS.GRS80, datum: 'NAD83(2011)' });
+  }
+  if (code === 6328 || code === 6329) {
+    return utm(code === 6328 ? 59 : 60, { ellipsoid: ELLIPSOIDS.GRS80, datum: 'NAD83(2011)' });
+  }
+  if (code === 3338) return alaskaAlbers('NAD83 / Alaska Albers');
+  if (code === 6393) return alaskaAlbers('NAD83(2011) / Alaska Albers');
+  if (code === 3857 || code === 3785 || code === 900913 || code === 102100) {
+    return mercator({ name: 'WGS 84 / Pseudo-Mercator' });
+  }
+  if (code === 3395) return mercator({ name: 'WGS 84 / World Mercator', ellipsoid: ELLIPSOIDS.WGS84 });
+  return null;
+}
+
+function ellipsoidFromGeoKeys(geoKeys) {
+  // NAD83 based geographic CRSs use GRS80, anything else is treated as WGS84
+  const geographic = geoKeys.GeographicTypeGeoKey;
+  return geographic === 4269 || geographic === 6318 ? ELLIPSOIDS.GRS80 : ELLIPSOIDS.WGS84;
+}
+
+function userDefinedProjection(geoKeys) {
+  const ellipsoid = ellipsoidFromGeoKeys(geoKeys);
+  const projectionCode = geoKeys.ProjectionGeoKey;
+  // ProjectionGeoKey 16001-16060 and 16101-16160 are UTM north and south zones
+  if (projectionCode >= 16001 && projectionCode <= 16060) return utm(projectionCode - 16000, { ellipsoid });
+  if (projectionCode >= 16101 && projectionCode <= 16160) {
+    return utm(projectionCode - 16100, { south: true, ellipsoid });
+  }
+
+  const falseEasting = geoKeys.ProjFalseEastingGeoKey ?? geoKeys.ProjFalseOriginEastingGeoKey ?? 0;
+  const falseNorthing = geoKeys.ProjFalseNorthingGeoKey ?? geoKeys.ProjFalseOriginNorthingGeoKey ?? 0;
+  const lon0 =
+    geoKeys.ProjNatOriginLongGeoKey ?? geoKeys.ProjFalseOriginLongGeoKey ?? geoKeys.ProjCenterLongGeoKey ?? 0;
+  const lat0 =
+    geoKeys.ProjNatOriginLatGeoKey ?? geoKeys.ProjFalseOriginLatGeoKey ?? geoKeys.ProjCenterLatGeoKey ?? 0;
+  // False easting/northing are given in the CRS linear units; the formulas work in meters
+  const metersPerUnit = LINEAR_UNITS[geoKeys.ProjLinearUnitsGeoKey] || 1;
+  const common = {
+    lon0,
+    lat0,
+    falseEasting: falseEasting * metersPerUnit,
+    falseNorthing: falseNorthing * metersPerUnit,
+  };
+
+  switch (geoKeys.ProjCoordTransGeoKey) {
+    case CT_TRANSVERSE_MERCATOR:
+      return transverseMercator({ ...common, k0: geoKeys.ProjScaleAtNatOriginGeoKey ?? 1, ellipsoid });
+    case CT_ALBERS_EQUAL_AREA:
+      return albersEqualArea({
+        ...common,
+        lat1: geoKeys.ProjStdParallel1GeoKey,
+        lat2: geoKeys.ProjStdParallel2GeoKey ?? geoKeys.ProjStdParallel1GeoKey,
+        ellipsoid,
+      });
+    case CT_MERCATOR: {
+      // Mercator (2SP) gives the parallel of true scale instead of a scale factor
+      const { e2 } = ellipsoidParams(ellipsoid);
+      const trueScaleLat = geoKeys.ProjStdParallel1GeoKey;
+      const k0 =
+        geoKeys.ProjScaleAtNatOriginGeoKey ??
+        (trueScaleLat !== undefined
+          ? Math.cos(trueScaleLat * DEG) / Math.sqrt(1 - e2 * Math.sin(trueScaleLat * DEG) ** 2)
+          : 1);
+      return mercator({ ...common, k0, ellipsoid });
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the projection described by a GeoTIFF's GeoKeys (tifImage.getGeoKeys()).
+ *
+ * @returns {Object|null} The projection, or null for geographic (lat/lon) rasters
+ * @throws {Error} When the raster is projected but its CRS is not supported
+ */
+export function projectionFromGeoKeys(geoKeys) {
+  const keys = geoKeys || {};
+  // GTModelTypeGeoKey: 1 projected, 2 geographic, 3 geocentric
+  if (keys.GTModelTypeGeoKey === 2) return null;
+  if (keys.GTModelTypeGeoKey !== 1 && !keys.ProjectedCSTypeGeoKey) return null;
+
+  const code = keys.ProjectedCSTypeGeoKey;
+  const base = code && code !== USER_DEFINED ? projectionFromEpsg(code) : userDefinedProjection(keys);
+  if (!base) {
+    throw new Error(
+      code && code !== USER_DEFINED
+        ? `Unsupported projected CRS EPSG:${code}`
+        : `Unsupported user-defined projection (ProjCoordTransGeoKey ${keys.ProjCoordTransGeoKey})`
+    );
+  }
+
+  const metersPerUnit = LINEAR_UNITS[keys.ProjLinearUnitsGeoKey] || 1;
+  const projection = withUnits(base, metersPerUnit);
+  projection.epsg = code && code !== USER_DEFINED ? code : null;
+  return projection;
+}
+
+/**
+ * Geographic envelope of a projected bounding box. Edges are sampled because
+ * straight lines in projected space are curves in lat/lon.
+ *
+ * @param {Object} projection
+ * @param {Array<number>} bbox - [minX, minY, maxX, maxY] in CRS units
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number}}
+ */
+export function geographicBounds(projection, [minX, minY, maxX, maxY], samples = 16) {
+  const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+  const include = (x, y) => {
+    const [lon, lat] = projection.inverse(x, y);
+    bounds.minLon = Math.min(bounds.minLon, lon);
+    bounds.maxLon = Math.max(bounds.maxLon, lon);
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+  };
+  for (let i = 0; i <= samples; i++) {
+    const x = minX + ((maxX - minX) * i) / samples;
+    const y = minY + ((maxY - minY) * i) / samples;
+    include(x, minY);
+    include(x, maxY);
+    include(minX, y);
+    include(maxX, y);
+  }
+  return bounds;
+}
+
+/**
+ * Position of a point across the terrain footprint, as fractions (0..1) from
+ * the west (u) and south (v) edges. Projected DEMs are regular grids in CRS
+ * units, so the point is projected first; geographic DEMs interpolate lat/lon.
+ */
+export function terrainFraction(lat, lon, terrainBounds) {
+  const { projection, projectedBounds } = terrainBounds;
+  if (projection && projectedBounds) {
+    const [x, y] = projection.forward(lon, lat);
+    return {
+      u: (x - projectedBounds.minX) / (projectedBounds.maxX - projectedBounds.minX),
+      v: (y - projectedBounds.minY) / (projectedBounds.maxY - projectedBounds.minY),
+    };
+  }
+  return {
+    u: (lon - terrainBounds.minLon) / (terrainBounds.maxLon - terrainBounds.minLon),
+    v: (lat - terrainBounds.minLat) / (terrainBounds.maxLat - terrainBounds.minLat),
+  };
+}
+
+/**
+ * Great-circle distance in meters between two points given in degrees.
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLon = (lon2 - lon1) * DEG;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Ground size of one DEM pixel in meters, measured along the middle row (x)
+ * and column (y) of the terrain footprint. Works in lat/lon, so it does not
+ * depend on the CRS linear units.
+ *
+ * @returns {{x: number, y: number}}
+ */
+export function groundResolution(terrainBounds) {
+  const { projection, projectedBounds, width, height } = terrainBounds;
+  let west, east, south, north;
+  if (projection && projectedBounds) {
+    const { minX, minY, maxX, maxY } = projectedBounds;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    west = projection.inverse(minX, midY);
+    east = projection.inverse(maxX, midY);
+    south = projection.inverse(midX, minY);
+    north = projection.inverse(midX, maxY);
+  } else {
+    const midLon = (terrainBounds.minLon + terrainBounds.maxLon) / 2;
+    const midLat = (terrainBounds.minLat + terrainBounds.maxLat) / 2;
+    west = [terrainBounds.minLon, midLat];
+    east = [terrainBounds.maxLon, midLat];
+    south = [midLon, terrainBounds.minLat];
+    north = [midLon, terrainBounds.maxLat];
+  }
+  return {
+    x: haversineDistance(west[1], west[0], east[1], east[0]) / width,
+    y: haversineDistance(south[1], south[0], north[1], north[0]) / height,
+  };
+}
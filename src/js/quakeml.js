@@ -0,0 +1,141 @@
+// quakeml.js
+
+/**
+ * QuakeML 1.2 (BED) parser.
+ *
+ * Maps each <event> to the internal event model (see dataSources.js), using the
+ * preferred origin and magnitude when they are referenced and the first ones
+ * otherwise. Origin depths are converted from meters to km.
+ */
+
+import { toEpoch } from './dataSources';
+
+function children(element, name) {
+  if (!element) return [];
+  return Array.from(element.children).filter((child) => child.localName === name);
+}
+
+function child(element, name) {
+  return children(element, name)[0] || null;
+}
+
+function text(element, ...path) {
+  let current = element;
+  for (const name of path) {
+    current = child(current, name);
+    if (!current) return null;
+  }
+  const value = current.textContent.trim();
+  return value === '' ? null : value;
+}
+
+function number(element, ...path) {
+  const value = text(element, ...path);
+  if (value === null) return null;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function findPreferred(event, name, preferredId) {
+  const candidates = children(event, name);
+  if (preferredId) {
+    const preferred = candidates.find((el) => el.getAttribute('publicID') === preferredId);
+    if (preferred) return preferred;
+  }
+  return candidates[0] || null;
+}
+
+function eventPlace(event) {
+  const descriptions = children(event, 'description');
+  const regionName = descriptions.find((d) => text(d, 'type') === 'region name');
+  return text(regionName || descriptions[0], 'text');
+}
+
+function eventId(event) {
+  // USGS and other ANSS catalogs annotate events with catalog:eventsource/eventid
+  const attrs = Array.from(event.attributes);
+  const attr = (name) => {
+    const found = attrs.find((a) => a.localName === name && a.name.includes(':'));
+    return found ? found.value : null;
+  };
+  const source = attr('eventsource');
+  const id = attr('eventid');
+  if (source && id) return `${source}${id}`;
+  return event.getAttribute('publicID');
+}
+
+function originUncertainty(origin) {
+  if (!origin) return null;
+  const uncertainty = {
+    horizontal: number(origin, 'originUncertainty', 'horizontalUncertainty'),
+    minHorizontal: number(origin, 'originUncertainty', 'minHorizontalUncertainty'),
+    maxHorizontal: number(origin, 'originUncertainty', 'maxHorizontalUncertainty'),
+    azimuthMaxHorizontal: number(origin, 'originUncertainty', 'azimuthMaxHorizontalUncertainty'),
+    latitude: number(origin, 'latitude', 'uncertainty'),
+    longitude: number(origin, 'longitude', 'uncertainty'),
+    depth: number(origin, 'depth', 'uncertainty'),
+    time: number(origin, 'time', 'uncertainty'),
+  };
+  // Horizontal and depth values are meters, latitude/longitude degrees, time seconds
+  return Object.values(uncertainty).some((value) => value !== null) ? uncertainty : null;
+}
+
+/**
+ * Parses a QuakeML document into event features.
+ *
+ * @param {string} xml - QuakeML document, e.g. an FDSN `format=xml` response or a local file
+ * @param {Object} [options]
+ * @param {string} [options.source] - Source id stored on each feature
+ * @param {string} [options.sourceName] - Source label stored on each feature
+ * @returns {Array<Object>} Features in document order
+ */
+export function parseQuakeML(xml, { source = 'quakeml', sourceName = 'QuakeML' } = {}) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`Invalid QuakeML: ${parserError.textContent.trim()}`);
+  }
+
+  const features = [];
+  Array.from(doc.getElementsByTagNameNS('*', 'event')).forEach((event) => {
+    const origin = findPreferred(event, 'origin', text(event, 'preferredOriginID'));
+    const magnitude = findPreferred(event, 'magnitude', text(event, 'preferredMagnitudeID'));
+    if (!origin) return;
+
+    const lat = number(origin, 'latitude', 'value');
+    const lon = number(origin, 'longitude', 'value');
+    const depthMeters = number(origin, 'depth', 'value');
+    // QuakeML times are UTC, often without the "Z"
+    const time = toEpoch(text(origin, 'time', 'value'));
+    if (lat === null || lon === null || time === null) return;
+
+    const updated = toEpoch(
+      text(event, 'creationInfo', 'creationTime') || text(origin, 'creationInfo', 'creationTime')
+    );
+
+    features.push({
+      id: eventId(event),
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [lon, lat, depthMeters === null ? null : depthMeters / 1000],
+      },
+      properties: {
+        time,
+        updated,
+        mag: number(magnitude, 'mag', 'value'),
+        magType: text(magnitude, 'type'),
+        magUncertainty: number(magnitude, 'mag', 'uncertainty'),
+        place: eventPlace(event),
+        type: text(event, 'type') || 'earthquake',
+        typeCertainty: text(event, 'typeCertainty'),
+        status: text(origin, 'evaluationStatus') || text(origin, 'evaluationMode'),
+        uncertainty: originUncertainty(origin),
+        url: null,
+        source,
+        sourceName,
+      },
+    });
+  });
+  return features;
+}
@@ -0,0 +1,371 @@
+// terrainTiles.js
+
+import { Box3, BufferAttribute, BufferGeometry, Frustum, Group, Matrix4, Mesh, Vector3 } from 'three';
+
+// Cells per tile side; every level uses the same grid, only the pixel stride changes
+const TILE_CELLS = 64;
+// A tile is split when the camera is closer than this many tile widths
+const SPLIT_DISTANCE = 1.5;
+// Loaded tiles kept around for when the camera comes back
+const MAX_CACHED_TILES = 300;
+// Tile requests in flight at once
+const MAX_PENDING = 2;
+// Highest summit on Earth, for bounding tiles that are not loaded yet
+const MAX_ELEVATION_METERS = 9000;
+
+/**
+ * Quadtree of terrain tiles loaded on demand from a GeoTIFF DEM.
+ *
+ * The root tile covers the whole DEM at the coarsest stride; each level halves
+ * the stride down to one vertex per DEM pixel. `update(camera)` picks the
+ * tiles for the current view every frame, requests missing ones from the
+ * terrain worker nearest first, and keeps showing the parent until all four
+ * children are ready. Tiles outside the view frustum are never requested.
+ *
+ * Local coordinates match a PlaneGeometry(width, height, width - 1, height - 1)
+ * with elevation in meters along -z, so the group is placed like the former
+ * single terrain mesh. `setElevationScale` turns meters into scene units.
+ */
+export class TerrainTiles {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - DEM URL, resolved against the page
+   * @param {Material} options.material - Shared by all tiles
+   */
+  constructor({ url, material }) {
+    this.url = new URL(url, window.location.href).href;
+    this.material = material;
+    this.group = new Group();
+    this.root = null;
+    this.nodes = new Map(); // id -> node
+    this.pending = new Map(); // id -> node, requested from the worker
+    this.samples = new Map(); // id -> { resolve, reject } of elevation samples
+    this.sampleId = 0;
+    this.queue = [];
+    this.loadedCount = 0;
+    this.frame = 0;
+    this.onProgress = null;
+
+    this.frustum = new Frustum();
+    this.projectionView = new Matrix4();
+    this.scratchBox = new Box3();
+  }
+
+  /**
+   * Opens the DEM and loads the root tile.
+   *
+   * @returns {Promise<Object>} { width, height, bbox, geoKeys } of the DEM
+   */
+  open() {
+    this.worker = new Worker(new URL('./terrainWorker.js', import.meta.url));
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      const error = new Error(event.message || 'Terrain worker failed');
+      if (this.openReject) this.openReject(error);
+      console.error(error);
+    };
+
+    return new Promise((resolve, reject) => {
+      this.openResolve = resolve;
+      this.openReject = reject;
+      this.report('Opening elevation model', null);
+      this.worker.postMessage({ type: 'open', url: this.url });
+    });
+  }
+
+  report(stage, progress) {
+    if (this.onProgress) this.onProgress({ stage, progress });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'opened') {
+      this.info = message;
+      this.setupRoot(message.width, message.height);
+      this.report('Loading terrain tiles', null);
+      this.request(this.root);
+      this.pump();
+    } else if (message.type === 'tile') {
+      const node = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (node) this.attachTile(node, message);
+      if (node === this.root && this.openResolve) {
+        this.openResolve(this.info);
+        this.openResolve = null;
+        this.openReject = null;
+      }
+      this.pump();
+    } else if (message.type === 'samples') {
+      const request = this.samples.get(message.id);
+      this.samples.delete(message.id);
+      if (request) request.resolve(message.elevations);
+    } else if (message.type === 'error') {
+      const error = new Error(message.message);
+      if (this.samples.has(message.id)) {
+        this.samples.get(message.id).reject(error);
+        this.samples.delete(message.id);
+        return;
+      }
+      if (message.id === null || (this.root && message.id === this.root.id)) {
+        if (this.openReject) this.openReject(error);
+        this.openResolve = null;
+        this.openReject = null;
+        return;
+      }
+      console.warn(`Terrain tile ${message.id} failed:`, message.message);
+      const node = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      if (node) node.failed = true;
+      this.pump();
+    }
+  }
+
+  setupRoot(width, height) {
+    this.width = width;
+    this.height = height;
+    let stride = 1;
+    while (TILE_CELLS * stride < Math.max(width - 1, height - 1)) stride *= 2;
+    this.root = this.createNode(0, 0, stride, null);
+  }
+
+  createNode(x0, y0, stride, parent) {
+    const id = `${stride}/${x0}/${y0}`;
+    const span = TILE_CELLS * stride;
+    const spacingX = this.width / (this.width - 1);
+    const spacingY = this.height / (this.height - 1);
+    // Local bounds, refined once the tile is loaded
+    const box = new Box3(
+      new Vector3(
+        x0 * spacingX - this.width / 2,
+        -(Math.min(y0 + span, this.height - 1) * spacingY - this.height / 2),
+        -MAX_ELEVATION_METERS
+      ),
+      new Vector3(
+        Math.min(x0 + span, this.width - 1) * spacingX - this.width / 2,
+        -(y0 * spacingY - this.height / 2),
+        MAX_ELEVATION_METERS
+      )
+    );
+    const node = { id, x0, y0, stride, parent, box, size: span * spacingX, children: null, mesh: null, lastUsed: 0 };
+    this.nodes.set(id, node);
+    return node;
+  }
+
+  getChildren(node) {
+    if (!node.children) {
+      const half = (TILE_CELLS * node.stride) / 2;
+      const stride = node.stride / 2;
+      node.children = [];
+      [[0, 0], [half, 0], [0, half], [half, half]].forEach(([dx, dy]) => {
+        const x0 = node.x0 + dx;
+        const y0 = node.y0 + dy;
+        // Quadrants past the DEM edge do not exist
+        if (x0 < this.width - 1 && y0 < this.height - 1) {
+          node.children.push(this.createNode(x0, y0, stride, node));
+        }
+      });
+    }
+    return node.children;
+  }
+
+  request(node) {
+    if (node.mesh || node.failed || this.pending.has(node.id) || this.queue.includes(node)) return;
+    this.queue.push(node);
+  }
+
+  /**
+   * Sends queued requests to the worker, nearest tile first.
+   */
+  pump() {
+    this.queue.sort((a, b) => (a.distance || 0) - (b.distance || 0));
+    while (this.pending.size < MAX_PENDING && this.queue.length) {
+      const node = this.queue.shift();
+      this.pending.set(node.id, node);
+      this.worker.postMessage({
+        type: 'tile',
+        id: node.id,
+        x0: node.x0,
+        y0: node.y0,
+        stride: node.stride,
+        cells: TILE_CELLS,
+      });
+    }
+  }
+
+  attachTile(node, tile) {
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new BufferAttribute(tile.positions, 3));
+    geometry.setAttribute('normal', new BufferAttribute(tile.normals, 3));
+    geometry.setAttribute('uv', new BufferAttribute(tile.uvs, 2));
+    geometry.setIndex(new BufferAttribute(tile.indices, 1));
+    geometry.computeBoundingSphere();
+
+    node.mesh = new Mesh(geometry, this.material);
+    node.mesh.visible = false;
+    node.mesh.userData = { isTerrain: true, tileId: node.id };
+    if (isFinite(tile.minZ)) {
+      node.box.min.z = tile.minZ;
+      node.box.max.z = tile.maxZ;
+    }
+    node.lastUsed = this.frame;
+    this.group.add(node.mesh);
+    this.loadedCount += 1;
+  }
+
+  isVisible(node) {
+    this.scratchBox.copy(node.box).applyMatrix4(this.group.matrixWorld);
+    return this.frustum.intersectsBox(this.scratchBox);
+  }
+
+  distanceTo(node, cameraPosition) {
+    this.scratchBox.copy(node.box).applyMatrix4(this.group.matrixWorld);
+    return this.scratchBox.distanceToPoint(cameraPosition);
+  }
+
+  /**
+   * Whether every tile requested by the last update() has loaded.
+   */
+  isIdle() {
+    return this.pending.size === 0 && this.queue.length === 0;
+  }
+
+  /**
+   * Picks the tiles to draw for the camera and requests missing ones.
+   */
+  update(camera) {
+    if (!this.root) return;
+    this.frame += 1;
+    this.group.updateMatrixWorld();
+    camera.updateMatrixWorld();
+    this.projectionView.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.projectionView);
+
+    const selected = [];
+    this.select(this.root, camera.position, selected);
+
+    const visible = new Set(selected);
+    this.nodes.forEach((node) => {
+      if (node.mesh) node.mesh.visible = visible.has(node);
+    });
+    selected.forEach((node) => {
+      node.lastUsed = this.frame;
+    });
+
+    // Requests for tiles no longer needed are dropped before they are sent
+    this.queue = this.queue.filter((node) => node.neededAt === this.frame);
+    this.pump();
+    this.evict();
+  }
+
+  select(node, cameraPosition, selected) {
+    node.distance = this.distanceTo(node, cameraPosition);
+    if (node !== this.root && !this.isVisible(node)) {
+      // Off screen: keep what is loaded, request nothing
+      if (node.mesh) selected.push(node);
+      return;
+    }
+    node.neededAt = this.frame;
+    if (!node.mesh) this.request(node);
+
+    const split = node.stride > 1 && node.distance < node.size * SPLIT_DISTANCE;
+    if (!split) {
+      if (node.mesh) selected.push(node);
+      return;
+    }
+
+    const children = this.getChildren(node);
+    const ready = children.every((child) => child.mesh || child.failed);
+    if (ready) {
+      children.forEach((child) => {
+        if (child.failed) {
+          // Fall back to the parent's resolution for tiles that could not be read
+          if (node.mesh && !selected.includes(node)) selected.push(node);
+        } else {
+          this.select(child, cameraPosition, selected);
+        }
+      });
+    } else {
+      // Draw this level until every child is ready, then swap in one go
+      if (node.mesh) selected.push(node);
+      children.forEach((child) => {
+        child.distance = this.distanceTo(child, cameraPosition);
+        if (this.isVisible(child)) {
+          child.neededAt = this.frame;
+          this.request(child);
+        }
+      });
+    }
+  }
+
+  evict() {
+    if (this.loadedCount <= MAX_CACHED_TILES) return;
+    const candidates = [];
+    this.nodes.forEach((node) => {
+      if (node.mesh && !node.mesh.visible && node !== this.root) candidates.push(node);
+    });
+    candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+    candidates.slice(0, this.loadedCount - MAX_CACHED_TILES).forEach((node) => {
+      this.group.remove(node.mesh);
+      node.mesh.geometry.dispose();
+      node.mesh = null;
+      this.loadedCount -= 1;
+    });
+  }
+
+  /**
+   * Elevations of the DEM surface under points given as fractions across the
+   * terrain (see terrainFraction), interpolated between full-resolution pixels
+   * the same way the finest tiles are drawn.
+   *
+   * @param {Array<{u: number, v: number}>} points
+   * @returns {Promise<Float32Array>} Meters, NaN outside the DEM or on nodata
+   */
+  sampleElevations(points) {
+    if (!this.worker || !this.root) {
+      return Promise.reject(new Error('Terrain is not open'));
+    }
+    const pixels = new Float64Array(points.length * 2);
+    points.forEach(({ u, v }, i) => {
+      pixels[i * 2] = u * (this.width - 1);
+      pixels[i * 2 + 1] = (1 - v) * (this.height - 1);
+    });
+    const id = `sample/${this.sampleId++}`;
+    return new Promise((resolve, reject) => {
+      this.samples.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'sample', id, points: pixels }, [pixels.buffer]);
+    });
+  }
+
+  /**
+   * Vertical scale of the terrain, in scene units per meter of elevation.
+   * Applied to the whole group, so loaded tiles do not need rebuilding.
+   */
+  setElevationScale(scale) {
+    this.group.scale.z = scale;
+  }
+
+  getObject3D() {
+    return this.group;
+  }
+
+  /**
+   * Terminates the worker and frees all tile geometry. The shared material is
+   * left to its owner.
+   */
+  dispose() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (this.openReject) this.openReject(new DOMException('Terrain load aborted', 'AbortError'));
+    this.openResolve = null;
+    this.openReject = null;
+    this.samples.forEach(({ reject }) => reject(new DOMException('Terrain load aborted', 'AbortError')));
+    this.samples.clear();
+    this.nodes.forEach((node) => {
+      if (node.mesh) node.mesh.geometry.dispose();
+    });
+    this.nodes.clear();
+    this.pending.clear();
+    this.queue = [];
+    this.group.clear();
+    this.root = null;
+  }
+}
@@ -0,0 +1,255 @@
+// terrainWorker.js
+
+/**
+ * Web Worker that reads a GeoTIFF DEM tile by tile and builds the tile meshes
+ * off the main thread (see terrainTiles.js).
+ *
+ * The DEM is opened with range requests, so a tile only decodes the raster
+ * blocks inside its window. Coarse tiles read from the file's overviews when
+ * it has them.
+ *
+ * Requests:
+ *   { type: 'open', url }  url must be absolute
+ *   { type: 'tile', id, x0, y0, stride, cells }
+ *   { type: 'sample', id, points }  points: Float64Array of pixel x, y pairs
+ * Replies:
+ *   { type: 'opened', width, height, bbox, geoKeys }
+ *   { type: 'tile', id, positions, normals, uvs, indices, minZ, maxZ }
+ *   { type: 'samples', id, elevations }  meters, NaN outside the DEM or on nodata
+ *   { type: 'error', id, message }  id is null for open errors
+ *
+ * Tile vertices are in the frame of a PlaneGeometry(width, height, width - 1,
+ * height - 1) covering the whole DEM, so tiles line up with each other and the
+ * overlay texture. Elevations stay in meters along -z; vertical exaggeration
+ * is applied by scaling the tile group. Buffers are transferred, not copied.
+ */
+
+// Same build the page loads; it defines the GeoTIFF global in workers too
+const GEOTIFF_URL = 'https://cdn.jsdelivr.net/npm/geotiff';
+
+importScripts(GEOTIFF_URL);
+
+// Elevation value marking holes, in addition to the file's GDAL nodata tag
+const DEFAULT_NODATA = -9999;
+const SKIRT_MARGIN_METERS = 10;
+// Pixel block size used to batch elevation samples into one read
+const SAMPLE_BLOCK = 64;
+
+let dem = null;
+
+async function open(url) {
+  const tiff = await GeoTIFF.fromUrl(url);
+  const image = await tiff.getImage();
+  const width = image.getWidth();
+  const height = image.getHeight();
+
+  // Overviews ordered from finest to coarsest, with their downsampling factor
+  const overviews = [];
+  const count = await tiff.getImageCount();
+  for (let i = 1; i < count; i++) {
+    const overview = await tiff.getImage(i);
+    overviews.push({ image: overview, factor: width / overview.getWidth() });
+  }
+
+  dem = {
+    image,
+    width,
+    height,
+    overviews,
+    nodataValues: [DEFAULT_NODATA, image.getGDALNoData()].filter((value) => value !== null),
+  };
+  return { width, height, bbox: image.getBoundingBox(), geoKeys: image.getGeoKeys() };
+}
+
+/**
+ * The coarsest raster whose pixels are still at most `stride` DEM pixels wide.
+ */
+function sourceFor(stride) {
+  let source = { image: dem.image, factor: 1 };
+  dem.overviews.forEach((overview) => {
+    if (overview.factor <= stride) source = overview;
+  });
+  return source;
+}
+
+/**
+ * Builds one tile: a grid of up to (cells + 1)^2 vertices spaced `stride` DEM
+ * pixels apart starting at pixel (x0, y0), with a skirt hanging from its
+ * edges so coarser neighbours never show a crack.
+ */
+async function buildTile({ x0, y0, stride, cells }) {
+  const { width, height, nodataValues } = dem;
+  const columns = Math.min(cells, Math.ceil((width - 1 - x0) / stride)) + 1;
+  const rows = Math.min(cells, Math.ceil((height - 1 - y0) / stride)) + 1;
+  // The last row/column is clamped onto the DEM edge
+  const pixelX = (i) => Math.min(x0 + i * stride, width - 1);
+  const pixelY = (j) => Math.min(y0 + j * stride, height - 1);
+
+  const { image, factor } = sourceFor(stride);
+  const sourceWidth = image.getWidth();
+  const sourceHeight = image.getHeight();
+  const toSource = (pixel, size) => Math.min(Math.floor(pixel / factor), size - 1);
+  const window = [
+    toSource(x0, sourceWidth),
+    toSource(y0, sourceHeight),
+    toSource(pixelX(columns - 1), sourceWidth) + 1,
+    toSource(pixelY(rows - 1), sourceHeight) + 1,
+  ];
+  const data = await image.readRasters({ window, interleave: true });
+  const windowWidth = window[2] - window[0];
+
+  const gridCount = columns * rows;
+  const edgeCount = 2 * (columns + rows) - 4;
+  const vertexCount = gridCount + edgeCount;
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const valid = new Uint8Array(vertexCount);
+  const spacingX = width / (width - 1);
+  const spacingY = height / (height - 1);
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+
+  for (let j = 0; j < rows; j++) {
+    const py = pixelY(j);
+    const sy = toSource(py, sourceHeight) - window[1];
+    for (let i = 0; i < columns; i++) {
+      const px = pixelX(i);
+      const sx = toSource(px, sourceWidth) - window[0];
+      const value = data[sy * windowWidth + sx];
+      const v = j * columns + i;
+      // NaN never equals itself, so it is nodata as well
+      const isValid = value === value && !nodataValues.includes(value);
+      const z = -value;
+      positions[v * 3] = px * spacingX - width / 2;
+      positions[v * 3 + 1] = -(py * spacingY - height / 2);
+      positions[v * 3 + 2] = z;
+      normals[v * 3 + 2] = 1;
+      uvs[v * 2] = px / (width - 1);
+      uvs[v * 2 + 1] = 1 - py / (height - 1);
+      valid[v] = isValid ? 1 : 0;
+      if (isValid) {
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
+      }
+    }
+  }
+
+  const indices = [];
+  const pushTriangle = (a, b, c) => {
+    if (valid[a] && valid[b] && valid[c]) indices.push(a, b, c);
+  };
+  for (let j = 0; j < rows - 1; j++) {
+    for (let i = 0; i < columns - 1; i++) {
+      const a = i + columns * j;
+      const b = i + columns * (j + 1);
+      const c = i + 1 + columns * (j + 1);
+      const d = i + 1 + columns * j;
+      pushTriangle(a, b, d);
+      pushTriangle(b, c, d);
+    }
+  }
+
+  // Skirt: the edge ring duplicated and pushed down by more than the tile's
+  // relief, so height differences to a neighbour at another level stay covered
+  // (with some margin for overviews, whose pixels are averaged)
+  const skirtDepth = (isFinite(maxZ - minZ) ? maxZ - minZ : 0) + SKIRT_MARGIN_METERS;
+  const ring = [];
+  for (let i = 0; i < columns - 1; i++) ring.push(i);
+  for (let j = 0; j < rows - 1; j++) ring.push(columns - 1 + j * columns);
+  for (let i = columns - 1; i > 0; i--) ring.push(i + (rows - 1) * columns);
+  for (let j = rows - 1; j > 0; j--) ring.push(j * columns);
+  ring.forEach((top, k) => {
+    const bottom = gridCount + k;
+    positions[bottom * 3] = positions[top * 3];
+    positions[bottom * 3 + 1] = positions[top * 3 + 1];
+    positions[bottom * 3 + 2] = positions[top * 3 + 2] + skirtDepth;
+    normals[bottom * 3 + 2] = 1;
+    uvs[bottom * 2] = uvs[top * 2];
+    uvs[bottom * 2 + 1] = uvs[top * 2 + 1];
+    valid[bottom] = valid[top];
+  });
+  ring.forEach((top, k) => {
+    const nextTop = ring[(k + 1) % ring.length];
+    const bottom = gridCount + k;
+    const nextBottom = gridCount + ((k + 1) % ring.length);
+    pushTriangle(top, bottom, nextTop);
+    pushTriangle(nextTop, bottom, nextBottom);
+  });
+
+  return { positions, normals, uvs, indices: Uint32Array.from(indices), minZ, maxZ };
+}
+
+/**
+ * Bilinear elevation at fractional pixel positions, read at full resolution.
+ * Points are grouped by block so nearby events share one raster read.
+ */
+async function sampleElevations(points) {
+  const { image, width, height, nodataValues } = dem;
+  const count = points.length / 2;
+  const elevations = new Float32Array(count).fill(NaN);
+  const groups = new Map();
+  for (let k = 0; k < count; k++) {
+    const px = points[k * 2];
+    const py = points[k * 2 + 1];
+    if (!(px >= 0 && py >= 0 && px <= width - 1 && py <= height - 1)) continue;
+    const key = `${Math.floor(px / SAMPLE_BLOCK)}/${Math.floor(py / SAMPLE_BLOCK)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(k);
+  }
+
+  for (const members of groups.values()) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    members.forEach((k) => {
+      minX = Math.min(minX, Math.floor(points[k * 2]));
+      minY = Math.min(minY, Math.floor(points[k * 2 + 1]));
+      maxX = Math.max(maxX, Math.floor(points[k * 2]));
+      maxY = Math.max(maxY, Math.floor(points[k * 2 + 1]));
+    });
+    const window = [minX, minY, Math.min(maxX + 2, width), Math.min(maxY + 2, height)];
+    const data = await image.readRasters({ window, interleave: true });
+    const windowWidth = window[2] - window[0];
+    const at = (x, y) => {
+      const value = data[(Math.min(y, window[3] - 1) - window[1]) * windowWidth + Math.min(x, window[2] - 1) - window[0]];
+      return value === value && !nodataValues.includes(value) ? value : NaN;
+    };
+
+    members.forEach((k) => {
+      const px = points[k * 2];
+      const py = points[k * 2 + 1];
+      const x = Math.floor(px);
+      const y = Math.floor(py);
+      const fx = px - x;
+      const fy = py - y;
+      const top = at(x, y) * (1 - fx) + at(x + 1, y) * fx;
+      const bottom = at(x, y + 1) * (1 - fx) + at(x + 1, y + 1) * fx;
+      elevations[k] = top * (1 - fy) + bottom * fy;
+    });
+  }
+  return elevations;
+}
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  try {
+    if (request.type === 'open') {
+      self.postMessage({ type: 'opened', ...(await open(request.url)) });
+    } else if (request.type === 'tile') {
+      const tile = await buildTile(request);
+      self.postMessage({ type: 'tile', id: request.id, ...tile }, [
+        tile.positions.buffer,
+        tile.normals.buffer,
+        tile.uvs.buffer,
+        tile.indices.buffer,
+      ]);
+    } else if (request.type === 'sample') {
+      const elevations = await sampleElevations(request.points);
+      self.postMessage({ type: 'samples', id: request.id, elevations }, [elevations.buffer]);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: request.id ?? null, message: error.message });
+  }
+};
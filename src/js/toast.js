@@ -0,0 +1,43 @@
+// toast.js
+
+/**
+ * Shows a short-lived notification in the top center of the screen
+ */
+export function showToast(message, { duration = 8000 } = {}) {
+  let stack = document.getElementById('toast-stack');
+  if (!stack) {
+    stack = document.createElement('div');
+    stack.id = 'toast-stack';
+    stack.style.position = 'absolute';
+    stack.style.top = '10px';
+    stack.style.left = '50%';
+    stack.style.transform = 'translateX(-50%)';
+    stack.style.display = 'flex';
+    stack.style.flexDirection = 'column';
+    stack.style.alignItems = 'center';
+    stack.style.gap = '6px';
+    stack.style.zIndex = '1100';
+    stack.style.pointerEvents = 'none';
+    document.body.appendChild(stack);
+  }
+
+  const toast = document.createElement('div');
+  toast.textContent = message;
+  toast.style.backgroundColor = 'rgba(180, 30, 30, 0.9)';
+  toast.style.color = 'white';
+  toast.style.padding = '8px 14px';
+  toast.style.borderRadius = '5px';
+  toast.style.fontSize = '13px';
+  toast.style.fontFamily = 'Futura, Futura PT, Trebuchet MS, sans-serif';
+  toast.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.5)';
+  toast.style.transition = 'opacity 0.5s';
+  stack.appendChild(toast);
+
+  setTimeout(() => {
+    toast.style.opacity = '0';
+    // Remove after the fade-out transition
+    setTimeout(() => toast.remove(), 500);
+  }, duration);
+
+  return toast;
+}
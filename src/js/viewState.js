@@ -0,0 +1,134 @@
+// viewState.js
+
+/**
+ * View state in the URL hash, so a view survives a reload and can be shared
+ * as a link.
+ *
+ * The hash is a query string, e.g.
+ *   #site=spurr&source=usgs-avo&start=2024-05-01&end=2024-05-08&time=1714600000000
+ *   &camera=812.4,390.1,655&target=0,0,0&event=ak024abc&mag=2,&xtypes=explosion
+ *   &opacity=0.8&bloom=1.2
+ * Every field is optional; parseViewState() drops the ones that do not parse.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseNumber(value) {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseVector(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(parseNumber);
+  return parts.length === 3 && parts.every(part => part !== null) ? parts : null;
+}
+
+// "low,high" with either side empty when open
+function parseRange(value) {
+  if (!value) return [null, null];
+  const [low = '', high = ''] = value.split(',');
+  return [parseNumber(low), parseNumber(high)];
+}
+
+function parseList(value) {
+  return value ? value.split(',').filter(Boolean).map(decodeURIComponent) : [];
+}
+
+function formatRange(low, high) {
+  return low === null && high === null ? null : `${low === null ? '' : low},${high === null ? '' : high}`;
+}
+
+// Scene coordinates to 0.1 unit, plenty for a camera position
+function formatVector(vector) {
+  return vector.map(value => parseFloat(value.toFixed(1))).join(',');
+}
+
+/**
+ * Reads a view state from a location hash.
+ *
+ * @returns {{site?: string, sourceId?: string, startDate?: string, endDate?: string,
+ *   time?: number, timeWindow?: {start: number, end: number},
+ *   camera?: {position: number[], target: number[]}, selectedEventId?: string,
+ *   filter?: Object, terrainOpacity?: number, bloomStrength?: number}}
+ */
+export function parseViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+
+  if (params.get('site')) state.site = params.get('site');
+  if (params.get('source')) state.sourceId = params.get('source');
+  const start = params.get('start');
+  const end = params.get('end');
+  if (DATE_PATTERN.test(start) && DATE_PATTERN.test(end) && start <= end) {
+    state.startDate = start;
+    state.endDate = end;
+  }
+
+  const time = parseNumber(params.get('time'));
+  if (time !== null) state.time = time;
+  const [windowStart, windowEnd] = parseRange(params.get('window'));
+  if (windowStart !== null && windowEnd !== null && windowStart < windowEnd) {
+    state.timeWindow = { start: windowStart, end: windowEnd };
+  }
+
+  const position = parseVector(params.get('camera'));
+  const target = parseVector(params.get('target'));
+  if (position && target) state.camera = { position, target };
+
+  if (params.get('event')) state.selectedEventId = params.get('event');
+
+  const [minMagnitude, maxMagnitude] = parseRange(params.get('mag'));
+  const [minDepth, maxDepth] = parseRange(params.get('depth'));
+  const excludedTypes = parseList(params.get('xtypes'));
+  const excludedStatuses = parseList(params.get('xstatus'));
+  if ([minMagnitude, maxMagnitude, minDepth, maxDepth].some(value => value !== null) ||
+      excludedTypes.length || excludedStatuses.length) {
+    state.filter = { minMagnitude, maxMagnitude, minDepth, maxDepth, excludedTypes, excludedStatuses };
+  }
+
+  const opacity = parseNumber(params.get('opacity'));
+  if (opacity !== null) state.terrainOpacity = Math.min(Math.max(opacity, 0), 1);
+  const bloom = parseNumber(params.get('bloom'));
+  if (bloom !== null) state.bloomStrength = Math.max(bloom, 0);
+
+  return state;
+}
+
+/**
+ * Writes a view state (as returned by parseViewState) to a hash, leaving out
+ * fields that are unset.
+ */
+export function serializeViewState(state) {
+  const params = new URLSearchParams();
+  const set = (key, value) => {
+    if (value !== null && value !== undefined && value !== '') params.set(key, value);
+  };
+
+  set('site', state.site);
+  set('source', state.sourceId);
+  set('start', state.startDate);
+  set('end', state.endDate);
+  if (state.time !== null && state.time !== undefined) set('time', Math.round(state.time));
+  if (state.timeWindow) set('window', formatRange(Math.round(state.timeWindow.start), Math.round(state.timeWindow.end)));
+  if (state.camera) {
+    set('camera', formatVector(state.camera.position));
+    set('target', formatVector(state.camera.target));
+  }
+  set('event', state.selectedEventId);
+
+  const filter = state.filter;
+  if (filter) {
+    set('mag', formatRange(filter.minMagnitude, filter.maxMagnitude));
+    set('depth', formatRange(filter.minDepth, filter.maxDepth));
+    if (filter.excludedTypes.length) set('xtypes', filter.excludedTypes.map(encodeURIComponent).join(','));
+    if (filter.excludedStatuses.length) set('xstatus', filter.excludedStatuses.map(encodeURIComponent).join(','));
+  }
+
+  if (state.terrainOpacity !== undefined) set('opacity', parseFloat(state.terrainOpacity.toFixed(2)));
+  if (state.bloomStrength !== undefined) set('bloom', parseFloat(state.bloomStrength.toFixed(2)));
+
+  // Commas separate values within a field and are safe in a hash
+  return `#${params.toString().replace(/%2C/g, ',')}`;
+}
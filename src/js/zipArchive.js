@@ -0,0 +1,97 @@
+// zipArchive.js
+
+/**
+ * Minimal ZIP writer for exporting frame sequences.
+ *
+ * Entries are stored without compression: PNG data is already deflated, so
+ * compressing again would only cost time. Sizes and offsets are 32 bit, which
+ * limits an archive to 4 GB and 65535 entries.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Builds a ZIP archive from `files` ([{ name, data, crc }]). `data` is a
+ * Uint8Array, or a Blob with its `crc` given so large entries can stay out of
+ * memory (the browser may keep Blobs on disk).
+ *
+ * @returns {Blob}
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data, crc = crc32(data) }) => {
+    const nameBytes = encoder.encode(name);
+    const size = data instanceof Blob ? data.size : data.length;
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // Central directory header
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + size;
+  });
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
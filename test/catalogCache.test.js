@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { CatalogCache, missingSpans } from '../src/js/catalogCache';
+
+describe('missingSpans', () => {
+  it('returns the whole range when nothing is cached', () => {
+    expect(missingSpans(0, 100, [])).toEqual([{ start: 0, end: 100 }]);
+  });
+
+  it('returns the gaps between, before and after cached windows', () => {
+    const windows = [{ start: 40, end: 60 }, { start: 10, end: 20 }];
+    expect(missingSpans(0, 100, windows)).toEqual([
+      { start: 0, end: 10 },
+      { start: 20, end: 40 },
+      { start: 60, end: 100 },
+    ]);
+  });
+
+  it('handles overlapping windows and windows past the range', () => {
+    const windows = [{ start: -50, end: 30 }, { start: 20, end: 50 }, { start: 80, end: 200 }, { start: 300, end: 400 }];
+    expect(missingSpans(0, 100, windows)).toEqual([{ start: 50, end: 80 }]);
+  });
+
+  it('returns nothing when the range is covered', () => {
+    expect(missingSpans(0, 100, [{ start: 0, end: 50 }, { start: 50, end: 100 }])).toEqual([]);
+  });
+});
+
+describe('CatalogCache.transaction', () => {
+  // An IndexedDB stand-in whose transactions abort when a request fails
+  function fakeCache() {
+    const cache = new CatalogCache('test');
+    const tx = { objectStore: () => ({}) };
+    cache.open = async () => ({ transaction: () => tx });
+    return { cache, tx };
+  }
+
+  it('rejects with the callback error only', async () => {
+    const { cache, tx } = fakeCache();
+    const failure = new Error('DataCloneError');
+    const result = cache.transaction('readwrite', async () => {
+      tx.error = failure;
+      tx.onabort();
+      throw failure;
+    });
+    await expect(result).rejects.toBe(failure);
+    // An unobserved rejection would fail the run after this tick
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+
+  it('resolves with the callback result once the transaction completes', async () => {
+    const { cache, tx } = fakeCache();
+    const result = cache.transaction('readonly', async () => {
+      setTimeout(() => tx.oncomplete(), 0);
+      return 42;
+    });
+    await expect(result).resolves.toBe(42);
+  });
+});
+
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { filterToBounds, parseCsvCatalog, parseGeoJSONCatalog, readCatalogFile } from '../src/js/catalogImport';
+
+const fakeFile = (name, text) => ({ name, text: async () => text });
+
+describe('parseCsvCatalog', () => {
+  it('reads a USGS CSV export with quoted fields', () => {
+    const csv = [
+      'time,latitude,longitude,depth,mag,magType,place,type,id',
+      '2024-05-01T12:30:00.000Z,61.3,-152.25,5.2,1.8,ml,"80 km W of Anchorage, Alaska",earthquake,ak024abc',
+      '2024-05-02 08:00:00,61.1,-152.0,,,,"Quoted ""name""",explosion,',
+    ].join('\r\n');
+    const [first, second] = parseCsvCatalog(csv, {}, 'usgs.csv');
+    expect(first.id).toBe('ak024abc');
+    expect(first.geometry.coordinates).toEqual([-152.25, 61.3, 5.2]);
+    expect(first.properties).toMatchObject({ time: Date.UTC(2024, 4, 1, 12, 30), mag: 1.8, magType: 'ml', place: '80 km W of Anchorage, Alaska' });
+    // Space-separated times without a zone are UTC; missing ids come from the row
+    expect(second.id).toBe('usgs.csv-1');
+    expect(second.properties).toMatchObject({ time: Date.UTC(2024, 4, 2, 8), mag: null, place: 'Quoted "name"', type: 'explosion' });
+    expect(second.geometry.coordinates[2]).toBeNull();
+  });
+
+  it('maps custom column names case-insensitively and reads epoch times', () => {
+    const csv = 'Origin Time,LAT,LON,Magnitude\n1714566600,61.3,-152.25,2.1\n1714566600000,61.3,-152.25,2.2\n';
+    const features = parseCsvCatalog(csv, { time: 'origin time', latitude: 'lat', longitude: 'lon', mag: 'magnitude' });
+    expect(features.map(feature => feature.properties.time)).toEqual([1714566600000, 1714566600000]);
+    expect(features.map(feature => feature.properties.mag)).toEqual([2.1, 2.2]);
+  });
+
+  it('skips rows without a time or position', () => {
+    const csv = 'time,latitude,longitude\n,61,-152\n2024-05-01,abc,-152\n2024-05-01,61,-152\n';
+    expect(parseCsvCatalog(csv)).toHaveLength(1);
+  });
+
+  it('names the missing required columns', () => {
+    expect(() => parseCsvCatalog('when,latitude\n')).toThrow('CSV is missing column(s): time, longitude');
+  });
+});
+
+describe('parseGeoJSONCatalog', () => {
+  it('reads a FeatureCollection and fills in missing ids', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { id: 'a', geometry: { coordinates: [-152, 61, 3] }, properties: { time: 1714566600000, mag: 1 } },
+        { geometry: { coordinates: [-152, 61, 4] }, properties: { time: '2024-05-01T12:30:00', mag: 2 } },
+      ],
+    });
+    const features = parseGeoJSONCatalog(text, 'events.geojson');
+    expect(features.map(feature => feature.id)).toEqual(['a', `file-${Date.UTC(2024, 4, 1, 12, 30)}-61--152`]);
+    expect(features[1].properties.time).toBe(Date.UTC(2024, 4, 1, 12, 30));
+    expect(features[1].properties.source).toBe('file');
+  });
+
+  it('reads a single Feature', () => {
+    const text = JSON.stringify({ type: 'Feature', id: 'x', geometry: { coordinates: [1, 2, 3] }, properties: { time: 0 } });
+    expect(parseGeoJSONCatalog(text)).toHaveLength(1);
+  });
+});
+
+describe('readCatalogFile', () => {
+  it('detects the format from the name, then from the content', async () => {
+    const geojson = JSON.stringify({ type: 'FeatureCollection', features: [{ id: 'a', geometry: { coordinates: [1, 2, 3] }, properties: { time: 0 } }] });
+    expect(await readCatalogFile(fakeFile('events.json', geojson))).toHaveLength(1);
+    expect(await readCatalogFile(fakeFile('events.txt', geojson))).toHaveLength(1);
+    const csv = 'time,latitude,longitude\n2024-05-01,61,-152\n';
+    expect(await readCatalogFile(fakeFile('events.csv', csv))).toHaveLength(1);
+    expect(await readCatalogFile(fakeFile('events', csv))).toHaveLength(1);
+  });
+});
+
+describe('filterToBounds', () => {
+  it('keeps events inside a geographic footprint', () => {
+    const bounds = { minLat: 61, maxLat: 62, minLon: -153, maxLon: -152 };
+    const at = (lon, lat) => ({ geometry: { coordinates: [lon, lat, 0] } });
+    const features = [at(-152.5, 61.5), at(-151.9, 61.5), at(-152.5, 60.9), at(-153, 62)];
+    expect(filterToBounds(features, bounds)).toEqual([features[0], features[3]]);
+  });
+});
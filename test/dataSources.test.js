@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { FdsnEventSource, normalizeGeoJSONFeature, splitTimeWindows, toEpoch, toFdsnTime } from '../src/js/dataSources';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('toEpoch', () => {
+  it('reads times without a zone designator as UTC', () => {
+    expect(toEpoch('2024-05-01T12:30:00')).toBe(Date.UTC(2024, 4, 1, 12, 30));
+    expect(toEpoch('2024-05-01T12:30:00.250')).toBe(Date.UTC(2024, 4, 1, 12, 30, 0, 250));
+  });
+
+  it('keeps explicit zones', () => {
+    expect(toEpoch('2024-05-01T12:30:00Z')).toBe(Date.UTC(2024, 4, 1, 12, 30));
+    expect(toEpoch('2024-05-01T12:30:00+02:00')).toBe(Date.UTC(2024, 4, 1, 10, 30));
+    expect(toEpoch('2024-05-01T12:30:00-0800')).toBe(Date.UTC(2024, 4, 1, 20, 30));
+  });
+
+  it('reads dates as UTC midnight', () => {
+    expect(toEpoch('2024-05-01')).toBe(Date.UTC(2024, 4, 1));
+  });
+
+  it('passes numbers through and returns null for missing or invalid values', () => {
+    expect(toEpoch(1714566600000)).toBe(1714566600000);
+    [null, undefined, '', 'not a time'].forEach(value => expect(toEpoch(value)).toBeNull());
+  });
+});
+
+describe('toFdsnTime', () => {
+  it('formats UTC without milliseconds or suffix', () => {
+    expect(toFdsnTime(Date.UTC(2024, 4, 1, 12, 30, 5, 999))).toBe('2024-05-01T12:30:05');
+  });
+});
+
+describe('splitTimeWindows', () => {
+  it('covers the range with consecutive windows, the last one short', () => {
+    const start = Date.UTC(2024, 0, 1);
+    const windows = splitTimeWindows(start, start + 75 * DAY_MS, 30);
+    expect(windows).toEqual([
+      { start, end: start + 30 * DAY_MS },
+      { start: start + 30 * DAY_MS, end: start + 60 * DAY_MS },
+      { start: start + 60 * DAY_MS, end: start + 75 * DAY_MS },
+    ]);
+  });
+
+  it('accepts date strings as UTC', () => {
+    expect(splitTimeWindows('2024-01-01', '2024-01-03', 1)).toEqual([
+      { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 2) },
+      { start: Date.UTC(2024, 0, 2), end: Date.UTC(2024, 0, 3) },
+    ]);
+  });
+
+  it('returns no windows for an empty range', () => {
+    expect(splitTimeWindows(1000, 1000)).toEqual([]);
+  });
+});
+
+describe('normalizeGeoJSONFeature', () => {
+  it('normalizes USGS features', () => {
+    const feature = normalizeGeoJSONFeature({
+      id: 'ak024abc',
+      geometry: { coordinates: [-152.25, 61.3, 5.2] },
+      properties: { time: 1714566600000, updated: 1714567000000, mag: 1.8, magType: 'ml', place: '80 km W of Anchorage', type: 'earthquake', status: 'reviewed' },
+    }, { source: 'usgs', sourceName: 'USGS' });
+    expect(feature.id).toBe('ak024abc');
+    expect(feature.geometry.coordinates).toEqual([-152.25, 61.3, 5.2]);
+    expect(feature.properties).toMatchObject({ time: 1714566600000, mag: 1.8, magType: 'ml', source: 'usgs', sourceName: 'USGS' });
+  });
+
+  it('normalizes EMSC features with flat properties and UTC times', () => {
+    const feature = normalizeGeoJSONFeature({
+      geometry: { coordinates: [10.1, 45.2, -12] },
+      properties: { unid: '20240501_0000123', time: '2024-05-01T12:30:00.0', lastupdate: '2024-05-01T13:00:00Z', lat: 45.2, lon: 10.1, depth: 12, mag: '2.4', magtype: 'ml', flynn_region: 'NORTHERN ITALY', evtype: 'ke' },
+    }, { source: 'emsc', sourceName: 'EMSC' });
+    expect(feature.id).toBe('20240501_0000123');
+    expect(feature.geometry.coordinates).toEqual([10.1, 45.2, 12]);
+    expect(feature.properties).toMatchObject({
+      time: Date.UTC(2024, 4, 1, 12, 30),
+      updated: Date.UTC(2024, 4, 1, 13),
+      mag: 2.4,
+      magType: 'ml',
+      place: 'NORTHERN ITALY',
+      type: 'ke',
+    });
+  });
+
+  it('gives events without an id one derived from their origin', () => {
+    const normalize = (time, lon) => normalizeGeoJSONFeature({
+      geometry: { coordinates: [lon, 61.3, 5] },
+      properties: { time },
+    }, { source: 'usgs', sourceName: 'USGS' }).id;
+    expect(normalize(1714566600000, -152.25)).toBe('usgs-1714566600000-61.3--152.25');
+    // Stable across requests, distinct between events
+    expect(normalize(1714566600000, -152.25)).toBe(normalize(1714566600000, -152.25));
+    expect(normalize(1714566600000, -152.5)).not.toBe(normalize(1714566600000, -152.25));
+    expect(normalize(1714566601000, -152.25)).not.toBe(normalize(1714566600000, -152.25));
+  });
+});
+
+describe('FdsnEventSource.parseText', () => {
+  const source = new FdsnEventSource({ id: 'iris', name: 'IRIS', baseUrl: 'https://example.org/fdsnws/event/1/query', format: 'text' });
+
+  it('reads FDSN text rows as UTC', () => {
+    const [feature] = source.parse([
+      '#EventID|Time|Latitude|Longitude|Depth/km|Author|Catalog|Contributor|ContributorID|MagType|Magnitude|MagAuthor|EventLocationName|EventType',
+      '11812345|2024-05-01T12:30:00|61.3|-152.25|5.2|AK|AK|AK|11812345|ml|1.8|AK|SOUTHERN ALASKA|earthquake',
+    ].join('\n'));
+    expect(feature.id).toBe('11812345');
+    expect(feature.geometry.coordinates).toEqual([-152.25, 61.3, 5.2]);
+    expect(feature.properties).toMatchObject({ time: Date.UTC(2024, 4, 1, 12, 30), mag: 1.8, magType: 'ml', place: 'SOUTHERN ALASKA' });
+  });
+
+  it('keeps events apart when the EventID column is missing or empty', () => {
+    const withoutColumn = source.parse('#Time|Latitude|Longitude|Depth/km\n2024-05-01T12:30:00|61.3|-152.25|5\n2024-05-01T12:31:00|61.3|-152.25|5\n');
+    const withEmptyCells = source.parse('#EventID|Time|Latitude|Longitude\n|2024-05-01T12:30:00|61.3|-152.25\n|2024-05-01T12:31:00|61.4|-152.25\n');
+    [withoutColumn, withEmptyCells].forEach(features => {
+      expect(features.every(feature => feature.id)).toBe(true);
+      expect(new Set(features.map(feature => feature.id)).size).toBe(2);
+    });
+    expect(withoutColumn[0].id).toBe(`iris-${Date.UTC(2024, 4, 1, 12, 30)}-61.3--152.25`);
+  });
+});
@@ -0,0 +1,142 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { toEpoch } from '../src/js/dataSources';
+import { EarthquakeOverlay } from '../src/js/earthquakeOverlay';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BOUNDS = { minLat: 61, maxLat: 62, minLon: -153, maxLon: -152 };
+
+const quake = (id, time) => ({
+  id,
+  geometry: { coordinates: [-152.5, 61.5, 10] },
+  properties: { time, mag: 1, place: '', type: 'earthquake' },
+});
+
+// Returns `count(start, end)` events spread over each requested window
+function fakeSource(count, maxResults = 4) {
+  const fetchEvents = vi.fn(async (bounds, start, end) => {
+    const from = toEpoch(start);
+    const to = toEpoch(end);
+    const n = count(from, to);
+    return Array.from({ length: n }, (_, i) => quake(`${from}-${i}`, from + ((to - from) * i) / n));
+  });
+  return { id: 'fake', name: 'Fake', maxResults, fetchEvents };
+}
+
+function fakeCache(windows = []) {
+  return {
+    getWindows: vi.fn(async () => windows),
+    putWindow: vi.fn(async () => {}),
+    updateWindow: vi.fn(async () => {}),
+    splitWindow: vi.fn(async (record, middle) => [
+      { ...record, end: middle, features: [] },
+      { ...record, start: middle, features: [] },
+    ]),
+  };
+}
+
+describe('EarthquakeOverlay.loadData', () => {
+  it('splits windows that hit the result cap', async () => {
+    // 6 events per hour, capped at 4 per request
+    const dataSource = fakeSource((from, to) => Math.min(Math.round(((to - from) / HOUR_MS) * 3), 4));
+    const cache = fakeCache();
+    const overlay = new EarthquakeOverlay({ dataSource, cache });
+    const progress = [];
+    await overlay.loadData(BOUNDS, '2024-05-01T00:00:00Z', '2024-05-01T02:00:00Z', {
+      onProgress: report => progress.push(report),
+    });
+    expect(dataSource.fetchEvents).toHaveBeenCalledTimes(3);
+    expect(cache.putWindow).toHaveBeenCalledTimes(2);
+    expect(progress.at(-1).truncated).toBe(0);
+  });
+
+  it('reports and does not cache short windows still at the cap', async () => {
+    const dataSource = fakeSource(() => 4);
+    const cache = fakeCache();
+    const overlay = new EarthquakeOverlay({ dataSource, cache });
+    const progress = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const features = await overlay.loadData(BOUNDS, '2024-05-01T00:00:00Z', '2024-05-01T01:00:00Z', {
+      onProgress: report => progress.push(report),
+    });
+    expect(features).toHaveLength(4);
+    expect(cache.putWindow).not.toHaveBeenCalled();
+    expect(progress.at(-1).truncated).toBe(1);
+  });
+
+  it('splits cached windows whose refresh hits the cap', async () => {
+    const record = { start: Date.UTC(2024, 4, 1), end: Date.UTC(2024, 4, 1, 2), fetchedAt: Date.UTC(2024, 4, 2), features: [] };
+    // Two hours of revisions exceed the cap; one hour does not
+    const dataSource = fakeSource((from, to) => (to - from > HOUR_MS ? 4 : 2));
+    const cache = fakeCache([record]);
+    const overlay = new EarthquakeOverlay({ dataSource, cache });
+    const progress = [];
+    await overlay.loadData(BOUNDS, '2024-05-01T00:00:00Z', '2024-05-01T02:00:00Z', {
+      onProgress: report => progress.push(report),
+    });
+    expect(cache.splitWindow).toHaveBeenCalledWith(record, Date.UTC(2024, 4, 1, 1));
+    expect(cache.updateWindow).toHaveBeenCalledTimes(2);
+    expect(dataSource.fetchEvents.mock.calls.every(([, , , { query }]) => query.updatedafter)).toBe(true);
+    expect(progress.at(-1)).toMatchObject({ completed: 3, events: 4, truncated: 0 });
+  });
+
+  it('keeps the fetch time of short cached windows whose refresh hits the cap', async () => {
+    const record = { start: Date.UTC(2024, 4, 1), end: Date.UTC(2024, 4, 1, 1), fetchedAt: Date.UTC(2024, 4, 2), features: [] };
+    const dataSource = fakeSource(() => 4);
+    const cache = fakeCache([record]);
+    const overlay = new EarthquakeOverlay({ dataSource, cache });
+    const progress = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await overlay.loadData(BOUNDS, '2024-05-01T00:00:00Z', '2024-05-01T01:00:00Z', {
+      onProgress: report => progress.push(report),
+    });
+    expect(cache.splitWindow).not.toHaveBeenCalled();
+    expect(cache.updateWindow).not.toHaveBeenCalled();
+    expect(record.fetchedAt).toBe(Date.UTC(2024, 4, 2));
+    expect(progress.at(-1).truncated).toBe(1);
+  });
+});
+
+describe('EarthquakeOverlay.importData', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  // Resolves only when told to, and rejects when aborted like fetch does
+  function pendingSource() {
+    const pending = [];
+    const fetchEvents = vi.fn((bounds, start, end, { signal }) => new Promise((resolve, reject) => {
+      pending.push(resolve);
+      signal.addEventListener('abort', () => reject(signal.reason || new DOMException('Aborted', 'AbortError')));
+    }));
+    return { id: 'fake', name: 'Fake', maxResults: null, fetchEvents, pending };
+  }
+
+  it('stops a load still running so it cannot replace the import', async () => {
+    const dataSource = pendingSource();
+    const overlay = new EarthquakeOverlay({ dataSource });
+    const load = overlay.loadData(BOUNDS, '2024-05-01T00:00:00Z', '2024-05-02T00:00:00Z', { useCache: false });
+    await vi.waitFor(() => expect(dataSource.pending).toHaveLength(1));
+
+    const imported = [quake('file-1', Date.UTC(2024, 4, 1))];
+    overlay.importData(imported);
+    dataSource.pending[0]([quake('network-1', Date.UTC(2024, 4, 1, 6))]);
+    await expect(load).rejects.toMatchObject({ name: 'AbortError' });
+    expect(overlay.isLoading).toBe(false);
+    expect(overlay.earthquakeData.map(feature => feature.id)).toEqual(['file-1']);
+  });
+
+  it('stops live polling so network events are not mixed into the import', async () => {
+    vi.stubGlobal('requestAnimationFrame', () => 0);
+    vi.stubGlobal('cancelAnimationFrame', () => {});
+    const dataSource = pendingSource();
+    const overlay = new EarthquakeOverlay({ dataSource });
+    overlay.visualize = () => {};
+    overlay.startLive(BOUNDS);
+    await vi.waitFor(() => expect(dataSource.pending).toHaveLength(1));
+
+    overlay.importData([quake('file-1', Date.UTC(2024, 4, 1))], { merge: true });
+    dataSource.pending[0]([quake('network-1', Date.now())]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(overlay.isLive).toBe(false);
+    expect(overlay.earthquakeData.map(feature => feature.id)).toEqual(['file-1']);
+  });
+});
+
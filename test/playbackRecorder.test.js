@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { recordingFrameTimes } from '../src/js/playbackRecorder';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('recordingFrameTimes', () => {
+  it('steps through the range at speed days per second', () => {
+    // One day per second at 4 fps: a quarter day per frame
+    const times = recordingFrameTimes({ start: 0, end: DAY_MS }, 1, 4);
+    expect(times).toEqual([0, 0.25, 0.5, 0.75, 1].map(day => day * DAY_MS));
+  });
+
+  it('ends on the end of the range', () => {
+    const times = recordingFrameTimes({ start: 0, end: DAY_MS }, 1, 3);
+    expect(times).toHaveLength(4);
+    expect(times.at(-1)).toBe(DAY_MS);
+    expect(times[1]).toBeCloseTo(DAY_MS / 3);
+  });
+
+  it('renders a single frame for an empty range', () => {
+    expect(recordingFrameTimes({ start: 5, end: 5 }, 1, 30)).toEqual([5]);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import {
+  albersEqualArea,
+  geographicBounds,
+  groundResolution,
+  haversineDistance,
+  mercator,
+  projectionFromEpsg,
+  projectionFromGeoKeys,
+  terrainFraction,
+  utm,
+} from '../src/js/projections';
+
+// Within about a centimeter
+function expectRoundTrip(projection, lon, lat) {
+  const [x, y] = projection.forward(lon, lat);
+  const [lon2, lat2] = projection.inverse(x, y);
+  expect(lon2).toBeCloseTo(lon, 7);
+  expect(lat2).toBeCloseTo(lat, 7);
+}
+
+describe('projections', () => {
+  it('puts the UTM central meridian at 500 km east', () => {
+    const [x, y] = utm(32).forward(9, 45);
+    expect(x).toBeCloseTo(500000, 3);
+    // 0.9996 times the WGS84 meridian arc to 45°N
+    expect(y).toBeCloseTo(4982950.4, 0);
+    expect(utm(32, { south: true }).forward(9, 0)[1]).toBeCloseTo(10000000, 3);
+  });
+
+  it('inverts what it projects', () => {
+    expectRoundTrip(utm(6), -149.9, 61.2);
+    expectRoundTrip(utm(6), -144.2, 58.1);
+    expectRoundTrip(projectionFromEpsg(3338), -165.4, 54.1);
+    expectRoundTrip(projectionFromEpsg(3857), -122.2, 46.2);
+    expectRoundTrip(albersEqualArea({ lat1: 29.5, lat2: 45.5, lat0: 23, lon0: -96 }), -110.5, 44.4);
+  });
+
+  it('builds projections from EPSG codes', () => {
+    expect(projectionFromEpsg(3338).forward(-154, 50)).toEqual([0, 0]);
+    expect(mercator().forward(180, 0)[0]).toBeCloseTo(20037508.34, 2);
+    expect(projectionFromEpsg(32606).forward(-147, 0)[0]).toBeCloseTo(500000, 3);
+    expect(projectionFromEpsg(26906)).not.toBeNull();
+    expect(projectionFromEpsg(6335)).not.toBeNull();
+    expect(projectionFromEpsg(4326)).toBeNull();
+  });
+
+  it('keeps the ellipsoid for World Mercator and user-defined Mercator CRSs', () => {
+    // EPSG:3395 northing of 60°N; the spherical formula gives 8399737.89
+    expect(projectionFromEpsg(3395).forward(-150, 60)[1]).toBeCloseTo(8362698.55, 1);
+    expectRoundTrip(projectionFromEpsg(3395), -150, 61.5);
+
+    const mercatorKeys = {
+      GTModelTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: 32767,
+      GeographicTypeGeoKey: 4326,
+      ProjCoordTransGeoKey: 7,
+      ProjNatOriginLongGeoKey: -150,
+    };
+    const oneStandardParallel = projectionFromGeoKeys({ ...mercatorKeys, ProjScaleAtNatOriginGeoKey: 0.5 });
+    expect(oneStandardParallel.forward(-150, 60)[1]).toBeCloseTo(8362698.55 / 2, 1);
+    expectRoundTrip(oneStandardParallel, -151, 61.5);
+
+    // Mercator (2SP): true scale along 60°N
+    const twoStandardParallels = projectionFromGeoKeys({ ...mercatorKeys, ProjStdParallel1GeoKey: 60 });
+    const [x] = twoStandardParallels.forward(-149, 60);
+    // One degree along 60°N on the WGS84 ellipsoid
+    const e2 = (2 - 1 / 298.257223563) / 298.257223563;
+    const phi = (60 * Math.PI) / 180;
+    expect(x).toBeCloseTo(((6378137 * Math.cos(phi)) / Math.sqrt(1 - e2 * Math.sin(phi) ** 2)) * (Math.PI / 180), 3);
+    expectRoundTrip(twoStandardParallels, -151, 61.5);
+  });
+
+  it('reads GeoKeys, including CRSs in feet', () => {
+    expect(projectionFromGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 })).toBeNull();
+    expect(projectionFromGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 32606 }).epsg).toBe(32606);
+    expect(() => projectionFromGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 })).toThrow('EPSG:2193');
+
+    const feet = projectionFromGeoKeys({
+      GTModelTypeGeoKey: 1,
+      ProjectedCSTypeGeoKey: 32767,
+      ProjCoordTransGeoKey: 1,
+      ProjNatOriginLongGeoKey: -147,
+      ProjNatOriginLatGeoKey: 0,
+      ProjScaleAtNatOriginGeoKey: 0.9996,
+      ProjFalseEastingGeoKey: 500000 / 0.3048,
+      ProjLinearUnitsGeoKey: 9002,
+    });
+    const [x, y] = feet.forward(-147, 61);
+    const [metersX, metersY] = utm(6).forward(-147, 61);
+    expect(x).toBeCloseTo(metersX / 0.3048, 3);
+    expect(y).toBeCloseTo(metersY / 0.3048, 3);
+    expectRoundTrip(feet, -150, 60);
+  });
+
+  it('finds the geographic envelope of a projected box', () => {
+    const projection = utm(6);
+    const bounds = geographicBounds(projection, [300000, 6700000, 700000, 6900000]);
+    const corners = [[300000, 6700000], [700000, 6900000], [300000, 6900000], [700000, 6700000]]
+      .map(([x, y]) => projection.inverse(x, y));
+    corners.forEach(([lon, lat]) => {
+      expect(lon).toBeGreaterThanOrEqual(bounds.minLon);
+      expect(lon).toBeLessThanOrEqual(bounds.maxLon);
+      expect(lat).toBeGreaterThanOrEqual(bounds.minLat);
+      expect(lat).toBeLessThanOrEqual(bounds.maxLat);
+    });
+  });
+});
+
+describe('terrain geometry', () => {
+  const geographic = { minLat: 61, maxLat: 62, minLon: -153, maxLon: -151, width: 200, height: 100 };
+
+  it('places points across a geographic footprint from the west and south edges', () => {
+    expect(terrainFraction(61.25, -152.5, geographic)).toEqual({ u: 0.25, v: 0.25 });
+  });
+
+  it('places points across a projected footprint in CRS units', () => {
+    const projection = utm(6);
+    const [x, y] = projection.forward(-147, 61);
+    const terrainBounds = { projection, projectedBounds: { minX: x - 1000, maxX: x + 3000, minY: y - 2000, maxY: y + 2000 } };
+    const { u, v } = terrainFraction(61, -147, terrainBounds);
+    expect(u).toBeCloseTo(0.25, 9);
+    expect(v).toBeCloseTo(0.5, 9);
+  });
+
+  it('measures distances on the sphere', () => {
+    // One degree of latitude on the mean-radius sphere
+    expect(haversineDistance(0, 0, 1, 0)).toBeCloseTo(111195, -1);
+    expect(haversineDistance(61, -150, 61, -150)).toBe(0);
+  });
+
+  it('measures the ground size of a DEM pixel', () => {
+    const { x, y } = groundResolution(geographic);
+    expect(y).toBeCloseTo(111195 / 100, -1);
+    expect(x).toBeCloseTo((2 * 111195 * Math.cos(61.5 * Math.PI / 180)) / 200, -1);
+  });
+});
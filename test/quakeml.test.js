@@ -0,0 +1,102 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { readCatalogFile } from '../src/js/catalogImport';
+import { parseQuakeML } from '../src/js/quakeml';
+
+const QUAKEML = `<?xml version="1.0" encoding="UTF-8"?>
+<q:quakeml xmlns="http://quakeml.org/xmlns/bed/1.2" xmlns:q="http://quakeml.org/xmlns/quakeml/1.2"
+    xmlns:catalog="http://anss.org/xmlns/catalog/0.1">
+  <eventParameters publicID="quakeml:example/catalog">
+    <event publicID="quakeml:example/event/1" catalog:eventsource="ak" catalog:eventid="024abc">
+      <description><type>region name</type><text>80 km W of Anchorage, Alaska</text></description>
+      <type>earthquake</type>
+      <preferredOriginID>quakeml:example/origin/2</preferredOriginID>
+      <preferredMagnitudeID>quakeml:example/magnitude/1</preferredMagnitudeID>
+      <creationInfo><creationTime>2024-05-01T13:00:00.000Z</creationTime></creationInfo>
+      <origin publicID="quakeml:example/origin/1">
+        <time><value>2024-05-01T00:00:00</value></time>
+        <latitude><value>0</value></latitude>
+        <longitude><value>0</value></longitude>
+      </origin>
+      <origin publicID="quakeml:example/origin/2">
+        <time><value>2024-05-01T12:30:00.5</value><uncertainty>0.2</uncertainty></time>
+        <latitude><value>61.3</value></latitude>
+        <longitude><value>-152.25</value></longitude>
+        <depth><value>5200</value><uncertainty>300</uncertainty></depth>
+        <originUncertainty><horizontalUncertainty>450</horizontalUncertainty></originUncertainty>
+        <evaluationStatus>reviewed</evaluationStatus>
+      </origin>
+      <magnitude publicID="quakeml:example/magnitude/1">
+        <mag><value>1.8</value><uncertainty>0.1</uncertainty></mag>
+        <type>ml</type>
+      </magnitude>
+    </event>
+    <event publicID="quakeml:example/event/2">
+      <origin publicID="quakeml:example/origin/3">
+        <time><value>2024-05-02T08:00:00</value></time>
+        <latitude><value>61.1</value></latitude>
+        <longitude><value>-152.0</value></longitude>
+        <creationInfo><creationTime>2024-05-02T09:15:00</creationTime></creationInfo>
+      </origin>
+    </event>
+    <event publicID="quakeml:example/event/3">
+      <origin publicID="quakeml:example/origin/4">
+        <time><value>not a time</value></time>
+        <latitude><value>61.1</value></latitude>
+        <longitude><value>-152.0</value></longitude>
+      </origin>
+    </event>
+  </eventParameters>
+</q:quakeml>`;
+
+describe('parseQuakeML', () => {
+  const features = parseQuakeML(QUAKEML, { source: 'usgs', sourceName: 'USGS' });
+
+  it('skips events without a usable origin time', () => {
+    expect(features.map(feature => feature.id)).toEqual(['ak024abc', 'quakeml:example/event/2']);
+  });
+
+  it('reads the preferred origin and magnitude', () => {
+    const [feature] = features;
+    expect(feature.geometry.coordinates).toEqual([-152.25, 61.3, 5.2]);
+    expect(feature.properties).toMatchObject({
+      mag: 1.8,
+      magType: 'ml',
+      magUncertainty: 0.1,
+      place: '80 km W of Anchorage, Alaska',
+      type: 'earthquake',
+      status: 'reviewed',
+      source: 'usgs',
+      sourceName: 'USGS',
+    });
+    expect(feature.properties.uncertainty).toMatchObject({ horizontal: 450, depth: 300, time: 0.2 });
+  });
+
+  it('reads times without a zone designator as UTC', () => {
+    const [first, second] = features;
+    expect(first.properties.time).toBe(Date.UTC(2024, 4, 1, 12, 30, 0, 500));
+    expect(first.properties.updated).toBe(Date.UTC(2024, 4, 1, 13));
+    expect(second.properties.time).toBe(Date.UTC(2024, 4, 2, 8));
+    expect(second.properties.updated).toBe(Date.UTC(2024, 4, 2, 9, 15));
+  });
+
+  it('falls back to the first origin and leaves missing values null', () => {
+    const second = features[1];
+    expect(second.geometry.coordinates).toEqual([-152, 61.1, null]);
+    expect(second.properties).toMatchObject({ mag: null, magType: null, place: null, type: 'earthquake', uncertainty: null });
+  });
+
+  it('rejects malformed documents', () => {
+    expect(() => parseQuakeML('<quakeml><event>')).toThrow(/Invalid QuakeML/);
+  });
+});
+
+describe('readCatalogFile', () => {
+  it('reads QuakeML files by extension or content', async () => {
+    for (const name of ['events.xml', 'events.txt']) {
+      const features = await readCatalogFile({ name, text: async () => QUAKEML });
+      expect(features.map(feature => feature.id)).toEqual(parseQuakeML(QUAKEML).map(feature => feature.id));
+      expect(features[0].properties).toMatchObject({ source: 'file', sourceName: name });
+    }
+  });
+});
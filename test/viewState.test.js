@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { parseViewState, serializeViewState } from '../src/js/viewState';
+
+const FULL_STATE = {
+  site: 'spurr',
+  sourceId: 'usgs-avo',
+  startDate: '2024-05-01',
+  endDate: '2024-05-08',
+  time: 1714600000000,
+  timeWindow: { start: 1714560000000, end: 1714700000000 },
+  camera: { position: [812.4, 390.1, 655], target: [0, -12.5, 0] },
+  selectedEventId: 'ak024abc',
+  filter: {
+    minMagnitude: 2,
+    maxMagnitude: null,
+    minDepth: null,
+    maxDepth: 30,
+    excludedTypes: ['explosion', 'quarry blast'],
+    excludedStatuses: ['automatic'],
+  },
+  terrainOpacity: 0.8,
+  bloomStrength: 1.2,
+};
+
+describe('view state hash', () => {
+  it('round-trips every field', () => {
+    expect(parseViewState(serializeViewState(FULL_STATE))).toEqual(FULL_STATE);
+  });
+
+  it('keeps commas readable and escapes list entries', () => {
+    const hash = serializeViewState(FULL_STATE);
+    expect(hash).toMatch(/^#site=spurr&/);
+    expect(hash).toContain('camera=812.4,390.1,655');
+    expect(hash).toContain('mag=2,&');
+    expect(hash).toContain('depth=,30&');
+    const state = parseViewState(serializeViewState({ filter: { ...FULL_STATE.filter, excludedTypes: ['a,b'] } }));
+    expect(state.filter.excludedTypes).toEqual(['a,b']);
+  });
+
+  it('rounds times and camera coordinates', () => {
+    const hash = serializeViewState({ time: 1714600000000.4, camera: { position: [1.26, 2, 3], target: [0, 0, 0.04] } });
+    expect(parseViewState(hash)).toEqual({ time: 1714600000000, camera: { position: [1.3, 2, 3], target: [0, 0, 0] } });
+  });
+
+  it('leaves out unset fields', () => {
+    expect(serializeViewState({})).toBe('#');
+    expect(parseViewState('')).toEqual({});
+    expect(parseViewState('#')).toEqual({});
+  });
+
+  it('drops fields that do not parse', () => {
+    const state = parseViewState(
+      '#start=2024-05-08&end=2024-05-01&time=soon&window=5,2&camera=1,2&target=0,0,0&mag=,&opacity=3&bloom=-1'
+    );
+    expect(state).toEqual({ terrainOpacity: 1, bloomStrength: 0 });
+    expect(parseViewState('#start=2024-5-1&end=2024-05-08')).toEqual({});
+  });
+
+  it('keeps inherited property names as plain strings', () => {
+    expect(parseViewState('#site=constructor&source=__proto__')).toEqual({ site: 'constructor', sourceId: '__proto__' });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { crc32, createZip } from '../src/js/zipArchive';
+
+const encoder = new TextEncoder();
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(encoder.encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('stores entries with local headers, a central directory and an end record', async () => {
+    const first = encoder.encode('hello');
+    const second = new Blob([encoder.encode('world!')]);
+    const blob = createZip(
+      [
+        { name: 'a.txt', data: first },
+        { name: 'frames/b.txt', data: second, crc: crc32(encoder.encode('world!')) },
+      ],
+      { date: new Date(2024, 4, 1, 12, 30, 10) }
+    );
+    expect(blob.type).toBe('application/zip');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    // First local header, its name and stored data
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0);
+    expect(view.getUint32(14, true)).toBe(crc32(first));
+    expect(view.getUint32(18, true)).toBe(5);
+    expect(new TextDecoder().decode(bytes.subarray(30, 35))).toBe('a.txt');
+    expect(new TextDecoder().decode(bytes.subarray(35, 40))).toBe('hello');
+    // MS-DOS time and date: 12:30:10 on 2024-05-01
+    expect(view.getUint16(10, true)).toBe((12 << 11) | (30 << 5) | 5);
+    expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (5 << 5) | 1);
+
+    // Second local header follows the first entry
+    const secondOffset = 30 + 5 + 5;
+    expect(view.getUint32(secondOffset, true)).toBe(0x04034b50);
+    expect(view.getUint32(secondOffset + 18, true)).toBe(6);
+
+    // End of central directory points at the directory and counts the entries
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const directoryOffset = view.getUint32(end + 16, true);
+    expect(directoryOffset).toBe(secondOffset + 30 + 12 + 6);
+    expect(view.getUint32(end + 12, true)).toBe(46 + 5 + 46 + 12);
+    expect(view.getUint32(directoryOffset, true)).toBe(0x02014b50);
+    expect(view.getUint32(directoryOffset + 46 + 5 + 42, true)).toBe(secondOffset);
+  });
+});
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// Catalog times are UTC. Running away from UTC catches any parser that reads
+// them as local time.
+process.env.TZ = 'America/Anchorage';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+  },
+});